@@ -43,6 +43,41 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Email verification state. Accounts created before verification existed
+    // are grandfathered in as verified, new accounts start unverified.
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+    `);
+
+    // Multi-factor authentication state (TOTP secrets are encrypted at rest)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT;
+    `);
+
+    // Role-based access control
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'analyst';
+    `);
+
+    // Account administration state
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    // Redaction preferences for content sent to AI providers; an empty
+    // object means the defaults
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS redaction_settings JSONB NOT NULL DEFAULT '{}';
+    `);
+
     // Create documents table
     await client.query(`
       CREATE TABLE IF NOT EXISTS documents (
@@ -70,11 +105,304 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Document versions: all revisions of a document share a version group,
+    // identified by the id of its first version
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS version_group_id INTEGER;
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1;
+      UPDATE documents SET version_group_id = id WHERE version_group_id IS NULL;
+    `);
+
+    // Document organisation: tags, folder path and custom metadata
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS folder VARCHAR(1100);
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}';
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    `);
+
+    // Original uploaded files live in a storage backend; the row records
+    // where, and the SHA-256 of the bytes that were stored
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20);
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500);
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS sha256 CHAR(64);
+    `);
+
+    // SHA-256 of the extracted text, used to spot duplicate uploads
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+      UPDATE documents SET content_hash = encode(sha256(convert_to(content, 'UTF8')), 'hex')
+        WHERE content_hash IS NULL AND content IS NOT NULL;
+    `);
+
+    // Outline of the extracted text (sections, blocks and pages). Documents
+    // stored before outlines existed get theirs built on first request.
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS outline JSONB;
+    `);
+
+    // Result of the active-content scan run on upload. Quarantined documents
+    // keep their original file but have no extracted text and are never
+    // analyzed; documents from before scanning are 'unscanned'.
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS scan_status VARCHAR(20) NOT NULL DEFAULT 'unscanned';
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS scan_findings JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMP;
+    `);
+
+    // Encrypted map from the placeholders in an analysis back to the values
+    // redacted before the text was sent to the provider
+    await client.query(`
+      ALTER TABLE analyses ADD COLUMN IF NOT EXISTS redaction_map TEXT;
+    `);
+
+    // Cached AI results, keyed by a hash of the analyzed text, provider,
+    // model, analysis type and prompt
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS analysis_cache (
+        cache_key CHAR(64) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        ai_provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100),
+        analysis_type VARCHAR(100) NOT NULL,
+        result JSONB NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    // Full-text search vectors. Filenames rank above body text. A tsvector
+    // is limited to 1MB, which a document with many distinct terms exceeds
+    // well before its length cap; its content is then halved until the
+    // vector fits, rather than failing the insert.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION document_search_vector(filename TEXT, content TEXT)
+      RETURNS tsvector AS $$
+      DECLARE
+        body TEXT := left(coalesce(content, ''), 1000000);
+      BEGIN
+        LOOP
+          BEGIN
+            RETURN setweight(to_tsvector('english', coalesce(filename, '')), 'A') ||
+              setweight(to_tsvector('english', body), 'B');
+          EXCEPTION WHEN program_limit_exceeded THEN
+            body := left(body, length(body) / 2);
+          END;
+        END LOOP;
+      END;
+      $$ LANGUAGE plpgsql IMMUTABLE;
+    `);
+
+    // Columns generated before document_search_vector existed are rebuilt
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_schema = current_schema() AND table_name = 'documents' AND column_name = 'search_vector'
+            AND generation_expression NOT LIKE '%document_search_vector%'
+        ) THEN
+          ALTER TABLE documents DROP COLUMN search_vector;
+        END IF;
+      END $$;
+    `);
+
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (document_search_vector(filename, content)) STORED;
+    `);
+
+    await client.query(`
+      ALTER TABLE analyses ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          to_tsvector('english', coalesce(result->>'analysis', ''))
+        ) STORED;
+    `);
+
+    // Create sessions table (one row per refresh token family)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Create single-use user tokens table (password resets, email verification)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(50) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Create password history table (previous bcrypt hashes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create MFA recovery codes table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Create personal API keys table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        permissions TEXT[] NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(45),
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Create background analysis jobs table (the queue itself)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS analysis_jobs (
+        id UUID PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        progress INTEGER NOT NULL DEFAULT 0,
+        params JSONB NOT NULL,
+        analysis_id INTEGER REFERENCES analyses(id) ON DELETE SET NULL,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        locked_by VARCHAR(100),
+        locked_until TIMESTAMP,
+        run_after TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create append-only, hash-chained security audit log.
+    // actor_user_id deliberately has no foreign key so events outlive users.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        actor_user_id INTEGER,
+        actor_email VARCHAR(255),
+        auth_method VARCHAR(20),
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50),
+        target_id VARCHAR(100),
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        outcome VARCHAR(20) NOT NULL,
+        details JSONB,
+        prev_hash CHAR(64) NOT NULL,
+        hash CHAR(64) NOT NULL
+      )
+    `);
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id);
     `);
 
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_version ON documents(version_group_id, version_number);
+      CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents(user_id, content_hash);
+      CREATE INDEX IF NOT EXISTS idx_documents_scan_status ON documents(user_id, scan_status);
+      CREATE INDEX IF NOT EXISTS idx_analysis_cache_expires_at ON analysis_cache(expires_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_tags ON documents USING GIN (tags);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_folder ON documents(user_id, folder text_pattern_ops);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_metadata ON documents USING GIN (metadata jsonb_path_ops);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_search_vector ON documents USING GIN (search_vector);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_analyses_search_vector ON analyses USING GIN (search_vector);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_user_id, occurred_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, occurred_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_events_occurred_at ON audit_events(occurred_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status ON analysis_jobs(status, run_after, created_at);
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_id ON analysis_jobs(user_id, created_at);
+    `);
+
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_analyses_document_id ON analyses(document_id);
     `);
@@ -107,6 +435,50 @@ const initializeDatabase = async () => {
         EXECUTE FUNCTION update_updated_at_column();
     `);
 
+    // Create trigger for documents table
+    await client.query(`
+      DROP TRIGGER IF EXISTS update_documents_updated_at ON documents;
+      CREATE TRIGGER update_documents_updated_at
+        BEFORE UPDATE ON documents
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+    `);
+
+    // Create trigger for analysis jobs table
+    await client.query(`
+      DROP TRIGGER IF EXISTS update_analysis_jobs_updated_at ON analysis_jobs;
+      CREATE TRIGGER update_analysis_jobs_updated_at
+        BEFORE UPDATE ON analysis_jobs
+        FOR EACH ROW
+        EXECUTE FUNCTION update_updated_at_column();
+    `);
+
+    // Reject any modification of audit events
+    await client.query(`
+      CREATE OR REPLACE FUNCTION prevent_audit_event_modification()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_events is append-only';
+      END;
+      $$ language 'plpgsql';
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+      CREATE TRIGGER audit_events_append_only
+        BEFORE UPDATE OR DELETE ON audit_events
+        FOR EACH ROW
+        EXECUTE FUNCTION prevent_audit_event_modification();
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events;
+      CREATE TRIGGER audit_events_no_truncate
+        BEFORE TRUNCATE ON audit_events
+        FOR EACH STATEMENT
+        EXECUTE FUNCTION prevent_audit_event_modification();
+    `);
+
     logger.info('✅ Database schema initialized successfully');
 
   } catch (error) {
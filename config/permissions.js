@@ -0,0 +1,44 @@
+// Permission names, checked with requirePermission() on routes
+const PERMISSIONS = {
+  DOCUMENTS_READ: 'documents:read',
+  DOCUMENTS_UPLOAD: 'documents:upload',
+  DOCUMENTS_ANALYZE: 'documents:analyze',
+  DOCUMENTS_DELETE: 'documents:delete',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+// Role to permission mapping
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  analyst: [
+    PERMISSIONS.DOCUMENTS_READ,
+    PERMISSIONS.DOCUMENTS_UPLOAD,
+    PERMISSIONS.DOCUMENTS_ANALYZE,
+    PERMISSIONS.DOCUMENTS_DELETE
+  ],
+  viewer: [
+    PERMISSIONS.DOCUMENTS_READ
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ROLE = 'analyst';
+
+// Get the permissions granted to a role
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  getRolePermissions,
+  hasPermission
+};
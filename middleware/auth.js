@@ -1,8 +1,48 @@
 const jwt = require('jsonwebtoken');
+const { getActiveSessionUser } = require('../utils/sessions');
+const { isApiKey, authenticateApiKey } = require('../utils/apiKeys');
 const logger = require('../utils/logger');
 
-const auth = (req, res, next) => {
+// Authenticate a request made with a personal API key
+const authenticateWithApiKey = async (key, req, res, next) => {
+  const apiKey = await authenticateApiKey(key, req.ip);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  if (apiKey.disabled_at) {
+    return res.status(403).json({
+      error: 'Account disabled',
+      message: 'This account has been disabled. Please contact an administrator.'
+    });
+  }
+
+  // Scopes narrow the owner's current role, they never extend it
+  req.user = {
+    userId: apiKey.user_id,
+    email: apiKey.email,
+    role: apiKey.role,
+    emailVerified: apiKey.email_verified,
+    authMethod: 'api_key',
+    apiKeyId: apiKey.id,
+    scopes: apiKey.permissions
+  };
+
+  next();
+};
+
+const auth = async (req, res, next) => {
   try {
+    // API keys may also be sent in a dedicated header
+    const apiKeyHeader = req.header('X-API-Key');
+    if (apiKeyHeader) {
+      return await authenticateWithApiKey(apiKeyHeader, req, res, next);
+    }
+
     // Get token from header
     const authHeader = req.header('Authorization');
     
@@ -31,13 +71,52 @@ const auth = (req, res, next) => {
       });
     }
 
+    // Bearer API keys for CI and automation clients
+    if (isApiKey(token)) {
+      return await authenticateWithApiKey(token, req, res, next);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    // Only session-bound access tokens are accepted
+    if (decoded.type !== 'access' || !decoded.sid) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid token'
+      });
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    const sessionUser = await getActiveSessionUser(decoded.sid, decoded.userId);
+    if (!sessionUser) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Session has been revoked'
+      });
+    }
+
+    // Disabled accounts are rejected even while their token is still valid
+    if (sessionUser.disabled_at) {
+      return res.status(403).json({
+        error: 'Account disabled',
+        message: 'This account has been disabled. Please contact an administrator.'
+      });
+    }
+
+    // The role claim is only a hint, the database role is authoritative
+    if (decoded.role !== sessionUser.role) {
+      logger.info(`Role changed since token issue for user ${decoded.userId}: ${decoded.role} -> ${sessionUser.role}`);
+    }
+
     // Add user info to request object
     req.user = {
       userId: decoded.userId,
-      email: decoded.email
+      email: sessionUser.email,
+      role: sessionUser.role,
+      emailVerified: sessionUser.email_verified,
+      authMethod: 'session',
+      sessionId: decoded.sid
     };
 
     next();
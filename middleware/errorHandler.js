@@ -55,6 +55,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    const message = 'Too many files';
+    error = { message, statusCode: 400 };
+  }
+
   // Database connection errors
   if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
     const message = 'Database connection failed';
@@ -0,0 +1,81 @@
+const slowDown = require('express-slow-down');
+const { createCounterStore } = require('../utils/counterStore');
+const { getLockout } = require('../utils/loginThrottle');
+const { verifyMfaChallenge } = require('../utils/mfa');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Progressive delay settings
+const DELAY_WINDOW_MS = 15 * 60 * 1000;
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const DELAY_MS = parseInt(process.env.LOGIN_DELAY_MS) || 500;
+const MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS) || 10000;
+
+// The account being attacked: the submitted email on the password step,
+// the email bound to the challenge token on the MFA step
+const getLoginIdentifier = (req) => {
+  if (req.body?.email) {
+    return String(req.body.email).trim().toLowerCase();
+  }
+
+  const challenge = verifyMfaChallenge(req.body?.mfaToken);
+  return challenge ? challenge.email : '';
+};
+
+// Reject requests for locked accounts or IP addresses
+const loginLockout = async (req, res, next) => {
+  try {
+    const identifier = getLoginIdentifier(req);
+    const lockout = await getLockout(identifier, req.ip);
+
+    if (lockout) {
+      logger.security('Login attempt while locked out', {
+        scope: lockout.scope,
+        ip: req.ip,
+        retryAfter: lockout.retryAfter
+      });
+
+      await recordAuditEvent({
+        req,
+        actor: { email: identifier || null },
+        action: 'auth.login',
+        outcome: 'denied',
+        details: { reason: 'locked_out', scope: lockout.scope }
+      });
+
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed attempts',
+        message: `Too many failed login attempts. Please try again in ${Math.ceil(lockout.retryAfter / 60)} minutes.`,
+        retryAfter: lockout.retryAfter
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Slow down repeated failures, per IP and per account.
+// Successful requests do not count towards the delay.
+const createLoginSlowDown = (prefix, keyGenerator) => {
+  return slowDown({
+    windowMs: DELAY_WINDOW_MS,
+    delayAfter: DELAY_AFTER,
+    delayMs: DELAY_MS,
+    maxDelayMs: MAX_DELAY_MS,
+    skipSuccessfulRequests: true,
+    keyGenerator,
+    store: createCounterStore({ prefix, windowMs: DELAY_WINDOW_MS })
+  });
+};
+
+const loginThrottle = [
+  loginLockout,
+  createLoginSlowDown('login:delay:ip', (req) => req.ip),
+  createLoginSlowDown('login:delay:account', getLoginIdentifier)
+];
+
+module.exports = loginThrottle;
@@ -0,0 +1,62 @@
+const { hasPermission } = require('../config/permissions');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Check a permission against the user's role and, for API keys, the key's scopes
+const isAllowed = (user, permission) => {
+  if (!hasPermission(user?.role, permission)) {
+    return false;
+  }
+
+  return !user.scopes || user.scopes.includes(permission);
+};
+
+// Require every listed permission. Must be mounted after the auth middleware,
+// which loads the user's current role from the database.
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    const missing = permissions.filter(permission => !isAllowed(req.user, permission));
+
+    if (missing.length > 0) {
+      logger.security('Permission denied', {
+        userId: req.user?.userId,
+        role: req.user?.role,
+        missing,
+        url: req.originalUrl,
+        method: req.method
+      });
+
+      await recordAuditEvent({
+        req,
+        action: 'authz.permission_denied',
+        outcome: 'denied',
+        details: { missing, method: req.method, url: req.originalUrl }
+      });
+
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to perform this action',
+        requiredPermissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
+// Reject API key authentication for account-management routes
+const requireSession = (req, res, next) => {
+  if (req.user?.authMethod !== 'session') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This action requires an interactive login session'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requirePermission,
+  requireSession
+};
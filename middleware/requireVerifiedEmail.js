@@ -0,0 +1,14 @@
+// Block routes that spend AI budget until the user has verified their email.
+// Must be mounted after the auth middleware.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false' || req.user?.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Email not verified',
+    message: 'Please verify your email address before uploading or analyzing documents'
+  });
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireSession } = require('../middleware/permissions');
+const { PERMISSIONS, getRolePermissions } = require('../config/permissions');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../utils/apiKeys');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const createApiKeyValidation = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+  body('permissions.*').isIn(Object.values(PERMISSIONS)).withMessage('Invalid permission'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+];
+
+// List current user's API keys
+router.get('/', auth, requireSession, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.userId);
+
+    res.json({ apiKeys });
+
+  } catch (error) {
+    logger.error('Failed to list API keys:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: 'An error occurred while retrieving your API keys'
+    });
+  }
+});
+
+// Create a new API key
+router.post('/', auth, requireSession, createApiKeyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, expiresInDays } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    // A key can only be scoped to permissions the owner currently has
+    const rolePermissions = getRolePermissions(req.user.role);
+    const notGranted = permissions.filter(permission => !rolePermissions.includes(permission));
+    if (notGranted.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'API keys cannot be granted permissions your role does not have',
+        permissions: notGranted
+      });
+    }
+
+    const { key, apiKey } = await createApiKey(req.user.userId, { name, permissions, expiresInDays });
+
+    logger.security('API key created', {
+      userId: req.user.userId,
+      apiKeyId: apiKey.id,
+      permissions
+    });
+
+    await recordAuditEvent({ req, action: 'api_key.create', targetType: 'api_key', targetId: apiKey.id, details: { name, permissions, expiresAt: apiKey.expiresAt } });
+
+    res.status(201).json({
+      message: 'API key created successfully. Copy it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        error: 'API key limit reached',
+        message: error.message
+      });
+    }
+
+    logger.error('Failed to create API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: 'An error occurred while creating the API key'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', auth, requireSession, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid API key id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const apiKey = await revokeApiKey(req.user.userId, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'The API key does not exist or has already been revoked'
+      });
+    }
+
+    logger.security('API key revoked', { userId: req.user.userId, apiKeyId: apiKey.id });
+
+    await recordAuditEvent({ req, action: 'api_key.revoke', targetType: 'api_key', targetId: apiKey.id });
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: 'An error occurred while revoking the API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { queryAuditEvents, forEachAuditEvent, verifyAuditChain, recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const filterValidation = [
+  query('userId').optional().isInt({ min: 1 }).withMessage('Invalid user id'),
+  query('action').optional().isString().isLength({ max: 100 }).withMessage('Invalid action'),
+  query('outcome').optional().isIn(['success', 'failure', 'denied']).withMessage('Invalid outcome'),
+  query('targetType').optional().isString().isLength({ max: 50 }).withMessage('Invalid target type'),
+  query('targetId').optional().isString().isLength({ max: 100 }).withMessage('Invalid target id'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+const getFilters = (req) => {
+  const { userId, action, outcome, targetType, targetId, from, to } = req.query;
+  return { userId, action, outcome, targetType, targetId, from, to };
+};
+
+// Query audit events
+router.get('/events', auth, requirePermission(PERMISSIONS.AUDIT_READ), filterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = (page - 1) * limit;
+
+    const { events, total } = await queryAuditEvents(getFilters(req), { limit, offset });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalEvents: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to query audit events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit events',
+      message: 'An error occurred while retrieving audit events'
+    });
+  }
+});
+
+// Export matching audit events as JSON Lines
+router.get('/events/export', auth, requirePermission(PERMISSIONS.AUDIT_READ), filterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const filters = getFilters(req);
+
+    await recordAuditEvent({ req, action: 'audit.export', details: { filters } });
+
+    const filename = `audit-events-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    res.set({
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    await forEachAuditEvent(filters, (event) => {
+      res.write(`${JSON.stringify(event)}\n`);
+    });
+
+    res.end();
+
+  } catch (error) {
+    logger.error('Failed to export audit events:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Failed to export audit events',
+      message: 'An error occurred while exporting audit events'
+    });
+  }
+});
+
+// Verify the integrity of the audit log hash chain
+router.get('/verify', auth, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const verification = await verifyAuditChain();
+
+    if (!verification.valid) {
+      logger.security('Audit log hash chain verification failed', verification.firstInvalidEvent);
+    }
+
+    res.json({ verification });
+
+  } catch (error) {
+    logger.error('Failed to verify audit chain:', error);
+    res.status(500).json({
+      error: 'Audit verification failed',
+      message: 'An error occurred while verifying the audit log'
+    });
+  }
+});
+
+module.exports = router;
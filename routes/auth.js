@@ -1,17 +1,90 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const auth = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { TOKEN_PURPOSES, createUserToken, consumeUserToken, findUserToken, getLastIssuedAt } = require('../utils/userTokens');
+const { validatePassword, savePasswordHistory, describePasswordPolicy } = require('../utils/passwordPolicy');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+const { signMfaChallenge, verifyMfaChallenge, verifySecondFactor } = require('../utils/mfa');
+const loginThrottle = require('../middleware/loginThrottle');
+const { requireSession } = require('../middleware/permissions');
+const { recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { DEFAULT_ROLE, getRolePermissions } = require('../config/permissions');
+const { recordAuditEvent } = require('../utils/audit');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const SALT_ROUNDS = 12;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Emails listed in ADMIN_EMAILS are given the admin role once the address
+// is verified; until then they register with the default role like anyone
+// else, so claiming an unclaimed listed address grants nothing
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Issue a verification token and email it to the user
+const sendVerification = async (user) => {
+  const token = await createUserToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_HOURS * 60);
+  await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+};
+
+// Start a session for an authenticated user and send the login response
+const completeLogin = async (req, res, user, mfaMethod = null) => {
+  await recordLoginSuccess(user.email);
+  await recordAuditEvent({
+    req,
+    actor: { userId: user.id, email: user.email },
+    action: 'auth.login',
+    targetType: 'user',
+    targetId: user.id,
+    details: { mfa: mfaMethod }
+  });
+
+  // Update last login
+  await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+
+  // Start a session and issue tokens
+  const tokens = await createSession(user, req);
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    message: 'Login successful',
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: user.email_verified,
+      mfaEnabled: user.mfa_enabled,
+      createdAt: user.created_at,
+      lastLogin: user.last_login
+    }
+  });
+};
+
+// Respond with the password policy rules that failed
+const sendPasswordPolicyViolation = (res, violations) => {
+  return res.status(400).json({
+    error: 'Password policy violation',
+    message: violations.map(violation => violation.message).join('. '),
+    violations
+  });
+};
+
 // Validation rules
 const registerValidation = [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters long')
 ];
 
@@ -20,6 +93,32 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const mfaLoginValidation = [
+  body('mfaToken').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('An authenticator code or a recovery code is required');
+    }
+    return true;
+  })
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
+];
+
 // Register new user
 router.post('/register', registerValidation, async (req, res) => {
   try {
@@ -43,34 +142,53 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
+    // Enforce password policy
+    const violations = await validatePassword(password, { email: lowercasedEmail, name });
+    if (violations.length > 0) {
+      return sendPasswordPolicyViolation(res, violations);
+    }
+
     // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Create user
     const result = await db.query(
-      'INSERT INTO users (email, password, name, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id, email, name, created_at',
-      [email, hashedPassword, name]
+      'INSERT INTO users (email, password, name, role, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING id, email, name, role, created_at, email_verified',
+      [email, hashedPassword, name, DEFAULT_ROLE]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Send verification email; a mail failure must not fail the registration
+    try {
+      await sendVerification(user);
+    } catch (mailError) {
+      logger.error('Failed to send verification email:', mailError);
+    }
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
 
     logger.info(`New user registered: ${email}`);
 
+    await recordAuditEvent({
+      req,
+      actor: { userId: user.id, email: user.email },
+      action: 'auth.register',
+      targetType: 'user',
+      targetId: user.id,
+      details: { role: user.role }
+    });
+
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
+        role: user.role,
+        emailVerified: user.email_verified,
         createdAt: user.created_at
       }
     });
@@ -85,7 +203,7 @@ router.post('/register', registerValidation, async (req, res) => {
 });
 
 // Login user
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', loginValidation, loginThrottle, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -100,6 +218,8 @@ router.post('/login', loginValidation, async (req, res) => {
     // Find user
     const result = await db.query('SELECT * FROM users WHERE email = $1', [email]);
     if (result.rows.length === 0) {
+      await recordLoginFailure(email, req);
+      await recordAuditEvent({ req, actor: { email }, action: 'auth.login', outcome: 'failure', details: { reason: 'unknown_email' } });
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid email or password'
@@ -111,35 +231,45 @@ router.post('/login', loginValidation, async (req, res) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(email, req);
+      await recordAuditEvent({ req, actor: { userId: user.id, email }, action: 'auth.login', outcome: 'failure', details: { reason: 'invalid_password' } });
       return res.status(401).json({
         error: 'Authentication failed',
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    // Disabled accounts cannot log in
+    if (user.disabled_at) {
+      await recordAuditEvent({ req, actor: { userId: user.id, email }, action: 'auth.login', outcome: 'denied', details: { reason: 'account_disabled' } });
+      return res.status(403).json({
+        error: 'Account disabled',
+        message: 'This account has been disabled. Please contact an administrator.'
+      });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // An administrator has required a new password
+    if (user.password_reset_required) {
+      await recordAuditEvent({ req, actor: { userId: user.id, email }, action: 'auth.login', outcome: 'denied', details: { reason: 'password_reset_required' } });
+      return res.status(403).json({
+        error: 'Password reset required',
+        message: 'You must reset your password before logging in. Check your email for a reset link.',
+        passwordResetRequired: true
+      });
+    }
 
-    logger.info(`User logged in: ${email}`);
+    // Users with MFA get a short-lived challenge instead of a session
+    if (user.mfa_enabled) {
+      logger.info(`Password verified, MFA challenge issued: ${email}`);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        createdAt: user.created_at,
-        lastLogin: user.last_login
-      }
-    });
+      return res.json({
+        message: 'Multi-factor authentication required',
+        mfaRequired: true,
+        mfaToken: signMfaChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user);
 
   } catch (error) {
     logger.error('Login error:', error);
@@ -150,11 +280,441 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Complete login with an authenticator or recovery code
+router.post('/login/mfa', mfaLoginValidation, loginThrottle, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyMfaChallenge(mfaToken);
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'MFA challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const { userId } = challenge;
+
+    const method = await verifySecondFactor(userId, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure(challenge.email, req);
+      await recordAuditEvent({ req, actor: challenge, action: 'auth.login', outcome: 'failure', details: { reason: 'invalid_mfa_code' } });
+      logger.security('Failed MFA verification', { userId, ip: req.ip });
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid authenticator or recovery code'
+      });
+    }
+
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (result.rows[0].disabled_at) {
+      return res.status(403).json({
+        error: 'Account disabled',
+        message: 'This account has been disabled. Please contact an administrator.'
+      });
+    }
+
+    if (method === 'recovery_code') {
+      logger.security('Recovery code used for login', { userId, ip: req.ip });
+    }
+
+    await completeLogin(req, res, result.rows[0], method);
+
+  } catch (error) {
+    logger.error('MFA login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'An error occurred during login'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: 'An error occurred while refreshing the token'
+    });
+  }
+});
+
+// Logout current session
+router.post('/logout', auth, requireSession, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, req.user.userId);
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    await recordAuditEvent({ req, action: 'auth.logout', targetType: 'session', targetId: req.user.sessionId });
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred during logout'
+    });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', auth, requireSession, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.userId);
+
+    logger.info(`User logged out from all devices: ${req.user.email} (${revokedSessions} sessions)`);
+
+    await recordAuditEvent({ req, action: 'auth.logout_all', targetType: 'user', targetId: req.user.userId, details: { revokedSessions } });
+
+    res.json({
+      message: 'Logged out from all devices successfully',
+      revokedSessions
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: 'An error occurred while logging out from all devices'
+    });
+  }
+});
+
+// Describe the password policy so clients can validate up front
+router.get('/password-policy', (req, res) => {
+  res.json({
+    passwordPolicy: describePasswordPolicy()
+  });
+});
+
+// Request a password reset email
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const result = await db.query('SELECT id, email, name FROM users WHERE email = $1', [email]);
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+
+      // A failure here must not surface in the response, or it would
+      // reveal that the account exists
+      try {
+        const token = await createUserToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+
+        logger.info(`Password reset requested: ${email}`);
+
+        await recordAuditEvent({ req, actor: { userId: user.id, email }, action: 'auth.password_reset_requested', targetType: 'user', targetId: user.id });
+      } catch (error) {
+        logger.error(`Password reset email failed for ${email}:`, error);
+      }
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Password reset request failed',
+      message: 'An error occurred while requesting a password reset'
+    });
+  }
+});
+
+// Reset password using an emailed token
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Check the policy before the single-use token is spent
+    const tokenUser = await findUserToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!tokenUser) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'The password reset link is invalid or has expired'
+      });
+    }
+
+    const userResult = await db.query('SELECT id, email, name, password FROM users WHERE id = $1', [tokenUser]);
+    const user = userResult.rows[0];
+
+    const violations = await validatePassword(password, { userId: user.id, email: user.email, name: user.name });
+    if (violations.length > 0) {
+      return sendPasswordPolicyViolation(res, violations);
+    }
+
+    const userId = await consumeUserToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'The password reset link is invalid or has expired'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    await savePasswordHistory(userId, user.password);
+    await db.query(
+      'UPDATE users SET password = $1, password_reset_required = FALSE WHERE id = $2',
+      [hashedPassword, userId]
+    );
+
+    // Kill every existing session, the old password may have been compromised
+    await revokeAllSessions(userId);
+
+    logger.security('Password reset completed', { userId, ip: req.ip });
+
+    await recordAuditEvent({ req, actor: { userId }, action: 'auth.password_reset', targetType: 'user', targetId: userId });
+
+    res.json({
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'An error occurred while resetting the password'
+    });
+  }
+});
+
+// Change password for the current user
+router.post('/change-password', auth, requireSession, changePasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const result = await db.query('SELECT id, email, name, password FROM users WHERE id = $1', [req.user.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, result.rows[0].password);
+    if (!isPasswordValid) {
+      await recordAuditEvent({ req, action: 'auth.password_changed', targetType: 'user', targetId: req.user.userId, outcome: 'failure', details: { reason: 'invalid_current_password' } });
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const user = result.rows[0];
+
+    const violations = await validatePassword(newPassword, { userId: user.id, email: user.email, name: user.name });
+    if (violations.length > 0) {
+      return sendPasswordPolicyViolation(res, violations);
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await savePasswordHistory(user.id, user.password);
+    await db.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, req.user.userId]);
+
+    // Keep the current session, log out every other device
+    const revokedSessions = await revokeAllSessions(req.user.userId, req.user.sessionId);
+
+    logger.security('Password changed', { userId: req.user.userId, ip: req.ip });
+
+    await recordAuditEvent({ req, action: 'auth.password_changed', targetType: 'user', targetId: req.user.userId, details: { revokedSessions } });
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions
+    });
+
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Password change failed',
+      message: 'An error occurred while changing the password'
+    });
+  }
+});
+
+// Verify email address using an emailed token
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = await consumeUserToken(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'The verification link is invalid or has expired'
+      });
+    }
+
+    const verified = await db.query(
+      'UPDATE users SET email_verified = TRUE, email_verified_at = NOW() WHERE id = $1 RETURNING email, role',
+      [userId]
+    );
+
+    logger.info(`Email verified for user ${userId}`);
+
+    await recordAuditEvent({ req, actor: { userId }, action: 'auth.email_verified', targetType: 'user', targetId: userId });
+
+    // Bootstrap administrators: a listed address becomes admin only now
+    // that its owner has proven control of it
+    const { email, role: previousRole } = verified.rows[0];
+    if (ADMIN_EMAILS.includes(email.toLowerCase()) && previousRole !== 'admin') {
+      await db.query("UPDATE users SET role = 'admin' WHERE id = $1", [userId]);
+
+      logger.security('User promoted to admin from ADMIN_EMAILS', { targetUserId: userId, previousRole });
+
+      await recordAuditEvent({
+        req,
+        actor: { userId },
+        action: 'user.role_change',
+        targetType: 'user',
+        targetId: userId,
+        details: { previousRole, newRole: 'admin', reason: 'admin_email_verified' }
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: 'An error occurred while verifying the email address'
+    });
+  }
+});
+
+// Resend the verification email to the current user
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT id, email, name, email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const user = result.rows[0];
+
+    if (user.email_verified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'This email address has already been verified'
+      });
+    }
+
+    const lastIssuedAt = await getLastIssuedAt(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (lastIssuedAt && Date.now() - new Date(lastIssuedAt).getTime() < VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Please wait ${VERIFICATION_RESEND_COOLDOWN_SECONDS} seconds before requesting another verification email`
+      });
+    }
+
+    await sendVerification(user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      message: 'An error occurred while sending the verification email'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/profile', auth, async (req, res) => {
   try {
     const result = await db.query(
-      'SELECT id, email, name, created_at, last_login FROM users WHERE id = $1',
+      'SELECT id, email, name, role, email_verified, mfa_enabled, created_at, last_login FROM users WHERE id = $1',
       [req.user.userId]
     );
 
@@ -171,6 +731,9 @@ router.get('/profile', auth, async (req, res) => {
         id: user.id,
         email: user.email,
         name: user.name,
+        role: user.role,
+        emailVerified: user.email_verified,
+        mfaEnabled: user.mfa_enabled,
         createdAt: user.created_at,
         lastLogin: user.last_login
       }
@@ -191,7 +754,10 @@ router.get('/verify', auth, (req, res) => {
     valid: true,
     user: {
       userId: req.user.userId,
-      email: req.user.email
+      email: req.user.email,
+      role: req.user.role,
+      permissions: getRolePermissions(req.user.role),
+      emailVerified: req.user.emailVerified
     }
   });
 });
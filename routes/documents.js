@@ -1,44 +1,318 @@
 const express = require('express');
 const multer = require('multer');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const auth = require('../middleware/auth');
-const { extractText } = require('../utils/documentProcessor');
-const { analyzeWithAI } = require('../utils/aiProcessor');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { findFormat, describeSupportedFormats } = require('../utils/documentFormats');
+const { checkServiceAvailability } = require('../utils/aiProcessor');
+const { analyzeWithCache } = require('../utils/analysisCache');
+const { sealPlaceholders, rehydrate } = require('../utils/redaction');
+const { enqueueAnalysisJob, wakeWorkers } = require('../utils/jobQueue');
+const { ingestDocument } = require('../utils/documentIngest');
+const { isArchive, openArchive } = require('../utils/archiveExtractor');
+const { openStoredFile, deleteStoredFiles } = require('../utils/fileStorage');
+const { buildTsQuery, searchDocuments } = require('../utils/documentSearch');
+const { diffDocuments } = require('../utils/textDiff');
+const { buildOutline, sectionWithSubsections } = require('../utils/documentOutline');
+const { METADATA_KEY_PATTERN, parseTags, parseFolder, parseMetadata } = require('../utils/documentMetadata');
+const { recordAuditEvent } = require('../utils/audit');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Supported formats come from the
+// format registry; files matched by extension get the format's canonical
+// MIME type.
 const storage = multer.memoryStorage();
+
+const acceptDocument = (file) => {
+  const format = findFormat(file);
+  if (!format) return false;
+
+  if (!format.mimeTypes.includes(file.mimetype)) {
+    file.mimetype = format.mimeTypes[0];
+  }
+  return true;
+};
+
+// Rejected in the upload filter, so reported by the error handler
+const invalidFileType = (message) => {
+  const error = new Error(message);
+  error.statusCode = 415;
+  return error;
+};
+
 const upload = multer({
   storage: storage,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'text/markdown'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (acceptDocument(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Please upload PDF, Word, or text files.'), false);
+      cb(invalidFileType(`Invalid file type. Supported formats: ${describeSupportedFormats()}.`), false);
     }
   }
 });
 
-// Upload and analyze document
-router.post('/upload', auth, upload.single('document'), [
-  body('aiProvider').isIn(['claude', 'openai', 'gemini']).withMessage('Invalid AI provider'),
-  body('analysisType').optional().isIn(['security-review', 'policy-analysis', 'compliance-check', 'general']).withMessage('Invalid analysis type'),
-  body('customPrompt').optional().isLength({ max: 1000 }).withMessage('Custom prompt too long')
-], async (req, res) => {
+// Bulk uploads also accept .zip archives of documents
+const MAX_BULK_FILES = parseInt(process.env.BULK_UPLOAD_MAX_FILES) || 100;
+const bulkUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit per file or archive
+    files: MAX_BULK_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (isArchive(file) || acceptDocument(file)) {
+      cb(null, true);
+    } else {
+      cb(invalidFileType(`Invalid file type. Supported formats: ${describeSupportedFormats()} or .zip archives.`), false);
+    }
+  }
+});
+
+const AI_PROVIDERS = ['claude', 'openai', 'gemini'];
+const ANALYSIS_TYPES = ['security-review', 'policy-analysis', 'compliance-check', 'general'];
+// What to do when an upload's text matches one of the user's documents:
+// store it anyway with a warning, or link to the existing document
+const DUPLICATE_HANDLING = ['warn', 'link'];
+
+// Validation rules
+const analysisValidation = [
+  body('aiProvider').isIn(AI_PROVIDERS).withMessage('Invalid AI provider'),
+  body('analysisType').optional().isIn(ANALYSIS_TYPES).withMessage('Invalid analysis type'),
+  body('customPrompt').optional().isLength({ max: 1000 }).withMessage('Custom prompt too long'),
+  body('force').optional().isBoolean().withMessage('force must be true or false')
+];
+
+const uploadValidation = [
+  body('onDuplicate').optional().isIn(DUPLICATE_HANDLING).withMessage(`onDuplicate must be one of: ${DUPLICATE_HANDLING.join(', ')}`)
+];
+
+const documentIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid document id')
+];
+
+const analysisIdValidation = [
+  ...documentIdValidation,
+  param('analysisId').isInt({ min: 1 }).withMessage('Invalid analysis id')
+];
+
+// Write one Server-Sent Event, flushing it past the compression middleware
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (res.flush) res.flush();
+};
+
+// force skips the analysis cache; multipart forms send it as a string
+const isForced = (body) => body.force === true || body.force === 'true';
+
+// rehydrate=true puts the values redacted before analysis back into results
+const rehydrateValidation = [
+  query('rehydrate').optional().isBoolean().withMessage('rehydrate must be true or false')
+];
+
+// Format an analysis row for responses. Results keep their redaction
+// placeholders unless restoreValues is set.
+const formatAnalysis = (row, restoreValues = false) => {
+  const { value: result, rehydrated } = restoreValues
+    ? rehydrate(row.result, row.redaction_map)
+    : { value: row.result, rehydrated: false };
+
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    aiProvider: row.ai_provider,
+    analysisType: row.analysis_type,
+    customPrompt: row.custom_prompt,
+    result,
+    rehydrated,
+    createdAt: row.created_at
+  };
+};
+
+// Sortable columns of the document list; metadata.<key> sorts by a metadata value
+const SORT_COLUMNS = {
+  createdAt: 'd.created_at',
+  updatedAt: 'd.updated_at',
+  filename: 'LOWER(d.filename)',
+  fileSize: 'd.file_size',
+  folder: 'd.folder'
+};
+
+const isSortField = (value) => {
+  if (Object.prototype.hasOwnProperty.call(SORT_COLUMNS, value)) return true;
+  return value.startsWith('metadata.') && METADATA_KEY_PATTERN.test(value.slice('metadata.'.length));
+};
+
+const isMetadataFilter = (value) => {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    Object.entries(value).every(([key, item]) => METADATA_KEY_PATTERN.test(key) && typeof item === 'string');
+};
+
+// Parse the tags, folder and metadata fields present in a request body,
+// reporting problems in the same shape as express-validator
+const parseOrganisationFields = (body, { allowNullMetadata = false } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  const parsers = {
+    tags: parseTags,
+    folder: parseFolder,
+    metadata: (value) => parseMetadata(value, { allowNull: allowNullMetadata })
+  };
+
+  for (const [param, parse] of Object.entries(parsers)) {
+    if (body[param] === undefined) continue;
+
+    const { value, error } = parse(body[param]);
+    if (error) {
+      errors.push({ value: body[param], msg: error, param, location: 'body' });
+    } else {
+      fields[param] = value;
+    }
+  }
+
+  return { fields, errors };
+};
+
+const SCAN_STATUSES = ['clean', 'quarantined', 'unscanned'];
+
+// Scan result of a document row, as shown to its owner
+const describeScan = (row) => {
+  return {
+    status: row.scan_status,
+    findings: row.scan_findings,
+    scannedAt: row.scanned_at
+  };
+};
+
+// Quarantined documents are never analyzed or served
+const sendQuarantined = (res, findings) => {
+  return res.status(409).json({
+    error: 'Document quarantined',
+    message: 'The content scan found active content in this document, so it cannot be analyzed or downloaded',
+    findings: findings
+  });
+};
+
+const recordQuarantine = (req, documentId, file, scan, source = {}) => {
+  return recordAuditEvent({
+    req,
+    action: 'document.quarantine',
+    targetType: 'document',
+    targetId: documentId,
+    outcome: 'denied',
+    details: { filename: file.originalname, findings: scan.findings, ...source }
+  });
+};
+
+// Ingest one file of a bulk upload, reporting failure instead of throwing so
+// the other files still go through
+const importBulkFile = async (req, file, fields, analysis, source = {}) => {
+  const outcome = { filename: file.originalname, ...source };
+
+  try {
+    const { documentId, job, duplicateOf, linked, scan } = await ingestDocument({
+      userId: req.user.userId,
+      file,
+      fields,
+      analysis,
+      onDuplicate: req.body.onDuplicate
+    });
+
+    if (scan.status === 'quarantined') {
+      await recordQuarantine(req, documentId, file, scan, source);
+      return { ...outcome, status: 'quarantined', documentId, findings: scan.findings };
+    }
+
+    if (linked) {
+      return { ...outcome, status: 'duplicate', documentId, duplicateOf };
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'document.upload',
+      targetType: 'document',
+      targetId: documentId,
+      details: { filename: file.originalname, fileSize: file.size, mimeType: file.mimetype, jobId: job.id, ...source }
+    });
+
+    return {
+      ...outcome,
+      status: 'queued',
+      documentId,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      ...(duplicateOf && { duplicateOf })
+    };
+  } catch (error) {
+    logger.warn(`Bulk upload of ${file.originalname} failed for user ${req.user.userId}: ${error.message}`);
+
+    // Extraction problems are the user's to fix; anything else stays generic
+    const exposeMessage = error.statusCode === 400 || error.statusCode === 415 || error.message.startsWith('Failed to extract text');
+    return {
+      ...outcome,
+      status: 'failed',
+      error: exposeMessage ? error.message : 'An error occurred while processing this file'
+    };
+  }
+};
+
+// Content-Disposition for a download, with an ASCII fallback name for
+// clients that do not understand RFC 5987 filename*
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Load a document and the version it is compared with (by default the
+// previous one). Both must belong to the user and the same version group.
+const loadVersionPair = async (userId, documentId, againstId) => {
+  const columns = 'id, filename, version_group_id, version_number, content, scan_status, scan_findings, created_at';
+
+  const documentResult = await db.query(
+    `SELECT ${columns} FROM documents WHERE id = $1 AND user_id = $2`,
+    [documentId, userId]
+  );
+
+  const document = documentResult.rows[0];
+  if (!document) {
+    return { document: null, base: null };
+  }
+
+  const baseResult = againstId
+    ? await db.query(
+      `SELECT ${columns} FROM documents WHERE id = $1 AND user_id = $2 AND version_group_id = $3`,
+      [againstId, userId, document.version_group_id]
+    )
+    : await db.query(
+      `SELECT ${columns} FROM documents
+       WHERE user_id = $1 AND version_group_id = $2 AND version_number < $3
+       ORDER BY version_number DESC LIMIT 1`,
+      [userId, document.version_group_id, document.version_number]
+    );
+
+  return { document, base: baseResult.rows[0] || null };
+};
+
+const describeVersion = (row) => {
+  return {
+    id: row.id,
+    filename: row.filename,
+    versionNumber: row.version_number,
+    createdAt: row.created_at
+  };
+};
+
+// Upload document and queue its analysis
+router.post('/upload', auth, requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD, PERMISSIONS.DOCUMENTS_ANALYZE), requireVerifiedEmail, upload.single('document'), analysisValidation, uploadValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -55,57 +329,101 @@ router.post('/upload', auth, upload.single('document'), [
       });
     }
 
+    const { fields, errors: fieldErrors } = parseOrganisationFields(req.body);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: fieldErrors
+      });
+    }
+
     const { aiProvider, analysisType = 'general', customPrompt } = req.body;
     const file = req.file;
 
-    logger.info(`Processing document upload for user ${req.user.userId}: ${file.originalname}`);
-
-    // Extract text from document
-    const extractedText = await extractText(file);
-    
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Cannot extract text',
-        message: 'Unable to extract readable text from the uploaded document'
+    // Fail fast rather than queue a job that can never run
+    if (!(await checkServiceAvailability(aiProvider))) {
+      return res.status(503).json({
+        error: 'AI service unavailable',
+        message: 'The selected AI service is not configured. Please select a different provider.'
       });
     }
 
-    // Save document to database
-    const documentResult = await db.query(
-      `INSERT INTO documents (user_id, filename, file_size, mime_type, content, created_at) 
-       VALUES ($1, $2, $3, $4, $5, NOW()) RETURNING id`,
-      [req.user.userId, file.originalname, file.size, file.mimetype, extractedText]
-    );
+    logger.info(`Processing document upload for user ${req.user.userId}: ${file.originalname}`);
 
-    const documentId = documentResult.rows[0].id;
+    const { documentId, job, duplicateOf, linked, scan } = await ingestDocument({
+      userId: req.user.userId,
+      file,
+      fields,
+      analysis: { aiProvider, analysisType, customPrompt, force: isForced(req.body) },
+      onDuplicate: req.body.onDuplicate
+    });
 
-    // Analyze with AI
-    const analysis = await analyzeWithAI(extractedText, aiProvider, analysisType, customPrompt);
+    if (scan.status === 'quarantined') {
+      await recordQuarantine(req, documentId, file, scan);
 
-    // Save analysis result
-    await db.query(
-      `INSERT INTO analyses (document_id, user_id, ai_provider, analysis_type, custom_prompt, result, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-      [documentId, req.user.userId, aiProvider, analysisType, customPrompt, JSON.stringify(analysis)]
-    );
+      return res.status(201).json({
+        message: 'Document quarantined: the content scan found active content, so it will not be analyzed',
+        documentId: documentId,
+        filename: file.originalname,
+        quarantined: true,
+        scan: { status: scan.status, findings: scan.findings }
+      });
+    }
 
-    logger.info(`Document analysis completed for user ${req.user.userId}, document ${documentId}`);
+    if (linked) {
+      return res.json({
+        message: 'An identical document was already uploaded',
+        documentId: documentId,
+        filename: file.originalname,
+        duplicate: true,
+        duplicateOf: duplicateOf
+      });
+    }
 
-    res.json({
-      message: 'Document analyzed successfully',
+    wakeWorkers();
+
+    await recordAuditEvent({
+      req,
+      action: 'document.upload',
+      targetType: 'document',
+      targetId: documentId,
+      details: { filename: file.originalname, fileSize: file.size, mimeType: file.mimetype, jobId: job.id }
+    });
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      message: 'Document uploaded, analysis queued',
       documentId: documentId,
       filename: file.originalname,
-      analysis: analysis,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      ...(duplicateOf && {
+        duplicateOf: duplicateOf,
+        warnings: [`This document has the same text as "${duplicateOf.filename}" (document ${duplicateOf.documentId})`]
+      }),
       metadata: {
         fileSize: file.size,
         aiProvider: aiProvider,
-        analysisType: analysisType,
-        processingTime: analysis.processingTime || 'N/A'
+        analysisType: analysisType
       }
     });
 
   } catch (error) {
     logger.error('Document upload/analysis error:', error);
+
+    if (error.statusCode === 415) {
+      return res.status(415).json({
+        error: 'Unsupported file content',
+        message: error.message
+      });
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        error: 'Cannot extract text',
+        message: error.message
+      });
+    }
     
     if (error.message.includes('Invalid file type')) {
       return res.status(400).json({
@@ -114,43 +432,235 @@ router.post('/upload', auth, upload.single('document'), [
       });
     }
 
-    if (error.message.includes('AI service')) {
+    res.status(500).json({
+      error: 'Processing failed',
+      message: 'An error occurred while processing your document'
+    });
+  }
+});
+
+// Upload several documents, or .zip archives of them, in one request. Each
+// file becomes its own document with its own analysis job; files inside an
+// archive keep their directory as a subfolder of the requested folder.
+router.post('/bulk', auth, requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD, PERMISSIONS.DOCUMENTS_ANALYZE), requireVerifiedEmail, bulkUpload.array('documents', MAX_BULK_FILES), analysisValidation, uploadValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded',
+        message: 'Please select one or more files or .zip archives to upload'
+      });
+    }
+
+    const { fields, errors: fieldErrors } = parseOrganisationFields(req.body);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: fieldErrors
+      });
+    }
+
+    const { aiProvider, analysisType = 'general', customPrompt } = req.body;
+    const analysis = { aiProvider, analysisType, customPrompt, force: isForced(req.body) };
+
+    if (!(await checkServiceAvailability(aiProvider))) {
       return res.status(503).json({
         error: 'AI service unavailable',
-        message: 'The selected AI service is currently unavailable. Please try again later or select a different provider.'
+        message: 'The selected AI service is not configured. Please select a different provider.'
       });
     }
 
+    logger.info(`Processing bulk upload of ${req.files.length} files for user ${req.user.userId}`);
+
+    // Files are processed one at a time to bound memory use
+    const results = [];
+
+    for (const file of req.files) {
+      if (!isArchive(file)) {
+        results.push(await importBulkFile(req, file, fields, analysis));
+        continue;
+      }
+
+      let archive;
+      try {
+        archive = await openArchive(file.buffer, { formatFor: name => findFormat({ originalname: name }) });
+      } catch (error) {
+        results.push({ filename: file.originalname, status: 'failed', error: error.message });
+        continue;
+      }
+
+      for (const entry of archive.rejected) {
+        results.push({ filename: entry.filename, archive: file.originalname, status: 'failed', error: entry.error });
+      }
+
+      for (const entry of archive.entries) {
+        const source = { archive: file.originalname, path: entry.path };
+        const folder = parseFolder([fields.folder, entry.folder].filter(Boolean).join('/'));
+
+        if (folder.error) {
+          results.push({ filename: entry.filename, ...source, status: 'failed', error: folder.error });
+          continue;
+        }
+
+        let buffer;
+        try {
+          buffer = await entry.read();
+        } catch (error) {
+          logger.security('Archive entry rejected during bulk upload', { userId: req.user.userId, archive: file.originalname, path: entry.path, reason: error.message });
+          results.push({ filename: entry.filename, ...source, status: 'failed', error: error.message });
+          continue;
+        }
+
+        const entryFile = { originalname: entry.filename, mimetype: entry.mimetype, buffer, size: buffer.length };
+        results.push(await importBulkFile(req, entryFile, { ...fields, folder: folder.value }, analysis, source));
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const queued = count('queued');
+    const duplicates = count('duplicate');
+    const quarantined = count('quarantined');
+
+    if (queued > 0) {
+      wakeWorkers();
+    }
+
+    logger.info(`Bulk upload for user ${req.user.userId}: ${queued} of ${results.length} files queued, ${duplicates} duplicates linked, ${quarantined} quarantined`);
+
+    let status = 400;
+    let message = 'None of the uploaded files could be imported';
+
+    if (queued > 0) {
+      status = 202;
+      message = `${queued} of ${results.length} documents uploaded, analyses queued`;
+    } else if (quarantined > 0) {
+      status = 201;
+      message = `${quarantined} of ${results.length} documents quarantined, no analyses queued`;
+    } else if (duplicates > 0) {
+      status = 200;
+      message = 'All imported files match existing documents';
+    }
+
+    res.status(status).json({
+      message,
+      summary: {
+        total: results.length,
+        queued: queued,
+        duplicates: duplicates,
+        quarantined: quarantined,
+        failed: count('failed')
+      },
+      results
+    });
+
+  } catch (error) {
+    logger.error('Bulk upload error:', error);
+
     res.status(500).json({
       error: 'Processing failed',
-      message: 'An error occurred while processing your document'
+      message: 'An error occurred while processing your documents'
     });
   }
 });
 
-// Get user's documents
-router.get('/', auth, async (req, res) => {
+// Get user's documents, optionally filtered by tag, folder and metadata
+router.get('/', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), [
+  query('folder').optional().isString().isLength({ max: 1100 }).withMessage('Invalid folder'),
+  query('includeSubfolders').optional().isBoolean().withMessage('includeSubfolders must be true or false'),
+  query('metadata').optional().custom(isMetadataFilter).withMessage('Metadata filters must look like metadata[key]=value'),
+  query('sort').optional().custom(isSortField).withMessage(`Sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')} or metadata.<key>`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  query('scanStatus').optional().isIn(SCAN_STATUSES).withMessage(`scanStatus must be one of: ${SCAN_STATUSES.join(', ')}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
 
+    const conditions = ['d.user_id = $1'];
+    const params = [req.user.userId];
+
+    // Every requested tag must be present
+    const tagFilter = parseTags([].concat(req.query.tag || []));
+    if (tagFilter.error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ value: req.query.tag, msg: tagFilter.error, param: 'tag', location: 'query' }]
+      });
+    }
+    if (tagFilter.value.length > 0) {
+      params.push(tagFilter.value);
+      conditions.push(`d.tags @> $${params.length}::text[]`);
+    }
+
+    const folder = parseFolder(req.query.folder).value;
+    if (folder) {
+      params.push(folder);
+      if (req.query.includeSubfolders === 'false') {
+        conditions.push(`d.folder = $${params.length}`);
+      } else {
+        params.push(`${folder.replace(/[\\%_]/g, '\\$&')}/%`);
+        conditions.push(`(d.folder = $${params.length - 1} OR d.folder LIKE $${params.length})`);
+      }
+    }
+
+    // Metadata values are compared as text, whatever their JSON type
+    for (const [key, value] of Object.entries(req.query.metadata || {})) {
+      params.push(key, value);
+      conditions.push(`d.metadata->>$${params.length - 1} = $${params.length}`);
+    }
+
+    if (req.query.scanStatus) {
+      params.push(req.query.scanStatus);
+      conditions.push(`d.scan_status = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const direction = req.query.order === 'asc' ? 'ASC' : 'DESC';
+    const sort = req.query.sort || 'createdAt';
+    let orderBy;
+
+    if (sort.startsWith('metadata.')) {
+      params.push(sort.slice('metadata.'.length));
+      orderBy = `d.metadata->>$${params.length} ${direction} NULLS LAST`;
+    } else {
+      orderBy = `${SORT_COLUMNS[sort]} ${direction} NULLS LAST`;
+    }
+
+    const countParams = params.slice(0, sort.startsWith('metadata.') ? -1 : undefined);
+
     const result = await db.query(
-      `SELECT d.id, d.filename, d.file_size, d.mime_type, d.created_at,
+      `SELECT d.id, d.filename, d.file_size, d.mime_type, d.created_at, d.updated_at,
+              d.version_group_id, d.version_number, d.tags, d.folder, d.metadata, d.scan_status,
               COUNT(a.id) as analysis_count,
               MAX(a.created_at) as last_analysis
        FROM documents d
        LEFT JOIN analyses a ON d.id = a.document_id
-       WHERE d.user_id = $1
-       GROUP BY d.id, d.filename, d.file_size, d.mime_type, d.created_at
-       ORDER BY d.created_at DESC
-       LIMIT $2 OFFSET $3`,
-      [req.user.userId, limit, offset]
+       WHERE ${where}
+       GROUP BY d.id
+       ORDER BY ${orderBy}, d.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
     );
 
     const countResult = await db.query(
-      'SELECT COUNT(*) FROM documents WHERE user_id = $1',
-      [req.user.userId]
+      `SELECT COUNT(*) FROM documents d WHERE ${where}`,
+      countParams
     );
 
     const totalDocuments = parseInt(countResult.rows[0].count);
@@ -176,8 +686,70 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Full-text search across the user's documents and their analyses
+router.get('/search', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters'),
+  query('mimeType').optional().isString().isLength({ max: 100 }).withMessage('Invalid MIME type'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('aiProvider').optional().isIn(AI_PROVIDERS).withMessage('Invalid AI provider'),
+  query('analysisType').optional().isIn([...ANALYSIS_TYPES, 'change-impact']).withMessage('Invalid analysis type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tsQuery = buildTsQuery(req.query.q);
+    if (!tsQuery) {
+      return res.status(400).json({
+        error: 'Invalid search query',
+        message: 'The search query must contain at least one word to search for'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const { mimeType, from, to, aiProvider, analysisType } = req.query;
+    const { results, total } = await searchDocuments(
+      req.user.userId,
+      tsQuery,
+      { mimeType, from, to, aiProvider, analysisType },
+      { limit, offset }
+    );
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      query: req.query.q,
+      results,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalResults: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Document search failed:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      message: 'An error occurred while searching your documents'
+    });
+  }
+});
+
 // Get specific document details
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), async (req, res) => {
   try {
     const documentId = req.params.id;
 
@@ -215,8 +787,18 @@ router.get('/:id', auth, async (req, res) => {
         filename: document.filename,
         fileSize: document.file_size,
         mimeType: document.mime_type,
+        sha256: document.sha256,
+        fileUrl: document.storage_key ? `/api/documents/${document.id}/file` : null,
+        outlineUrl: `/api/documents/${document.id}/outline`,
         content: document.content,
+        versionGroupId: document.version_group_id,
+        versionNumber: document.version_number,
+        tags: document.tags,
+        folder: document.folder,
+        metadata: document.metadata,
+        scan: describeScan(document),
         createdAt: document.created_at,
+        updatedAt: document.updated_at,
         analyses: document.analyses || []
       }
     });
@@ -230,31 +812,993 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Delete document
-router.delete('/:id', auth, async (req, res) => {
+// Download the originally uploaded file
+router.get('/:id/file', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), documentIdValidation, async (req, res) => {
   try {
-    const documentId = req.params.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // Check if document exists and belongs to user
-    const docCheck = await db.query(
-      'SELECT id FROM documents WHERE id = $1 AND user_id = $2',
-      [documentId, req.user.userId]
+    const result = await db.query(
+      `SELECT id, filename, file_size, mime_type, storage_backend, storage_key, sha256, scan_status, scan_findings
+       FROM documents
+       WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.userId]
     );
 
-    if (docCheck.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({
         error: 'Document not found',
         message: 'The requested document does not exist or you do not have access to it'
       });
     }
 
-    // Delete analyses first (foreign key constraint)
-    await db.query('DELETE FROM analyses WHERE document_id = $1', [documentId]);
+    const document = result.rows[0];
 
-    // Delete document
-    await db.query('DELETE FROM documents WHERE id = $1', [documentId]);
+    if (document.scan_status === 'quarantined') {
+      return sendQuarantined(res, document.scan_findings);
+    }
 
-    logger.info(`Document deleted: ${documentId} by user ${req.user.userId}`);
+    // Documents uploaded before originals were kept only have their text
+    if (!document.storage_key) {
+      return res.status(404).json({
+        error: 'File not available',
+        message: 'The original file was not stored for this document'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await openStoredFile({ backend: document.storage_backend, key: document.storage_key });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      logger.error(`Stored file missing for document ${document.id}: ${document.storage_backend}:${document.storage_key}`);
+      return res.status(404).json({
+        error: 'File not available',
+        message: 'The original file is missing from storage'
+      });
+    }
+
+    await recordAuditEvent({ req, action: 'document.download', targetType: 'document', targetId: document.id, details: { filename: document.filename } });
+
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Length': document.file_size,
+      'Content-Disposition': contentDisposition(document.filename),
+      'X-Checksum-SHA256': document.sha256,
+      'ETag': `"${document.sha256}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', (error) => {
+      logger.error(`Failed to stream stored file for document ${document.id}:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Failed to download document file:', error);
+    res.status(500).json({
+      error: 'Failed to download file',
+      message: 'An error occurred while retrieving the original file'
+    });
+  }
+});
+
+// Get a document's outline: its sections and, in reading order, the
+// headings, paragraphs, lists and tables with the section and page each
+// sits in. section narrows the blocks to one section and its subsections;
+// includeText adds each block's text.
+router.get('/:id/outline', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), documentIdValidation, [
+  query('section').optional().isString().isLength({ min: 1, max: 100 }),
+  query('includeText').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await db.query(
+      'SELECT id, filename, content, outline, scan_status, scan_findings FROM documents WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    const document = result.rows[0];
+
+    if (document.scan_status === 'quarantined') {
+      return sendQuarantined(res, document.scan_findings);
+    }
+
+    let outline = document.outline;
+
+    if (!outline) {
+      outline = buildOutline(document.content);
+      await db.query('UPDATE documents SET outline = $1 WHERE id = $2', [JSON.stringify(outline), document.id]);
+    }
+
+    let { sections, blocks } = outline;
+
+    if (req.query.section) {
+      if (!sections.some(section => section.id === req.query.section)) {
+        return res.status(404).json({
+          error: 'Section not found',
+          message: `The document has no section ${req.query.section}`
+        });
+      }
+
+      const ids = sectionWithSubsections(outline, req.query.section);
+      sections = sections.filter(section => ids.has(section.id));
+      blocks = blocks.filter(block => ids.has(block.section));
+    }
+
+    if (req.query.includeText === 'true') {
+      blocks = blocks.map(block => ({ ...block, text: document.content.slice(block.start, block.end) }));
+    }
+
+    res.json({
+      documentId: document.id,
+      filename: document.filename,
+      pageCount: outline.pageCount,
+      sections,
+      blocks
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch document outline:', error);
+    res.status(500).json({
+      error: 'Failed to fetch outline',
+      message: 'An error occurred while retrieving the document outline'
+    });
+  }
+});
+
+// Update a document's tags, folder and metadata. Metadata is merged into the
+// existing values; a null value removes that key.
+router.patch('/:id', auth, requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD), documentIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const { fields, errors: fieldErrors } = parseOrganisationFields(req.body, { allowNullMetadata: true });
+    if (!errors.isEmpty() || fieldErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [...errors.array(), ...fieldErrors]
+      });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        message: 'Provide at least one of tags, folder or metadata'
+      });
+    }
+
+    const assignments = [];
+    const params = [req.params.id, req.user.userId];
+
+    if (fields.tags !== undefined) {
+      params.push(fields.tags);
+      assignments.push(`tags = $${params.length}`);
+    }
+
+    if (fields.folder !== undefined) {
+      params.push(fields.folder);
+      assignments.push(`folder = $${params.length}`);
+    }
+
+    if (fields.metadata !== undefined) {
+      const entries = Object.entries(fields.metadata);
+      const updates = Object.fromEntries(entries.filter(([, value]) => value !== null));
+      const removals = entries.filter(([, value]) => value === null).map(([key]) => key);
+
+      params.push(JSON.stringify(updates), removals);
+      assignments.push(`metadata = (metadata || $${params.length - 1}::jsonb) - $${params.length}::text[]`);
+    }
+
+    const result = await db.query(
+      `UPDATE documents SET ${assignments.join(', ')}
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, filename, tags, folder, metadata, updated_at`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    const document = result.rows[0];
+
+    logger.info(`Document updated: ${document.id} by user ${req.user.userId}`);
+
+    await recordAuditEvent({ req, action: 'document.update', targetType: 'document', targetId: document.id, details: { fields: Object.keys(fields) } });
+
+    res.json({
+      message: 'Document updated successfully',
+      document: {
+        id: document.id,
+        filename: document.filename,
+        tags: document.tags,
+        folder: document.folder,
+        metadata: document.metadata,
+        updatedAt: document.updated_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to update document:', error);
+    res.status(500).json({
+      error: 'Failed to update document',
+      message: 'An error occurred while updating the document'
+    });
+  }
+});
+
+// List all versions of a document
+router.get('/:id/versions', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), documentIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await db.query(
+      `SELECT v.id, v.filename, v.file_size, v.mime_type, v.version_number, v.scan_status, v.created_at,
+              COUNT(a.id) as analysis_count
+       FROM documents d
+       JOIN documents v ON v.version_group_id = d.version_group_id AND v.user_id = d.user_id
+       LEFT JOIN analyses a ON a.document_id = v.id
+       WHERE d.id = $1 AND d.user_id = $2
+       GROUP BY v.id, v.filename, v.file_size, v.mime_type, v.version_number, v.scan_status, v.created_at
+       ORDER BY v.version_number ASC`,
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    res.json({
+      versions: result.rows.map(row => ({
+        id: row.id,
+        filename: row.filename,
+        fileSize: row.file_size,
+        mimeType: row.mime_type,
+        versionNumber: row.version_number,
+        scanStatus: row.scan_status,
+        analysisCount: parseInt(row.analysis_count),
+        createdAt: row.created_at
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch document versions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch versions',
+      message: 'An error occurred while retrieving the document versions'
+    });
+  }
+});
+
+// Upload a new version of an existing document, optionally queuing its
+// analysis. Goes through the same ingest pipeline as uploads, duplicate
+// handling (onDuplicate) included.
+router.post('/:id/versions', auth, requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD, PERMISSIONS.DOCUMENTS_ANALYZE), requireVerifiedEmail, upload.single('document'), documentIdValidation, [
+  body('aiProvider').optional().isIn(AI_PROVIDERS).withMessage('Invalid AI provider'),
+  body('analysisType').optional().isIn(ANALYSIS_TYPES).withMessage('Invalid analysis type'),
+  body('customPrompt').optional().isLength({ max: 1000 }).withMessage('Custom prompt too long'),
+  body('force').optional().isBoolean().withMessage('force must be true or false')
+], uploadValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please select a file to upload'
+      });
+    }
+
+    const { fields, errors: fieldErrors } = parseOrganisationFields(req.body);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: fieldErrors
+      });
+    }
+
+    const { aiProvider, analysisType = 'general', customPrompt } = req.body;
+    const file = req.file;
+
+    if (aiProvider && !(await checkServiceAvailability(aiProvider))) {
+      return res.status(503).json({
+        error: 'AI service unavailable',
+        message: 'The selected AI service is not configured. Please select a different provider.'
+      });
+    }
+
+    const docCheck = await db.query(
+      'SELECT id, version_group_id, tags, folder, metadata FROM documents WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    const versionGroupId = docCheck.rows[0].version_group_id;
+    // A new version keeps the organisation of the one it replaces unless overridden
+    const { tags, folder, metadata } = docCheck.rows[0];
+    const organisation = { tags, folder, metadata, ...fields };
+
+    logger.info(`Processing new version of document ${req.params.id} for user ${req.user.userId}: ${file.originalname}`);
+
+    // A quarantined version is stored without text and is not analyzed
+    const { documentId, versionNumber, job, duplicateOf, linked, scan } = await ingestDocument({
+      userId: req.user.userId,
+      file,
+      fields: organisation,
+      analysis: aiProvider ? { aiProvider, analysisType, customPrompt, force: isForced(req.body) } : null,
+      onDuplicate: req.body.onDuplicate,
+      versionOf: versionGroupId
+    });
+    const quarantined = scan.status === 'quarantined';
+
+    if (linked) {
+      return res.json({
+        message: 'An identical document was already uploaded',
+        documentId: documentId,
+        filename: file.originalname,
+        duplicate: true,
+        duplicateOf: duplicateOf
+      });
+    }
+
+    if (job) wakeWorkers();
+
+    logger.info(`Document ${documentId} stored as version ${versionNumber} of group ${versionGroupId} for user ${req.user.userId}`);
+
+    await recordAuditEvent({
+      req,
+      action: 'document.upload',
+      targetType: 'document',
+      targetId: documentId,
+      details: {
+        filename: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        versionGroupId,
+        versionNumber,
+        jobId: job ? job.id : null
+      }
+    });
+
+    if (quarantined) {
+      await recordQuarantine(req, documentId, file, scan);
+
+      return res.status(201).json({
+        message: 'New version quarantined: the content scan found active content, so it will not be analyzed',
+        documentId: documentId,
+        filename: file.originalname,
+        versionGroupId: versionGroupId,
+        versionNumber: versionNumber,
+        quarantined: true,
+        scan: { status: scan.status, findings: scan.findings }
+      });
+    }
+
+    const response = {
+      message: job ? 'New version uploaded, analysis queued' : 'New version uploaded',
+      documentId: documentId,
+      filename: file.originalname,
+      versionGroupId: versionGroupId,
+      versionNumber: versionNumber,
+      ...(duplicateOf && {
+        duplicateOf: duplicateOf,
+        warnings: [`This document has the same text as "${duplicateOf.filename}" (document ${duplicateOf.documentId})`]
+      })
+    };
+
+    if (!job) {
+      return res.status(201).json(response);
+    }
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      ...response,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Version conflict',
+        message: 'Another version of this document was uploaded at the same time. Please try again.'
+      });
+    }
+
+    logger.error('Document version upload error:', error);
+
+    if (error.statusCode === 415) {
+      return res.status(415).json({
+        error: 'Unsupported file content',
+        message: error.message
+      });
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        error: 'Cannot extract text',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid file type')) {
+      return res.status(400).json({
+        error: 'Invalid file type',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Processing failed',
+      message: 'An error occurred while processing your document'
+    });
+  }
+});
+
+// Section-aware text diff between a document and another version of it
+router.get('/:id/diff', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), documentIdValidation, [
+  query('against').optional().isInt({ min: 1 }).withMessage('Invalid version id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { document, base } = await loadVersionPair(req.user.userId, req.params.id, req.query.against);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    if (!base) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: req.query.against
+          ? 'The version to compare with is not a version of this document'
+          : 'This document has no earlier version to compare with'
+      });
+    }
+
+    const quarantinedVersion = [document, base].find(row => row.scan_status === 'quarantined');
+    if (quarantinedVersion) {
+      return sendQuarantined(res, quarantinedVersion.scan_findings);
+    }
+
+    const diff = diffDocuments(base.content, document.content);
+
+    res.json({
+      document: describeVersion(document),
+      comparedWith: describeVersion(base),
+      summary: diff.summary,
+      sections: diff.sections
+    });
+
+  } catch (error) {
+    logger.error('Failed to diff document versions:', error);
+    res.status(500).json({
+      error: 'Failed to compare versions',
+      message: 'An error occurred while comparing the document versions'
+    });
+  }
+});
+
+// Queue an AI analysis of the security impact of the changes between versions
+router.post('/:id/diff/analyses', auth, requirePermission(PERMISSIONS.DOCUMENTS_ANALYZE), requireVerifiedEmail, documentIdValidation, [
+  body('against').optional().isInt({ min: 1 }).withMessage('Invalid version id'),
+  body('aiProvider').isIn(AI_PROVIDERS).withMessage('Invalid AI provider'),
+  body('customPrompt').optional().isLength({ max: 1000 }).withMessage('Custom prompt too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { aiProvider, customPrompt } = req.body;
+    const { document, base } = await loadVersionPair(req.user.userId, req.params.id, req.body.against);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    if (!base) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: req.body.against
+          ? 'The version to compare with is not a version of this document'
+          : 'This document has no earlier version to compare with'
+      });
+    }
+
+    const quarantinedVersion = [document, base].find(row => row.scan_status === 'quarantined');
+    if (quarantinedVersion) {
+      return sendQuarantined(res, quarantinedVersion.scan_findings);
+    }
+
+    if (diffDocuments(base.content, document.content).summary.identical) {
+      return res.status(409).json({
+        error: 'No changes',
+        message: 'The two versions have no text differences to analyze'
+      });
+    }
+
+    if (!(await checkServiceAvailability(aiProvider))) {
+      return res.status(503).json({
+        error: 'AI service unavailable',
+        message: 'The selected AI service is not configured. Please select a different provider.'
+      });
+    }
+
+    const job = await enqueueAnalysisJob({
+      userId: req.user.userId,
+      documentId: document.id,
+      aiProvider,
+      analysisType: 'change-impact',
+      customPrompt,
+      baseDocumentId: base.id,
+      force: isForced(req.body)
+    });
+
+    logger.info(`Change-impact analysis of document ${document.id} against ${base.id} queued, job ${job.id}`);
+
+    await recordAuditEvent({
+      req,
+      action: 'analysis_job.create',
+      targetType: 'document',
+      targetId: document.id,
+      details: { jobId: job.id, aiProvider, analysisType: 'change-impact', baseDocumentId: base.id }
+    });
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      message: 'Change-impact analysis queued',
+      document: describeVersion(document),
+      comparedWith: describeVersion(base),
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    logger.error('Failed to queue change-impact analysis:', error);
+    res.status(500).json({
+      error: 'Failed to queue analysis',
+      message: 'An error occurred while queuing the analysis'
+    });
+  }
+});
+
+// Queue a new analysis of a stored document
+router.post('/:id/analyses', auth, requirePermission(PERMISSIONS.DOCUMENTS_ANALYZE), requireVerifiedEmail, documentIdValidation, analysisValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const documentId = parseInt(req.params.id);
+    const { aiProvider, analysisType = 'general', customPrompt } = req.body;
+
+    const docCheck = await db.query(
+      'SELECT id, scan_status, scan_findings FROM documents WHERE id = $1 AND user_id = $2',
+      [documentId, req.user.userId]
+    );
+
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    if (docCheck.rows[0].scan_status === 'quarantined') {
+      return sendQuarantined(res, docCheck.rows[0].scan_findings);
+    }
+
+    if (!(await checkServiceAvailability(aiProvider))) {
+      return res.status(503).json({
+        error: 'AI service unavailable',
+        message: 'The selected AI service is not configured. Please select a different provider.'
+      });
+    }
+
+    const job = await enqueueAnalysisJob({
+      userId: req.user.userId,
+      documentId,
+      aiProvider,
+      analysisType,
+      customPrompt,
+      force: isForced(req.body)
+    });
+
+    logger.info(`Re-analysis of document ${documentId} queued for user ${req.user.userId}, job ${job.id}`);
+
+    await recordAuditEvent({
+      req,
+      action: 'analysis_job.create',
+      targetType: 'document',
+      targetId: documentId,
+      details: { jobId: job.id, aiProvider, analysisType }
+    });
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      message: 'Analysis queued',
+      documentId: documentId,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    logger.error('Failed to queue document analysis:', error);
+    res.status(500).json({
+      error: 'Failed to queue analysis',
+      message: 'An error occurred while queuing the analysis'
+    });
+  }
+});
+
+// Stream a new analysis of a stored document as Server-Sent Events.
+// Emits `progress` events per chunk of long documents, `token` events while
+// the model generates and a final `done` event with the saved analysis, or a
+// single `error` event. Streamed text contains redaction placeholders; fetch
+// the saved analysis with rehydrate=true for the original values.
+router.post('/:id/analyses/stream', auth, requirePermission(PERMISSIONS.DOCUMENTS_ANALYZE), requireVerifiedEmail, documentIdValidation, analysisValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const documentId = parseInt(req.params.id);
+  const { aiProvider, analysisType = 'general', customPrompt } = req.body;
+  const controller = new AbortController();
+  let keepAlive;
+
+  try {
+    const docResult = await db.query(
+      'SELECT id, content, scan_status, scan_findings FROM documents WHERE id = $1 AND user_id = $2',
+      [documentId, req.user.userId]
+    );
+
+    if (docResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    if (docResult.rows[0].scan_status === 'quarantined') {
+      return sendQuarantined(res, docResult.rows[0].scan_findings);
+    }
+
+    if (!(await checkServiceAvailability(aiProvider))) {
+      return res.status(503).json({
+        error: 'AI service unavailable',
+        message: 'The selected AI service is not configured. Please select a different provider.'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Stop generating (and paying for tokens) once the client goes away
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    // Comment lines keep idle proxies from closing the stream
+    keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+      if (res.flush) res.flush();
+    }, 15000);
+
+    logger.info(`Streaming analysis of document ${documentId} for user ${req.user.userId} (${aiProvider})`);
+
+    const { placeholders, ...analysis } = await analyzeWithCache({
+      userId: req.user.userId,
+      content: docResult.rows[0].content,
+      aiProvider,
+      analysisType,
+      customPrompt,
+      force: isForced(req.body)
+    }, {
+      signal: controller.signal,
+      onToken: (text) => sendEvent(res, 'token', { text }),
+      onProgress: (progress) => sendEvent(res, 'progress', progress)
+    });
+
+    const analysisResult = await db.query(
+      `INSERT INTO analyses (document_id, user_id, ai_provider, analysis_type, custom_prompt, result, redaction_map, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING id`,
+      [documentId, req.user.userId, aiProvider, analysisType, customPrompt, JSON.stringify(analysis), sealPlaceholders(placeholders)]
+    );
+
+    const analysisId = analysisResult.rows[0].id;
+
+    await recordAuditEvent({
+      req,
+      action: 'document.analyze',
+      targetType: 'document',
+      targetId: documentId,
+      details: { analysisId, aiProvider, analysisType, tokensUsed: analysis.tokensUsed, fromCache: analysis.cache.hit, redacted: analysis.redaction.total, streamed: true }
+    });
+
+    sendEvent(res, 'done', {
+      analysisId,
+      documentId,
+      structuredAnalysis: analysis.structuredAnalysis,
+      tokensUsed: analysis.tokensUsed,
+      model: analysis.model,
+      truncated: analysis.truncated,
+      warnings: analysis.warnings,
+      metadata: analysis.metadata,
+      cache: analysis.cache,
+      redaction: analysis.redaction
+    });
+    res.end();
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`Streaming analysis of document ${documentId} aborted by client`);
+      return;
+    }
+
+    logger.error('Streaming analysis error:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Analysis failed',
+        message: 'An error occurred while analyzing the document'
+      });
+    }
+
+    sendEvent(res, 'error', {
+      error: error.message.includes('service error') ? 'AI service unavailable' : 'Analysis failed',
+      message: error.message.includes('service error')
+        ? 'The selected AI service is currently unavailable. Please try again later or select a different provider.'
+        : 'An error occurred while analyzing the document'
+    });
+    res.end();
+
+  } finally {
+    clearInterval(keepAlive);
+  }
+});
+
+// List analyses of a document
+router.get('/:id/analyses', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), documentIdValidation, rehydrateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const docCheck = await db.query(
+      'SELECT id FROM documents WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, document_id, ai_provider, analysis_type, custom_prompt, result, redaction_map, created_at
+       FROM analyses
+       WHERE document_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+
+    const restoreValues = req.query.rehydrate === 'true';
+
+    res.json({
+      analyses: result.rows.map(row => formatAnalysis(row, restoreValues))
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch document analyses:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analyses',
+      message: 'An error occurred while retrieving the document analyses'
+    });
+  }
+});
+
+// Get a single analysis of a document
+router.get('/:id/analyses/:analysisId', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), analysisIdValidation, rehydrateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await db.query(
+      `SELECT a.id, a.document_id, a.ai_provider, a.analysis_type, a.custom_prompt, a.result, a.redaction_map, a.created_at
+       FROM analyses a
+       JOIN documents d ON d.id = a.document_id
+       WHERE a.id = $1 AND a.document_id = $2 AND d.user_id = $3`,
+      [req.params.analysisId, req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'The requested analysis does not exist or you do not have access to it'
+      });
+    }
+
+    res.json({
+      analysis: formatAnalysis(result.rows[0], req.query.rehydrate === 'true')
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch analysis:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analysis',
+      message: 'An error occurred while retrieving the analysis'
+    });
+  }
+});
+
+// Delete a single analysis, keeping the document
+router.delete('/:id/analyses/:analysisId', auth, requirePermission(PERMISSIONS.DOCUMENTS_DELETE), analysisIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await db.query(
+      `DELETE FROM analyses a
+       USING documents d
+       WHERE a.document_id = d.id AND a.id = $1 AND a.document_id = $2 AND d.user_id = $3
+       RETURNING a.id, a.ai_provider, a.analysis_type`,
+      [req.params.analysisId, req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'The requested analysis does not exist or you do not have access to it'
+      });
+    }
+
+    const analysis = result.rows[0];
+
+    logger.info(`Analysis deleted: ${analysis.id} of document ${req.params.id} by user ${req.user.userId}`);
+
+    await recordAuditEvent({
+      req,
+      action: 'analysis.delete',
+      targetType: 'analysis',
+      targetId: analysis.id,
+      details: { documentId: parseInt(req.params.id), aiProvider: analysis.ai_provider, analysisType: analysis.analysis_type }
+    });
+
+    res.json({
+      message: 'Analysis deleted successfully',
+      analysisId: analysis.id
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete analysis:', error);
+    res.status(500).json({
+      error: 'Failed to delete analysis',
+      message: 'An error occurred while deleting the analysis'
+    });
+  }
+});
+
+// Delete document
+router.delete('/:id', auth, requirePermission(PERMISSIONS.DOCUMENTS_DELETE), async (req, res) => {
+  try {
+    const documentId = req.params.id;
+
+    // Check if document exists and belongs to user
+    const docCheck = await db.query(
+      'SELECT id, storage_backend, storage_key FROM documents WHERE id = $1 AND user_id = $2',
+      [documentId, req.user.userId]
+    );
+
+    if (docCheck.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: 'The requested document does not exist or you do not have access to it'
+      });
+    }
+
+    // Delete analyses first (foreign key constraint)
+    await db.query('DELETE FROM analyses WHERE document_id = $1', [documentId]);
+
+    // Delete document
+    await db.query('DELETE FROM documents WHERE id = $1', [documentId]);
+
+    // Remove the original file once the row that points to it is gone
+    await deleteStoredFiles([{ backend: docCheck.rows[0].storage_backend, key: docCheck.rows[0].storage_key }]);
+
+    logger.info(`Document deleted: ${documentId} by user ${req.user.userId}`);
+
+    await recordAuditEvent({ req, action: 'document.delete', targetType: 'document', targetId: documentId });
 
     res.json({
       message: 'Document deleted successfully',
@@ -0,0 +1,137 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { JOB_STATUSES, getJob, listJobs, cancelJob } = require('../utils/jobQueue');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const jobIdValidation = [
+  param('id').isUUID().withMessage('Invalid job id')
+];
+
+const listJobsValidation = [
+  query('status').optional().isIn(Object.values(JOB_STATUSES)).withMessage('Invalid job status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// List current user's analysis jobs
+router.get('/', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), listJobsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { jobs, total } = await listJobs(req.user.userId, { status: req.query.status, limit, offset });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      jobs,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalJobs: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list analysis jobs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs',
+      message: 'An error occurred while retrieving your analysis jobs'
+    });
+  }
+});
+
+// Get job status, progress and result
+router.get('/:id', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), jobIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = await getJob(req.params.id, req.user.userId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist or you do not have access to it'
+      });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    logger.error('Failed to fetch analysis job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: 'An error occurred while retrieving the job status'
+    });
+  }
+});
+
+// Cancel a queued or running job
+router.post('/:id/cancel', auth, requirePermission(PERMISSIONS.DOCUMENTS_ANALYZE), jobIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = await cancelJob(req.params.id, req.user.userId);
+    if (!job) {
+      const existing = await getJob(req.params.id, req.user.userId);
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'The requested job does not exist or you do not have access to it'
+        });
+      }
+
+      return res.status(409).json({
+        error: 'Job already finished',
+        message: `The job cannot be cancelled because it is ${existing.status}`,
+        job: existing
+      });
+    }
+
+    logger.info(`Analysis job cancelled: ${job.id} by user ${req.user.userId}`);
+
+    await recordAuditEvent({ req, action: 'analysis_job.cancel', targetType: 'analysis_job', targetId: job.id, details: { documentId: job.documentId } });
+
+    res.json({
+      message: 'Job cancelled successfully',
+      job
+    });
+
+  } catch (error) {
+    logger.error('Failed to cancel analysis job:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      message: 'An error occurred while cancelling the job'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const auth = require('../middleware/auth');
+const { requireSession } = require('../middleware/permissions');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  disableMfa,
+  getMfaStatus
+} = require('../utils/mfa');
+const { revokeAllSessions } = require('../utils/sessions');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const secondFactorValidation = [
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('An authenticator code or a recovery code is required');
+    }
+    return true;
+  })
+];
+
+const reauthValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...secondFactorValidation
+];
+
+// Check password and second factor before sensitive MFA changes
+const reauthenticate = async (userId, { password, code, recoveryCode }) => {
+  const result = await db.query('SELECT password FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, result.rows[0].password);
+  if (!isPasswordValid) {
+    return false;
+  }
+
+  return !!(await verifySecondFactor(userId, { code, recoveryCode }));
+};
+
+// Get MFA status
+router.get('/', auth, requireSession, async (req, res) => {
+  try {
+    const status = await getMfaStatus(req.user.userId);
+
+    res.json({ mfa: status });
+
+  } catch (error) {
+    logger.error('MFA status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch MFA status',
+      message: 'An error occurred while retrieving MFA status'
+    });
+  }
+});
+
+// Start enrollment, or reset to a new authenticator when MFA is already enabled
+router.post('/setup', auth, requireSession, async (req, res) => {
+  try {
+    const status = await getMfaStatus(req.user.userId);
+
+    if (status.enabled) {
+      const { password, code, recoveryCode } = req.body;
+      const verified = password && (code || recoveryCode) &&
+        await reauthenticate(req.user.userId, { password, code, recoveryCode });
+
+      if (!verified) {
+        return res.status(403).json({
+          error: 'Re-authentication required',
+          message: 'MFA is already enabled. Provide your password and a current code to set up a new authenticator.'
+        });
+      }
+    }
+
+    const enrollment = await startEnrollment({ id: req.user.userId, email: req.user.email });
+
+    logger.info(`MFA enrollment started for user ${req.user.userId}`);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a generated code',
+      secret: enrollment.secret,
+      otpauthUri: enrollment.otpauthUri,
+      qrCode: enrollment.qrCode
+    });
+
+  } catch (error) {
+    logger.error('MFA setup error:', error);
+    res.status(500).json({
+      error: 'MFA setup failed',
+      message: 'An error occurred while starting MFA enrollment'
+    });
+  }
+});
+
+// Confirm enrollment and receive recovery codes
+router.post('/confirm', auth, requireSession, [
+  body('code').isString().notEmpty().withMessage('Authenticator code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user.userId, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authenticator code is invalid or no enrollment is pending'
+      });
+    }
+
+    // Other sessions were established without the second factor
+    await revokeAllSessions(req.user.userId, req.user.sessionId);
+
+    logger.security('MFA enabled', { userId: req.user.userId, ip: req.ip });
+
+    await recordAuditEvent({ req, action: 'auth.mfa_enabled', targetType: 'user', targetId: req.user.userId });
+
+    res.json({
+      message: 'MFA enabled successfully. Store these recovery codes somewhere safe, they will not be shown again.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('MFA confirm error:', error);
+    res.status(500).json({
+      error: 'MFA confirmation failed',
+      message: 'An error occurred while confirming MFA enrollment'
+    });
+  }
+});
+
+// Regenerate recovery codes
+router.post('/recovery-codes', auth, requireSession, secondFactorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const method = await verifySecondFactor(req.user.userId, req.body);
+    if (!method) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid authenticator or recovery code'
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.userId);
+
+    logger.security('MFA recovery codes regenerated', { userId: req.user.userId, ip: req.ip });
+
+    await recordAuditEvent({ req, action: 'auth.mfa_recovery_codes_regenerated', targetType: 'user', targetId: req.user.userId });
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('MFA recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      message: 'An error occurred while regenerating recovery codes'
+    });
+  }
+});
+
+// Disable MFA
+router.post('/disable', auth, requireSession, reauthValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const verified = await reauthenticate(req.user.userId, req.body);
+    if (!verified) {
+      await recordAuditEvent({ req, action: 'auth.mfa_disabled', targetType: 'user', targetId: req.user.userId, outcome: 'failure' });
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid password or code'
+      });
+    }
+
+    await disableMfa(req.user.userId);
+
+    logger.security('MFA disabled', { userId: req.user.userId, ip: req.ip });
+
+    await recordAuditEvent({ req, action: 'auth.mfa_disabled', targetType: 'user', targetId: req.user.userId });
+
+    res.json({
+      message: 'MFA disabled successfully'
+    });
+
+  } catch (error) {
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable MFA',
+      message: 'An error occurred while disabling MFA'
+    });
+  }
+});
+
+module.exports = router;
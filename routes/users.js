@@ -1,21 +1,121 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const { recordAuditEvent } = require('../utils/audit');
+const { revokeAllSessions } = require('../utils/sessions');
+const { disableMfa } = require('../utils/mfa');
+const { TOKEN_PURPOSES, createUserToken } = require('../utils/userTokens');
+const { sendPasswordResetEmail } = require('../utils/mailer');
+const { deleteStoredFiles } = require('../utils/fileStorage');
+const { REDACTION_CATEGORIES, resolveRedactionSettings } = require('../utils/redaction');
+const { ANALYSIS_PROMPTS } = require('../utils/aiProcessor');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Get user dashboard statistics
-router.get('/dashboard', auth, async (req, res) => {
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const userIdValidation = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user id')
+];
+
+// Format a user row for admin responses
+const formatUser = (user) => {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: user.email_verified,
+    mfaEnabled: user.mfa_enabled,
+    disabled: !!user.disabled_at,
+    disabledAt: user.disabled_at,
+    disabledReason: user.disabled_reason,
+    passwordResetRequired: user.password_reset_required,
+    createdAt: user.created_at,
+    lastLogin: user.last_login
+  };
+};
+
+const ANALYSIS_TYPES = Object.keys(ANALYSIS_PROMPTS);
+
+const isRedactionCategoryList = (value) => {
+  if (!Array.isArray(value) || !value.every(category => REDACTION_CATEGORIES[category])) {
+    throw new Error(`Categories must be a list of: ${Object.keys(REDACTION_CATEGORIES).join(', ')}`);
+  }
+  return true;
+};
+
+const redactionSettingsValidation = [
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+  body('categories').optional().custom(isRedactionCategoryList),
+  body('analysisTypes').optional().isObject().withMessage('analysisTypes must be an object').custom((value) => {
+    for (const [analysisType, settings] of Object.entries(value)) {
+      if (!ANALYSIS_TYPES.includes(analysisType)) {
+        throw new Error(`Unknown analysis type ${analysisType}. Analysis types: ${ANALYSIS_TYPES.join(', ')}`);
+      }
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`Settings for ${analysisType} must be an object`);
+      }
+      if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+        throw new Error(`enabled for ${analysisType} must be true or false`);
+      }
+      if (settings.categories !== undefined) isRedactionCategoryList(settings.categories);
+    }
+    return true;
+  })
+];
+
+// Redaction settings as stored, and what they resolve to for each analysis type
+const formatRedactionSettings = (stored) => {
+  return {
+    settings: stored,
+    effective: Object.fromEntries(ANALYSIS_TYPES.map(analysisType => [analysisType, resolveRedactionSettings(stored, analysisType)])),
+    categories: REDACTION_CATEGORIES
+  };
+};
+
+// Check whether a user is the only active administrator
+const isLastActiveAdmin = async (userId) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE id = $1) AS is_admin,
+       COUNT(*) AS active_admins
+     FROM users
+     WHERE role = 'admin' AND disabled_at IS NULL`,
+    [userId]
+  );
+
+  return parseInt(result.rows[0].is_admin) > 0 && parseInt(result.rows[0].active_admins) <= 1;
+};
+
+// Get user dashboard statistics, with breakdowns by tag and by folder.
+// folderDepth rolls subfolders up into their ancestor at that depth.
+router.get('/dashboard', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), [
+  query('folderDepth').optional().isInt({ min: 1, max: 10 }).withMessage('folderDepth must be between 1 and 10')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const userId = req.user.userId;
+    const folderDepth = parseInt(req.query.folderDepth) || 1;
 
     // Get document statistics
     const documentStats = await db.query(
       `SELECT 
         COUNT(*) as total_documents,
         SUM(file_size) as total_size,
-        COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as recent_documents
+        COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as recent_documents,
+        COUNT(CASE WHEN scan_status = 'quarantined' THEN 1 END) as quarantined_documents
        FROM documents 
        WHERE user_id = $1`,
       [userId]
@@ -23,19 +123,48 @@ router.get('/dashboard', auth, async (req, res) => {
 
     // Get analysis statistics
     const analysisStats = await db.query(
-      `SELECT 
+      `SELECT
         COUNT(*) as total_analyses,
-        COUNT(CASE WHEN a.created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as recent_analyses,
-        json_object_agg(a.ai_provider, a.count) as provider_usage
-       FROM (
-         SELECT ai_provider, COUNT(*) as count
-         FROM analyses
-         WHERE user_id = $1
-         GROUP BY ai_provider
-       ) a`,
+        COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as recent_analyses,
+        (SELECT json_object_agg(p.ai_provider, p.count)
+         FROM (
+           SELECT ai_provider, COUNT(*) as count
+           FROM analyses
+           WHERE user_id = $1
+           GROUP BY ai_provider
+         ) p) as provider_usage
+       FROM analyses
+       WHERE user_id = $1`,
       [userId]
     );
 
+    // Documents and analyses per tag
+    const tagStats = await db.query(
+      `SELECT t.tag, COUNT(DISTINCT d.id) as documents, COUNT(a.id) as analyses
+       FROM documents d
+       CROSS JOIN LATERAL unnest(d.tags) AS t(tag)
+       LEFT JOIN analyses a ON a.document_id = d.id
+       WHERE d.user_id = $1
+       GROUP BY t.tag
+       ORDER BY documents DESC, t.tag
+       LIMIT 20`,
+      [userId]
+    );
+
+    // Documents and analyses per folder, rolled up to folderDepth
+    const folderStats = await db.query(
+      `SELECT f.folder, COUNT(DISTINCT d.id) as documents, COUNT(a.id) as analyses
+       FROM documents d
+       CROSS JOIN LATERAL (
+         SELECT array_to_string((string_to_array(d.folder, '/'))[1:$2], '/') AS folder
+       ) f
+       LEFT JOIN analyses a ON a.document_id = d.id
+       WHERE d.user_id = $1
+       GROUP BY f.folder
+       ORDER BY documents DESC, f.folder NULLS LAST`,
+      [userId, folderDepth]
+    );
+
     // Get recent activity
     const recentActivity = await db.query(
       `SELECT 'document' as type, id, filename as title, created_at 
@@ -56,13 +185,24 @@ router.get('/dashboard', auth, async (req, res) => {
         documents: {
           total: parseInt(documentStats.rows[0].total_documents) || 0,
           totalSize: parseInt(documentStats.rows[0].total_size) || 0,
-          recent: parseInt(documentStats.rows[0].recent_documents) || 0
+          recent: parseInt(documentStats.rows[0].recent_documents) || 0,
+          quarantined: parseInt(documentStats.rows[0].quarantined_documents) || 0
         },
         analyses: {
           total: parseInt(analysisStats.rows[0].total_analyses) || 0,
           recent: parseInt(analysisStats.rows[0].recent_analyses) || 0,
           providerUsage: analysisStats.rows[0].provider_usage || {}
-        }
+        },
+        byTag: tagStats.rows.map(row => ({
+          tag: row.tag,
+          documents: parseInt(row.documents),
+          analyses: parseInt(row.analyses)
+        })),
+        byFolder: folderStats.rows.map(row => ({
+          folder: row.folder,
+          documents: parseInt(row.documents),
+          analyses: parseInt(row.analyses)
+        }))
       },
       recentActivity: recentActivity.rows
     });
@@ -76,4 +216,558 @@ router.get('/dashboard', auth, async (req, res) => {
   }
 });
 
+// Get the current user's redaction settings: which personal data and
+// secrets are replaced with placeholders before documents are sent to AI
+// providers, overall and per analysis type
+router.get('/redaction', auth, requirePermission(PERMISSIONS.DOCUMENTS_ANALYZE), async (req, res) => {
+  try {
+    const result = await db.query('SELECT redaction_settings FROM users WHERE id = $1', [req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json(formatRedactionSettings(result.rows[0].redaction_settings));
+
+  } catch (error) {
+    logger.error('Failed to fetch redaction settings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch redaction settings',
+      message: 'An error occurred while retrieving redaction settings'
+    });
+  }
+});
+
+// Replace the current user's redaction settings. Every key is optional;
+// analysisTypes.<type> overrides the user-wide enabled and categories for
+// that analysis type, and an empty object restores the defaults.
+router.put('/redaction', auth, requirePermission(PERMISSIONS.DOCUMENTS_ANALYZE), redactionSettingsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { enabled, categories, analysisTypes } = req.body;
+    const settings = {};
+    if (enabled !== undefined) settings.enabled = enabled;
+    if (categories !== undefined) settings.categories = categories;
+    if (analysisTypes !== undefined) {
+      settings.analysisTypes = Object.fromEntries(Object.entries(analysisTypes).map(([analysisType, overrides]) => [
+        analysisType,
+        { enabled: overrides.enabled, categories: overrides.categories }
+      ]));
+    }
+
+    const result = await db.query(
+      'UPDATE users SET redaction_settings = $1 WHERE id = $2 RETURNING redaction_settings',
+      [JSON.stringify(settings), req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    // Turning redaction off sends personal data and secrets to providers
+    if (enabled === false || Object.values(analysisTypes || {}).some(overrides => overrides.enabled === false)) {
+      logger.security('Redaction disabled', { userId: req.user.userId, settings });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'user.redaction_settings_update',
+      targetType: 'user',
+      targetId: req.user.userId,
+      details: { settings }
+    });
+
+    res.json({
+      message: 'Redaction settings updated successfully',
+      ...formatRedactionSettings(result.rows[0].redaction_settings)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update redaction settings:', error);
+    res.status(500).json({
+      error: 'Failed to update redaction settings',
+      message: 'An error occurred while updating redaction settings'
+    });
+  }
+});
+
+// Change a user's role (admin only)
+router.patch('/:id/role', auth, requirePermission(PERMISSIONS.USERS_MANAGE), [
+  ...userIdValidation,
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    const existing = await db.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    // Never leave the system without an administrator
+    if (role !== 'admin' && await isLastActiveAdmin(userId)) {
+      return res.status(409).json({
+        error: 'Cannot change role',
+        message: 'At least one active administrator must remain'
+      });
+    }
+
+    const result = await db.query(
+      'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, email, name, role',
+      [role, userId]
+    );
+
+    logger.security('User role changed', {
+      targetUserId: userId,
+      previousRole: existing.rows[0].role,
+      newRole: role,
+      changedBy: req.user.userId
+    });
+
+    await recordAuditEvent({
+      req,
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: userId,
+      details: { previousRole: existing.rows[0].role, newRole: role }
+    });
+
+    res.json({
+      message: 'User role updated successfully',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Failed to change user role:', error);
+    res.status(500).json({
+      error: 'Failed to change user role',
+      message: 'An error occurred while updating the user role'
+    });
+  }
+});
+
+// List and search users (admin only)
+router.get('/', auth, requirePermission(PERMISSIONS.USERS_MANAGE), [
+  query('search').optional().isString().isLength({ max: 255 }).withMessage('Search term too long'),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('status').optional().isIn(['active', 'disabled']).withMessage('Status must be active or disabled')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (req.query.search) {
+      params.push(`%${req.query.search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(u.email ILIKE $${params.length} OR u.name ILIKE $${params.length})`);
+    }
+
+    if (req.query.role) {
+      params.push(req.query.role);
+      conditions.push(`u.role = $${params.length}`);
+    }
+
+    if (req.query.status) {
+      conditions.push(req.query.status === 'disabled' ? 'u.disabled_at IS NOT NULL' : 'u.disabled_at IS NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await db.query(
+      `SELECT u.*,
+              (SELECT COUNT(*) FROM documents d WHERE d.user_id = u.id) AS document_count,
+              (SELECT COUNT(*) FROM analyses a WHERE a.user_id = u.id) AS analysis_count
+       FROM users u
+       ${where}
+       ORDER BY u.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM users u ${where}`, params);
+
+    const totalUsers = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.json({
+      users: result.rows.map(user => ({
+        ...formatUser(user),
+        documentCount: parseInt(user.document_count) || 0,
+        analysisCount: parseInt(user.analysis_count) || 0
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalUsers: totalUsers,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      message: 'An error occurred while retrieving users'
+    });
+  }
+});
+
+// Get a user with usage statistics (admin only)
+router.get('/:id', auth, requirePermission(PERMISSIONS.USERS_MANAGE), userIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const usage = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM documents WHERE user_id = $1) AS total_documents,
+         (SELECT COALESCE(SUM(file_size), 0) FROM documents WHERE user_id = $1) AS total_size,
+         (SELECT COUNT(*) FROM analyses WHERE user_id = $1) AS total_analyses,
+         (SELECT COALESCE(SUM((result->>'tokensUsed')::bigint), 0) FROM analyses WHERE user_id = $1) AS tokens_used,
+         (SELECT MAX(created_at) FROM analyses WHERE user_id = $1) AS last_analysis,
+         (SELECT COUNT(*) FROM sessions WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()) AS active_sessions,
+         (SELECT COUNT(*) FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL
+            AND (expires_at IS NULL OR expires_at > NOW())) AS active_api_keys`,
+      [userId]
+    );
+
+    const providerUsage = await db.query(
+      `SELECT ai_provider, COUNT(*) AS count
+       FROM analyses
+       WHERE user_id = $1
+       GROUP BY ai_provider`,
+      [userId]
+    );
+
+    const stats = usage.rows[0];
+
+    res.json({
+      user: formatUser(result.rows[0]),
+      usage: {
+        documents: parseInt(stats.total_documents) || 0,
+        totalSize: parseInt(stats.total_size) || 0,
+        analyses: parseInt(stats.total_analyses) || 0,
+        tokensUsed: parseInt(stats.tokens_used) || 0,
+        lastAnalysis: stats.last_analysis,
+        activeSessions: parseInt(stats.active_sessions) || 0,
+        activeApiKeys: parseInt(stats.active_api_keys) || 0,
+        providerUsage: Object.fromEntries(providerUsage.rows.map(row => [row.ai_provider, parseInt(row.count)]))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: 'An error occurred while retrieving the user'
+    });
+  }
+});
+
+// Disable or enable a user account (admin only)
+router.patch('/:id/status', auth, requirePermission(PERMISSIONS.USERS_MANAGE), [
+  ...userIdValidation,
+  body('disabled').isBoolean().withMessage('disabled must be a boolean'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+    const disabled = req.body.disabled === true || req.body.disabled === 'true';
+
+    if (disabled && userId === req.user.userId) {
+      return res.status(409).json({
+        error: 'Cannot disable account',
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    if (disabled && await isLastActiveAdmin(userId)) {
+      return res.status(409).json({
+        error: 'Cannot disable account',
+        message: 'At least one active administrator must remain'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE users
+       SET disabled_at = CASE WHEN $2 THEN COALESCE(disabled_at, NOW()) ELSE NULL END,
+           disabled_reason = CASE WHEN $2 THEN $3 ELSE NULL END
+       WHERE id = $1
+       RETURNING *`,
+      [userId, disabled, req.body.reason || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    // Disabling also ends every session; API keys are rejected while disabled
+    const revokedSessions = disabled ? await revokeAllSessions(userId) : 0;
+
+    logger.security(disabled ? 'User account disabled' : 'User account enabled', {
+      targetUserId: userId,
+      changedBy: req.user.userId,
+      reason: req.body.reason
+    });
+
+    await recordAuditEvent({
+      req,
+      action: disabled ? 'user.disable' : 'user.enable',
+      targetType: 'user',
+      targetId: userId,
+      details: { reason: req.body.reason || null, revokedSessions }
+    });
+
+    res.json({
+      message: disabled ? 'User account disabled' : 'User account enabled',
+      user: formatUser(result.rows[0])
+    });
+
+  } catch (error) {
+    logger.error('Failed to change user status:', error);
+    res.status(500).json({
+      error: 'Failed to change user status',
+      message: 'An error occurred while updating the user status'
+    });
+  }
+});
+
+// Force a password reset: ends all sessions and emails a reset link (admin only)
+router.post('/:id/force-password-reset', auth, requirePermission(PERMISSIONS.USERS_MANAGE), userIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+
+    const result = await db.query(
+      'UPDATE users SET password_reset_required = TRUE WHERE id = $1 RETURNING id, email, name',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const user = result.rows[0];
+    const revokedSessions = await revokeAllSessions(userId);
+
+    const token = await createUserToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+    await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+
+    logger.security('Password reset forced', { targetUserId: userId, changedBy: req.user.userId });
+
+    await recordAuditEvent({
+      req,
+      action: 'user.force_password_reset',
+      targetType: 'user',
+      targetId: userId,
+      details: { revokedSessions }
+    });
+
+    res.json({
+      message: 'Password reset forced. The user has been logged out and sent a reset link.',
+      revokedSessions
+    });
+
+  } catch (error) {
+    logger.error('Failed to force password reset:', error);
+    res.status(500).json({
+      error: 'Failed to force password reset',
+      message: 'An error occurred while forcing a password reset'
+    });
+  }
+});
+
+// Reset a user's MFA, e.g. after a lost authenticator (admin only)
+router.post('/:id/mfa/reset', auth, requirePermission(PERMISSIONS.USERS_MANAGE), userIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+
+    const existing = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    await disableMfa(userId);
+    const revokedSessions = await revokeAllSessions(userId);
+
+    logger.security('MFA reset by administrator', { targetUserId: userId, changedBy: req.user.userId });
+
+    await recordAuditEvent({
+      req,
+      action: 'user.mfa_reset',
+      targetType: 'user',
+      targetId: userId,
+      details: { revokedSessions }
+    });
+
+    res.json({
+      message: 'MFA has been reset. The user can enroll a new authenticator after logging in.'
+    });
+
+  } catch (error) {
+    logger.error('Failed to reset MFA:', error);
+    res.status(500).json({
+      error: 'Failed to reset MFA',
+      message: 'An error occurred while resetting MFA'
+    });
+  }
+});
+
+// Delete a user and all of their data (admin only)
+router.delete('/:id', auth, requirePermission(PERMISSIONS.USERS_MANAGE), userIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.userId) {
+      return res.status(409).json({
+        error: 'Cannot delete account',
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastActiveAdmin(userId)) {
+      return res.status(409).json({
+        error: 'Cannot delete account',
+        message: 'At least one active administrator must remain'
+      });
+    }
+
+    const existing = await db.query(
+      `SELECT u.id, u.email, COUNT(d.id) AS document_count
+       FROM users u
+       LEFT JOIN documents d ON d.user_id = u.id
+       WHERE u.id = $1
+       GROUP BY u.id`,
+      [userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const deleted = existing.rows[0];
+
+    const storedFiles = await db.query(
+      `SELECT storage_backend AS backend, storage_key AS key
+       FROM documents
+       WHERE user_id = $1 AND storage_key IS NOT NULL`,
+      [userId]
+    );
+
+    // Documents, analyses, sessions, tokens and API keys cascade
+    await db.query('DELETE FROM users WHERE id = $1', [userId]);
+
+    await deleteStoredFiles(storedFiles.rows);
+
+    logger.security('User deleted', { targetUserId: userId, email: deleted.email, deletedBy: req.user.userId });
+
+    await recordAuditEvent({
+      req,
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      details: { email: deleted.email, documentCount: parseInt(deleted.document_count) || 0 }
+    });
+
+    res.json({
+      message: 'User deleted successfully',
+      userId
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete user:', error);
+    res.status(500).json({
+      error: 'Failed to delete user',
+      message: 'An error occurred while deleting the user'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,18 +4,22 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
 const documentRoutes = require('./routes/documents');
 const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const jobRoutes = require('./routes/jobs');
 const healthRoute = require('./routes/health');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 const db = require('./config/database');
+const { startJobWorkers, stopJobWorkers } = require('./utils/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -58,9 +62,13 @@ if (process.env.NODE_ENV !== 'test') {
 app.use('/api/health', healthRoute);
 
 // API routes
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -72,7 +80,10 @@ app.get('/', (req, res) => {
       health: '/api/health',
       auth: '/api/auth',
       documents: '/api/documents',
-      users: '/api/users'
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
+      audit: '/api/audit',
+      jobs: '/api/jobs'
     }
   });
 });
@@ -82,7 +93,7 @@ app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Not Found',
     message: `Route ${req.originalUrl} not found`,
-    availableRoutes: ['/api/health', '/api/auth', '/api/documents', '/api/users']
+    availableRoutes: ['/api/health', '/api/auth', '/api/documents', '/api/users', '/api/api-keys', '/api/audit', '/api/jobs']
   });
 });
 
@@ -92,12 +103,12 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
+  stopJobWorkers().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
+  stopJobWorkers().finally(() => process.exit(0));
 });
 
 // Start server
@@ -109,6 +120,8 @@ if (require.main === module) {
         logger.info(`📚 API Documentation available at http://localhost:${PORT}/`);
         logger.info(`🔥 Environment: ${process.env.NODE_ENV || 'development'}`);
       });
+
+      startJobWorkers();
     })
     .catch((error) => {
       logger.error('Failed to initialize database and start server:', error);
@@ -0,0 +1,175 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../utils/aiProcessor', () => ({ analyzeWithAI: jest.fn(), getProviderModel: jest.fn() }));
+jest.mock('../utils/redaction', () => ({ getRedactionSettings: jest.fn(), redactText: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const db = require('../config/database');
+const { analyzeWithAI, getProviderModel } = require('../utils/aiProcessor');
+const { getRedactionSettings, redactText } = require('../utils/redaction');
+const { analyzeWithCache } = require('../utils/analysisCache');
+
+// In-memory analysis_cache table; time is in hours and moves only when a
+// test advances it
+const fakeCacheTable = () => {
+  const table = { now: 0, entries: new Map() };
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('UPDATE analysis_cache')) {
+      const entry = table.entries.get(params[0]);
+      if (!entry || entry.expires_at <= table.now) return { rows: [] };
+      entry.hits++;
+      return { rows: [{ result: JSON.parse(entry.result), created_at: entry.created_at }] };
+    }
+    if (sql.startsWith('DELETE FROM analysis_cache')) {
+      for (const [key, entry] of table.entries) {
+        if (entry.expires_at <= table.now) table.entries.delete(key);
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO analysis_cache')) {
+      const [cacheKey, userId, aiProvider, model, analysisType, result, ttlHours] = params;
+      table.entries.set(cacheKey, { user_id: userId, ai_provider: aiProvider, model, analysis_type: analysisType, result, hits: 0, created_at: table.now, expires_at: table.now + ttlHours });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return table;
+};
+
+const request = { userId: 7, content: 'Contact jane@example.com about the audit.', aiProvider: 'claude', analysisType: 'compliance' };
+const providerResult = { analysis: 'Two findings.', tokensUsed: 1200, metadata: { provider: 'claude' } };
+
+describe('analyzeWithCache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getProviderModel.mockImplementation(provider => `${provider}-model`);
+    getRedactionSettings.mockResolvedValue({ enabled: true });
+    redactText.mockImplementation(text => ({
+      text: text.replace('jane@example.com', '[EMAIL_1]'),
+      report: { total: text.includes('jane@example.com') ? 1 : 0 },
+      placeholders: text.includes('jane@example.com') ? { '[EMAIL_1]': 'jane@example.com' } : {}
+    }));
+    analyzeWithAI.mockResolvedValue(providerResult);
+  });
+
+  it('serves a repeated analysis from the cache without calling the provider', async () => {
+    const table = fakeCacheTable();
+
+    const first = await analyzeWithCache(request);
+    table.now = 5;
+    const onToken = jest.fn();
+    const second = await analyzeWithCache(request, { onToken });
+
+    expect(analyzeWithAI).toHaveBeenCalledTimes(1);
+    expect(first.cache).toEqual({ hit: false, refreshed: false });
+    expect(second).toMatchObject({
+      analysis: 'Two findings.',
+      tokensUsed: 0,
+      cache: { hit: true, cachedAt: 0, tokensSaved: 1200 }
+    });
+    expect(onToken).toHaveBeenCalledWith('Two findings.');
+    expect([...table.entries.values()][0].hits).toBe(1);
+  });
+
+  it('sends and caches only the redacted text, returning placeholders separately', async () => {
+    const table = fakeCacheTable();
+
+    const result = await analyzeWithCache(request);
+
+    expect(analyzeWithAI).toHaveBeenCalledWith('Contact [EMAIL_1] about the audit.', 'claude', 'compliance', undefined, { redacted: true });
+    expect(result.placeholders).toEqual({ '[EMAIL_1]': 'jane@example.com' });
+    expect(result.redaction).toEqual({ total: 1 });
+
+    const [entry] = table.entries.values();
+    expect(entry.result).not.toContain('jane@example.com');
+    expect(JSON.parse(entry.result)).toEqual(providerResult);
+  });
+
+  it.each([
+    ['another user', { userId: 8 }],
+    ['another provider', { aiProvider: 'openai' }],
+    ['another analysis type', { analysisType: 'risk' }],
+    ['a custom prompt', { customPrompt: 'Focus on logging.' }],
+    ['different content', { content: 'Contact jane@example.com about the audit!' }]
+  ])('misses the cache for %s', async (label, change) => {
+    fakeCacheTable();
+
+    await analyzeWithCache(request);
+    const result = await analyzeWithCache({ ...request, ...change });
+
+    expect(result.cache.hit).toBe(false);
+    expect(analyzeWithAI).toHaveBeenCalledTimes(2);
+  });
+
+  it('misses the cache when the provider model changes', async () => {
+    fakeCacheTable();
+
+    await analyzeWithCache(request);
+    getProviderModel.mockReturnValue('claude-newer-model');
+    await analyzeWithCache(request);
+
+    expect(analyzeWithAI).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not serve expired entries and drops them when storing', async () => {
+    const table = fakeCacheTable();
+
+    await analyzeWithCache(request);
+    await analyzeWithCache({ ...request, userId: 8 });
+    table.now = 168;
+    const result = await analyzeWithCache(request);
+
+    expect(result.cache.hit).toBe(false);
+    expect(analyzeWithAI).toHaveBeenCalledTimes(3);
+    expect(table.entries.size).toBe(1);
+    expect([...table.entries.values()][0]).toMatchObject({ user_id: 7, created_at: 168, expires_at: 336 });
+  });
+
+  it('refreshes the entry when forced', async () => {
+    const table = fakeCacheTable();
+
+    await analyzeWithCache(request);
+    analyzeWithAI.mockResolvedValue({ ...providerResult, analysis: 'Three findings.' });
+    table.now = 1;
+    const forced = await analyzeWithCache({ ...request, force: true });
+    const cached = await analyzeWithCache(request);
+
+    expect(forced.cache).toEqual({ hit: false, refreshed: true });
+    expect(cached).toMatchObject({ analysis: 'Three findings.', cache: { hit: true, cachedAt: 1 } });
+    expect(analyzeWithAI).toHaveBeenCalledTimes(2);
+  });
+
+  it('still analyzes when the cache is unavailable', async () => {
+    db.query.mockRejectedValue(new Error('connection refused'));
+
+    const result = await analyzeWithCache(request);
+
+    expect(result).toMatchObject({ analysis: 'Two findings.', tokensUsed: 1200, cache: { hit: false } });
+  });
+
+  it('does not cache provider failures', async () => {
+    const table = fakeCacheTable();
+    analyzeWithAI.mockRejectedValue(new Error('Claude API error: 503'));
+
+    await expect(analyzeWithCache(request)).rejects.toThrow('Claude API error: 503');
+    expect(table.entries.size).toBe(0);
+  });
+
+  it('is disabled with ANALYSIS_CACHE_TTL_HOURS=0', async () => {
+    process.env.ANALYSIS_CACHE_TTL_HOURS = '0';
+    let uncached;
+    jest.isolateModules(() => {
+      uncached = require('../utils/analysisCache');
+    });
+    delete process.env.ANALYSIS_CACHE_TTL_HOURS;
+
+    const result = await uncached.analyzeWithCache(request);
+
+    expect(uncached.ANALYSIS_CACHE_TTL_HOURS).toBe(0);
+    expect(result).toMatchObject({ analysis: 'Two findings.', cache: { hit: false } });
+    expect(result.cache).toEqual({ hit: false });
+    expect(analyzeWithAI).toHaveBeenCalledTimes(1);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
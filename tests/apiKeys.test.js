@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../utils/sessions', () => ({ getActiveSessionUser: jest.fn() }));
+jest.mock('../utils/audit', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../utils/logger', () => ({ security: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const db = require('../config/database');
+const { getActiveSessionUser } = require('../utils/sessions');
+const { authenticateApiKey } = require('../utils/apiKeys');
+const apiKeyRoutes = require('../routes/apiKeys');
+
+const app = express();
+app.use(express.json());
+app.use('/api/api-keys', apiKeyRoutes);
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const sessionToken = (role) => {
+  getActiveSessionUser.mockResolvedValue({ id: 7, email: 'user@example.com', email_verified: true, role, disabled_at: null });
+  return jwt.sign({ userId: 7, email: 'user@example.com', role, sid: 'session-1', type: 'access' }, process.env.JWT_SECRET);
+};
+
+// In-memory api_keys table for the create path
+const fakeApiKeys = () => {
+  const rows = [];
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT COUNT(*) FROM api_keys')) {
+      return { rows: [{ count: String(rows.length) }] };
+    }
+    if (sql.startsWith('INSERT INTO api_keys')) {
+      const [userId, name, keyPrefix, keyHash, permissions] = params;
+      const row = { id: rows.length + 1, user_id: userId, name, key_prefix: keyPrefix, key_hash: keyHash, permissions, created_at: new Date() };
+      rows.push(row);
+      return { rows: [row] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return rows;
+};
+
+describe('POST /api/api-keys', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns the key once and stores only its hash', async () => {
+    const rows = fakeApiKeys();
+
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${sessionToken('analyst')}`)
+      .send({ name: 'CI', permissions: ['documents:read', 'documents:upload', 'documents:read'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.key).toMatch(/^csk_[0-9a-f]{8}_/);
+    expect(response.body.apiKey).toMatchObject({ name: 'CI', permissions: ['documents:read', 'documents:upload'] });
+    expect(response.body.apiKey).not.toHaveProperty('key_hash');
+    expect(rows[0].key_hash).toBe(sha256(response.body.key));
+  });
+
+  it('refuses permissions the owner role does not have', async () => {
+    fakeApiKeys();
+
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${sessionToken('viewer')}`)
+      .send({ name: 'CI', permissions: ['documents:read', 'documents:upload'] });
+
+    expect(response.status).toBe(403);
+    expect(response.body.permissions).toEqual(['documents:upload']);
+  });
+
+  it('rejects unknown permissions and empty scopes', async () => {
+    const token = sessionToken('admin');
+
+    const unknown = await request(app).post('/api/api-keys').set('Authorization', `Bearer ${token}`)
+      .send({ name: 'CI', permissions: ['everything'] });
+    const empty = await request(app).post('/api/api-keys').set('Authorization', `Bearer ${token}`)
+      .send({ name: 'CI', permissions: [] });
+
+    expect(unknown.status).toBe(400);
+    expect(empty.status).toBe(400);
+  });
+
+  it('cannot be called with an API key', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 1, user_id: 7, role: 'admin', permissions: ['users:manage'], last_used_at: new Date() }] });
+
+    const response = await request(app).post('/api/api-keys').set('X-API-Key', 'csk_abcdef01_secret')
+      .send({ name: 'CI', permissions: ['documents:read'] });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('authenticateApiKey', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('looks keys up by hash and ignores credentials without the key prefix', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await expect(authenticateApiKey('eyJhbGciOiJIUzI1NiJ9.e30.x', '203.0.113.1')).resolves.toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+
+    await expect(authenticateApiKey('csk_abcdef01_secret', '203.0.113.1')).resolves.toBeNull();
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('k.key_hash = $1'), [sha256('csk_abcdef01_secret')]);
+  });
+
+  it('records use at most once a minute', async () => {
+    const row = { id: 3, permissions: ['documents:read'], user_id: 7, role: 'analyst' };
+
+    db.query.mockResolvedValueOnce({ rows: [{ ...row, last_used_at: new Date() }] });
+    await authenticateApiKey('csk_abcdef01_secret', '203.0.113.1');
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    db.query.mockResolvedValueOnce({ rows: [{ ...row, last_used_at: new Date(Date.now() - 5 * 60 * 1000) }] });
+    db.query.mockResolvedValueOnce({ rows: [] });
+    await expect(authenticateApiKey('csk_abcdef01_secret', '203.0.113.1')).resolves.toMatchObject({ id: 3 });
+    expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining('SET last_used_at = NOW()'), [3, '203.0.113.1']);
+  });
+});
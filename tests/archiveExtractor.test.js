@@ -0,0 +1,68 @@
+const JSZip = require('jszip');
+const { openArchive } = require('../utils/archiveExtractor');
+
+const TEXT_FORMAT = { mimeTypes: ['text/plain'] };
+const formatFor = name => (name.endsWith('.txt') ? TEXT_FORMAT : null);
+
+const buildZip = async (files, options = {}) => {
+  const zip = new JSZip();
+  for (const [name, content, fileOptions] of files) {
+    zip.file(name, content, fileOptions);
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', ...options });
+};
+
+describe('openArchive', () => {
+  it('lists supported entries with their folders and reads them lazily', async () => {
+    const buffer = await buildZip([['policies/access.txt', 'Access control policy'], ['readme.txt', 'Read me']]);
+
+    const { entries, rejected } = await openArchive(buffer, { formatFor });
+
+    expect(rejected).toEqual([]);
+    expect(entries.map(entry => [entry.path, entry.folder, entry.mimetype])).toEqual([
+      ['policies/access.txt', 'policies', 'text/plain'],
+      ['readme.txt', null, 'text/plain']
+    ]);
+    await expect(entries[0].read()).resolves.toEqual(Buffer.from('Access control policy'));
+  });
+
+  it('refuses archives with too many entries', async () => {
+    const files = Array.from({ length: 201 }, (_, i) => [`file-${i}.txt`, 'x']);
+    const buffer = await buildZip(files, { compression: 'STORE' });
+
+    await expect(openArchive(buffer, { formatFor })).rejects.toThrow('at most 200 are allowed');
+  });
+
+  it('rejects path traversal, nested archives, symlinks and unsupported types', async () => {
+    const buffer = await buildZip([
+      ['../outside.txt', 'escape'],
+      ['inner.zip', 'PK'],
+      ['link.txt', '/etc/passwd', { unixPermissions: 0o120777 }],
+      ['tool.exe', 'MZ'],
+      ['__MACOSX/._readme.txt', 'metadata'],
+      ['ok.txt', 'fine']
+    ], { platform: 'UNIX' });
+
+    const { entries, rejected } = await openArchive(buffer, { formatFor });
+
+    expect(entries.map(entry => entry.path)).toEqual(['ok.txt']);
+    expect(rejected).toEqual([
+      { filename: '../outside.txt', error: 'Path points outside the archive' },
+      { filename: 'inner.zip', error: 'Nested archives are not supported' },
+      { filename: 'link.txt', error: 'Symbolic links are not supported' },
+      { filename: 'tool.exe', error: 'Unsupported file type' }
+    ]);
+  });
+
+  it('stops decompressing an entry that expands far beyond the archive size', async () => {
+    const buffer = await buildZip([['bomb.txt', Buffer.alloc(20 * 1024 * 1024)]]);
+
+    const { entries } = await openArchive(buffer, { formatFor });
+
+    await expect(entries[0].read()).rejects.toThrow('it may be a zip bomb');
+  });
+
+  it('refuses files that are not zip archives', async () => {
+    await expect(openArchive(Buffer.from('not a zip'), { formatFor })).rejects.toThrow('Invalid archive');
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const { recordAuditEvent, verifyAuditChain } = require('../utils/audit');
+
+// In-memory audit_events table. details comes back parsed with its keys
+// reordered, as JSONB does.
+const fakeAuditTable = () => {
+  const rows = [];
+
+  const reorder = value => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).reverse().map(key => [key, reorder(value[key])]))
+    : value);
+
+  const client = {
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      if (sql.startsWith('SELECT hash FROM audit_events')) {
+        return { rows: rows.length > 0 ? [rows[rows.length - 1]] : [] };
+      }
+      if (sql.includes('INSERT INTO audit_events')) {
+        const [occurredAt, actorUserId, actorEmail, authMethod, action, targetType, targetId,
+          ipAddress, userAgent, outcome, details, prevHash, hash] = params;
+        rows.push({
+          id: String(rows.length + 1),
+          occurred_at: occurredAt,
+          actor_user_id: actorUserId,
+          actor_email: actorEmail,
+          auth_method: authMethod,
+          action,
+          target_type: targetType,
+          target_id: targetId,
+          ip_address: ipAddress,
+          user_agent: userAgent,
+          outcome,
+          details: details === null ? null : reorder(JSON.parse(details)),
+          prev_hash: prevHash,
+          hash
+        });
+      }
+      return { rows: [] };
+    })
+  };
+
+  db.getClient.mockResolvedValue(client);
+  db.query.mockImplementation(async (sql, [lastId, limit]) => {
+    return { rows: rows.filter(row => Number(row.id) > lastId).slice(0, limit) };
+  });
+
+  return rows;
+};
+
+const req = { ip: '203.0.113.7', user: { userId: 1, email: 'admin@example.com', authMethod: 'session' }, get: () => 'jest' };
+
+const recordEvents = async () => {
+  await recordAuditEvent({ req, action: 'auth.login' });
+  await recordAuditEvent({ req, action: 'user.role_change', targetType: 'user', targetId: 5, details: { previousRole: 'viewer', newRole: 'analyst' } });
+  await recordAuditEvent({ req, action: 'document.delete', targetType: 'document', targetId: 9, outcome: 'denied' });
+};
+
+describe('audit hash chain', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('chains each event to the one before it', async () => {
+    const rows = fakeAuditTable();
+    await recordEvents();
+
+    expect(rows[0].prev_hash).toBe('0'.repeat(64));
+    expect(rows[1].prev_hash).toBe(rows[0].hash);
+    expect(rows[2].prev_hash).toBe(rows[1].hash);
+    await expect(verifyAuditChain()).resolves.toEqual({
+      valid: true,
+      eventsVerified: 3,
+      firstInvalidEvent: null,
+      headHash: rows[2].hash
+    });
+  });
+
+  it('reports the first event whose content was changed', async () => {
+    const rows = fakeAuditTable();
+    await recordEvents();
+
+    rows[1].details.newRole = 'admin';
+
+    await expect(verifyAuditChain()).resolves.toMatchObject({
+      valid: false,
+      eventsVerified: 1,
+      firstInvalidEvent: { id: 2, action: 'user.role_change' }
+    });
+  });
+
+  it('detects a removed event', async () => {
+    const rows = fakeAuditTable();
+    await recordEvents();
+
+    rows.splice(1, 1);
+
+    await expect(verifyAuditChain()).resolves.toMatchObject({ valid: false, firstInvalidEvent: { id: 3 } });
+  });
+
+  it('verifies chains longer than one batch', async () => {
+    const rows = fakeAuditTable();
+    for (let i = 0; i < 1005; i++) {
+      await recordAuditEvent({ req, action: 'document.read', targetType: 'document', targetId: i });
+    }
+
+    await expect(verifyAuditChain()).resolves.toMatchObject({ valid: true, eventsVerified: 1005, headHash: rows[1004].hash });
+  });
+
+  it('logs instead of throwing when the event cannot be stored', async () => {
+    db.getClient.mockRejectedValue(new Error('connection refused'));
+
+    await expect(recordAuditEvent({ req, action: 'auth.login' })).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('Failed to record audit event:', { action: 'auth.login', error: 'connection refused' });
+  });
+});
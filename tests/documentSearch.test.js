@@ -0,0 +1,104 @@
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+
+const db = require('../config/database');
+const { buildTsQuery, searchDocuments } = require('../utils/documentSearch');
+
+describe('buildTsQuery', () => {
+  it.each([
+    ['access control', "('access' & 'control')"],
+    ['"incident response plan"', "('incident' <-> 'response' <-> 'plan')"],
+    ['encrypt*', "'encrypt':*"],
+    ['"data retent*"', "('data' <-> 'retent')"],
+    ['key-rotat*', "('key' <-> 'rotat':*)"],
+    ['gdpr -draft', "('gdpr' & !'draft')"],
+    ['policy -"pending review"', "('policy' & !('pending' <-> 'review'))"],
+    ['soc2 OR iso27001', "'soc2' | 'iso27001'"],
+    ['mfa totp OR "hardware key"', "('mfa' & 'totp') | ('hardware' <-> 'key')"],
+    ['Zugriffskontrolle Überprüfung', "('zugriffskontrolle' & 'überprüfung')"]
+  ])('translates %s', (input, expected) => {
+    expect(buildTsQuery(input)).toBe(expected);
+  });
+
+  it('reduces operators and quotes in the input to plain lexemes', () => {
+    expect(buildTsQuery("o'brien & (admin | root):*")).toBe("(('o' <-> 'brien') & 'admin' & 'root':*)");
+    expect(buildTsQuery('"unterminated phrase')).toBe("('unterminated' <-> 'phrase')");
+  });
+
+  it('ignores dangling OR and a lone dash', () => {
+    expect(buildTsQuery('OR audit OR OR logs OR')).toBe("'audit' | 'logs'");
+    expect(buildTsQuery('- audit')).toBe("'audit'");
+  });
+
+  it('returns null without a positive search term', () => {
+    expect(buildTsQuery('')).toBeNull();
+    expect(buildTsQuery('  !!! ()  ')).toBeNull();
+    expect(buildTsQuery('-draft -"old version"')).toBeNull();
+    expect(buildTsQuery('OR')).toBeNull();
+  });
+
+  it('caps the number of terms', () => {
+    const words = Array.from({ length: 40 }, (_, i) => `term${i}`);
+    const query = buildTsQuery(words.join(' '));
+
+    expect(query.match(/'term\d+'/g)).toHaveLength(32);
+    expect(query).not.toContain('term32');
+  });
+});
+
+describe('searchDocuments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('maps rows with HTML-escaped snippets and counts without paging', async () => {
+    db.query
+      .mockResolvedValueOnce({
+        rows: [{
+          id: 4,
+          filename: 'policy.txt',
+          file_size: 120,
+          mime_type: 'text/plain',
+          created_at: '2026-01-01T00:00:00Z',
+          rank: '0.5',
+          document_match: true,
+          content_snippet: 'Keep <script> out:\n\u0001access\u0002 control',
+          analysis_id: 9,
+          ai_provider: 'claude',
+          analysis_type: 'compliance',
+          analysis_snippet: 'Weak \u0001access\u0002 reviews'
+        }]
+      })
+      .mockResolvedValueOnce({ rows: [{ count: '41' }] });
+
+    const result = await searchDocuments(7, "'access'", { mimeType: 'text/plain', aiProvider: 'claude' }, { limit: 20, offset: 40 });
+
+    expect(result).toEqual({
+      results: [{
+        id: 4,
+        filename: 'policy.txt',
+        fileSize: 120,
+        mimeType: 'text/plain',
+        createdAt: '2026-01-01T00:00:00Z',
+        rank: 0.5,
+        matchedIn: ['document', 'analysis'],
+        snippet: 'Keep &lt;script&gt; out: <mark>access</mark> control',
+        analysisMatch: {
+          analysisId: 9,
+          aiProvider: 'claude',
+          analysisType: 'compliance',
+          snippet: 'Weak <mark>access</mark> reviews'
+        }
+      }],
+      total: 41
+    });
+
+    const [searchSql, searchParams] = db.query.mock.calls[0];
+    expect(searchParams).toEqual(["'access'", 7, 'text/plain', 'claude', 20, 40, expect.stringContaining('MaxFragments=3')]);
+    expect(searchSql).toContain('LIMIT $5 OFFSET $6');
+
+    const [countSql, countParams] = db.query.mock.calls[1];
+    expect(countParams).toEqual(["'access'", 7, 'text/plain', 'claude']);
+    expect(countSql).toContain('d.mime_type = $3');
+    expect(countSql).toContain('a.ai_provider = $4');
+  });
+});
@@ -0,0 +1,78 @@
+const JSZip = require('jszip');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { detectFileType, matchesSignature } = require('../utils/fileSignature');
+const { checkFileType } = require('../utils/documentFormats');
+
+const OLE_HEADER = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const zipWith = (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('detectFileType', () => {
+  it('recognises PDFs by their header at the start of the file', () => {
+    expect(detectFileType(Buffer.from('%PDF-1.7\n...')).type).toBe('pdf');
+    expect(detectFileType(Buffer.from('\uFEFF\r\n  %PDF-1.4\n...')).type).toBe('pdf');
+  });
+
+  it('treats text that mentions the PDF header as text', () => {
+    expect(detectFileType(Buffer.from('PDFs start with %PDF-1.7, see the spec')).type).toBe('text');
+    expect(detectFileType(Buffer.from('# Notes\n\n%PDF- marks a PDF file')).type).toBe('text');
+  });
+
+  it('recognises containers, images and executables', () => {
+    expect(detectFileType(Buffer.from('PK\x03\x04rest')).type).toBe('zip');
+    expect(detectFileType(Buffer.concat([OLE_HEADER, Buffer.alloc(16)])).type).toBe('ole');
+    expect(detectFileType(Buffer.concat([OLE_HEADER, Buffer.from('EncryptedPackage', 'utf16le')])).type).toBe('encrypted-office');
+    expect(detectFileType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])).type).toBe('png');
+    expect(detectFileType(Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]))).toEqual({
+      type: 'executable', description: 'a Windows executable', text: false
+    });
+  });
+
+  it('tells RTF source and text apart from unknown binary data', () => {
+    expect(detectFileType(Buffer.from('{\\rtf1\\ansi Hello}'))).toEqual({ type: 'rtf', description: 'an RTF document', text: true });
+    expect(detectFileType(Buffer.from('MZ is also how this line starts')).type).toBe('text');
+    expect(detectFileType(Buffer.from([0x01, 0x00, 0x02])).type).toBe('binary');
+  });
+});
+
+describe('matchesSignature', () => {
+  it('checks zip entries and their leading content', async () => {
+    const odt = await zipWith({ mimetype: 'application/vnd.oasis.opendocument.text' });
+    const signature = { type: 'zip', entry: 'mimetype', content: 'application/vnd.oasis.opendocument.text' };
+
+    await expect(matchesSignature(signature, odt)).resolves.toBe(true);
+    await expect(matchesSignature({ ...signature, content: 'application/vnd.oasis.opendocument.spreadsheet' }, odt)).resolves.toBe(false);
+    await expect(matchesSignature({ type: 'zip', entry: 'word/document.xml' }, odt)).resolves.toBe(false);
+  });
+});
+
+describe('checkFileType', () => {
+  it('accepts files whose content matches their type', async () => {
+    const docx = await zipWith({ 'word/document.xml': '<w:document/>' });
+
+    await expect(checkFileType({ originalname: 'policy.docx', mimetype: 'application/octet-stream', buffer: docx }))
+      .resolves.toMatchObject({ name: 'Word' });
+    await expect(checkFileType({ originalname: 'notes.md', mimetype: 'text/markdown', buffer: Buffer.from('See %PDF-1.7') }))
+      .resolves.toMatchObject({ name: 'Markdown' });
+  });
+
+  it('rejects renamed files with a 415 naming what the content is', async () => {
+    const executable = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]);
+
+    await expect(checkFileType({ originalname: 'report.pdf', mimetype: 'application/pdf', buffer: executable }))
+      .rejects.toMatchObject({ statusCode: 415, message: 'report.pdf is not a valid PDF file: its content is a Windows executable' });
+  });
+
+  it('explains that legacy Word documents are not supported', async () => {
+    const doc = Buffer.concat([OLE_HEADER, Buffer.alloc(16)]);
+
+    await expect(checkFileType({ originalname: 'old.doc', mimetype: 'application/msword', buffer: doc }))
+      .rejects.toMatchObject({ statusCode: 415, message: expect.stringContaining('Save the document as .docx') });
+  });
+});
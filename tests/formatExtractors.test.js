@@ -0,0 +1,200 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const JSZip = require('jszip');
+const {
+  extractFromHTML,
+  extractFromRTF,
+  extractFromODT,
+  extractFromPPTX,
+  extractFromXLSX,
+  extractFromCSV,
+  extractFromJSON,
+  extractFromYAML
+} = require('../utils/formatExtractors');
+
+const html = source => extractFromHTML(Buffer.from(source));
+
+const zipOf = async (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('extractFromHTML', () => {
+  it('keeps headings, paragraphs and lists and drops scripts and styles', async () => {
+    const text = await html(
+      '<html><head><title>T</title><style>p { color: red }</style></head><body>' +
+      '<h1>Access &amp; Control</h1><p>First   para<br>line two</p>' +
+      '<script>alert(1)</script><ul><li>One</li><li>Two &lt;b&gt;</li></ul><!-- note --></body></html>'
+    );
+
+    expect(text).toBe('# Access & Control\n\nFirst para\nline two\n\n- One\n- Two <b>');
+  });
+
+  it('renders tables as Markdown tables, nested tables as cell text', async () => {
+    const text = await html(
+      '<table><tr><th>Name</th><th>Role</th></tr><tr><td>Jane</td><td>Admin | root</td></tr></table>' +
+      '<table><tr><td>Outer<table><tr><td>In</td></tr></table></td></tr></table>'
+    );
+
+    expect(text).toBe(
+      '| Name | Role |\n| --- | --- |\n| Jane | Admin \\| root |\n\n' +
+      '| Outer \\| In \\| \\| --- \\| |\n| --- |'
+    );
+  });
+
+  it('keeps preformatted text as is', async () => {
+    const text = await html('<p>Run:</p><pre>make   build &amp;&amp;\n  make test</pre>');
+
+    expect(text).toBe('Run:\n\nmake   build &&\n  make test');
+  });
+
+  it('keeps a "<" that does not start a tag', async () => {
+    await expect(html('<p>a < b and c > d</p>')).resolves.toBe('a < b and c > d');
+  });
+
+  it('runs in linear time on unclosed and deeply nested elements', async () => {
+    const inputs = [
+      '<script '.repeat(40000),
+      '<script>'.repeat(40000),
+      '<pre>' + '<'.repeat(300000),
+      '<h1>'.repeat(50000),
+      '<a'.repeat(150000),
+      '<table><tr><td>x</td></tr></table>'.repeat(6000),
+      '<table><tr><td>'.repeat(20000)
+    ];
+
+    for (const input of inputs) {
+      const started = Date.now();
+      await html(input);
+      expect(Date.now() - started).toBeLessThan(2000);
+    }
+  });
+});
+
+describe('extractFromRTF', () => {
+  it('keeps text and paragraphs and drops formatting tables', async () => {
+    const rtf = '{\\rtf1\\ansi\\ansicpg1252{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}' +
+      '{\\*\\generator Writer;}\\f0 Access \\b control\\b0\\par Caf\\\'e9 \\u8364?5 \\{braces\\}\\par\\emdash done}';
+
+    await expect(extractFromRTF(Buffer.from(rtf, 'latin1'))).resolves.toBe('Access control\nCafé €5 {braces}\n—done');
+  });
+
+  it('rejects files that are not RTF', async () => {
+    await expect(extractFromRTF(Buffer.from('plain text'))).rejects.toThrow('File is not a valid RTF document');
+  });
+});
+
+describe('extractFromODT', () => {
+  it('renders headings, paragraphs, lists and tables', async () => {
+    const content = '<?xml version="1.0"?>' +
+      '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+      'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0">' +
+      '<office:body><office:text>' +
+      '<text:h text:outline-level="2">Scope</text:h>' +
+      '<text:p>All<text:s text:c="3"/>systems<text:note><text:p>footnote</text:p></text:note>.</text:p>' +
+      '<text:list><text:list-item><text:p>One</text:p></text:list-item><text:list-item><text:p>Two</text:p></text:list-item></text:list>' +
+      '<table:table><table:table-row><table:table-cell><text:p>Name</text:p></table:table-cell><table:table-cell><text:p>Role</text:p></table:table-cell></table:table-row>' +
+      '<table:table-row><table:table-cell><text:p>Jane</text:p></table:table-cell><table:table-cell><text:p>Admin</text:p></table:table-cell></table:table-row></table:table>' +
+      '</office:text></office:body></office:document-content>';
+    const buffer = await zipOf({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': content });
+
+    await expect(extractFromODT(buffer)).resolves.toBe(
+      '## Scope\n\nAll   systems.\n\n- One\n- Two\n\n| Name | Role |\n| --- | --- |\n| Jane | Admin |'
+    );
+  });
+
+  it('rejects archives without content.xml and files that are not zips', async () => {
+    await expect(extractFromODT(await zipOf({ mimetype: 'application/vnd.oasis.opendocument.text' }))).rejects.toThrow('OpenDocument file has no content.xml');
+    await expect(extractFromODT(Buffer.from('not a zip'))).rejects.toThrow('File is not a valid OpenDocument document');
+  });
+});
+
+describe('extractFromPPTX', () => {
+  const P = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const slide = (title, body) => `<p:sld ${P}><p:cSld><p:spTree>` +
+    `<p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>` +
+    `<p:sp><p:txBody>${body.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>` +
+    '</p:spTree></p:cSld></p:sld>';
+
+  it('extracts slides in presentation order with their titles', async () => {
+    const buffer = await zipOf({
+      'ppt/presentation.xml': `<p:presentation ${P}><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>`,
+      'ppt/_rels/presentation.xml.rels': '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId2" Target="slides/slide1.xml"/><Relationship Id="rId3" Target="slides/slide2.xml"/></Relationships>',
+      'ppt/slides/slide1.xml': slide('Next steps', ['Rotate keys']),
+      'ppt/slides/slide2.xml': slide('Findings', ['MFA missing', 'Logs &amp; alerts'])
+    });
+
+    await expect(extractFromPPTX(buffer)).resolves.toBe(
+      '## Slide 1: Findings\n\nMFA missing\nLogs & alerts\n\n## Slide 2: Next steps\n\nRotate keys'
+    );
+  });
+
+  it('rejects archives without presentation.xml', async () => {
+    await expect(extractFromPPTX(await zipOf({ 'word/document.xml': '<w/>' }))).rejects.toThrow('PowerPoint file has no presentation.xml');
+  });
+});
+
+describe('extractFromXLSX', () => {
+  const S = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const workbook = (sheets, cells) => zipOf({
+    'xl/workbook.xml': `<workbook ${S}><sheets>${sheets}</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst ${S}><si><t>Control</t></si><si><r><t>Own</t></r><r><t>er</t></r></si></sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet ${S}><sheetData>${cells}</sheetData></worksheet>`,
+    'xl/worksheets/sheet2.xml': `<worksheet ${S}><sheetData/></worksheet>`
+  });
+
+  it('keeps cells in their columns and leaves out empty columns', async () => {
+    const buffer = await workbook(
+      '<sheet name="Risks" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" state="hidden" r:id="rId2"/>',
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="D1" t="s"><v>1</v></c></row>' +
+      '<row r="2"><c r="A2" t="inlineStr"><is><t>MFA</t></is></c><c r="C2"><v>3</v></c><c r="D2" t="b"><v>1</v></c></row>'
+    );
+
+    await expect(extractFromXLSX(buffer)).resolves.toBe(
+      '## Sheet: Risks\n\n| Control |  | Owner |\n| --- | --- | --- |\n| MFA | 3 | TRUE |\n\n## Sheet: Notes (hidden)\n\n(empty)'
+    );
+  });
+
+  it('rejects cell references beyond the last Excel column', async () => {
+    const buffer = await workbook('<sheet name="Risks" sheetId="1" r:id="rId1"/>', '<row r="1"><c r="ZZZZ1"><v>1</v></c></row>');
+
+    await expect(extractFromXLSX(buffer)).rejects.toThrow('Excel file has an invalid cell reference: ZZZZ1');
+  });
+});
+
+describe('extractFromCSV', () => {
+  it('detects the delimiter and handles quoted fields', async () => {
+    const csv = 'Control;Owner;Notes\r\nMFA;"Smith; J.";"Says ""done""\nlast week"\r\n\r\n;;\nLogging;Ops;\n';
+
+    await expect(extractFromCSV(Buffer.from(`\uFEFF${csv}`))).resolves.toBe(
+      '| Control | Owner | Notes |\n| --- | --- | --- |\n| MFA | Smith; J. | Says "done" last week |\n| Logging | Ops |  |'
+    );
+  });
+
+  it('reads tab-separated files', async () => {
+    await expect(extractFromCSV(Buffer.from('a\tb\n1\t2|3\n'))).resolves.toBe('| a | b |\n| --- | --- |\n| 1 | 2\\|3 |');
+  });
+});
+
+describe('extractFromJSON and extractFromYAML', () => {
+  it('pretty-prints JSON and reports invalid JSON', async () => {
+    await expect(extractFromJSON(Buffer.from('{"mfa":{"required":true}}'))).resolves.toBe('{\n  "mfa": {\n    "required": true\n  }\n}');
+    await expect(extractFromJSON(Buffer.from('{"mfa":'))).rejects.toThrow('Invalid JSON');
+  });
+
+  it('keeps YAML as written, comments included, and reports invalid YAML', async () => {
+    const source = '# Password policy\nminLength: 12   \n---\nlockout: 5\n';
+
+    await expect(extractFromYAML(Buffer.from(source))).resolves.toBe('# Password policy\nminLength: 12\n---\nlockout: 5');
+    await expect(extractFromYAML(Buffer.from('key: [unclosed'))).rejects.toThrow('Invalid YAML');
+  });
+});
@@ -0,0 +1,235 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JOB_CONCURRENCY = '0';
+process.env.JOB_POLL_INTERVAL_MS = '10';
+process.env.JOB_LEASE_SECONDS = '1';
+process.env.JOB_MAX_ATTEMPTS = '3';
+
+jest.mock('../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../utils/analysisCache', () => ({ analyzeWithCache: jest.fn() }));
+jest.mock('../utils/audit', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const db = require('../config/database');
+const { analyzeWithCache } = require('../utils/analysisCache');
+const { recordAuditEvent } = require('../utils/audit');
+const { enqueueAnalysisJob, startJobWorkers, stopJobWorkers } = require('../utils/jobQueue');
+
+const UNAVAILABLE = 'The selected AI service is currently unavailable. Please try again later or select a different provider.';
+const REJECTED = 'The selected AI service rejected the analysis request. Please select a different provider or contact support.';
+
+// In-memory analysis_jobs table. Time is in seconds and only moves when a
+// test advances it, so retry delays and lease expiry are deterministic.
+const fakeJobTable = () => {
+  const table = { now: 1000, jobs: [] };
+  const lockedBy = (job, workerId) => job.locked_by === workerId && job.status === 'running';
+  const find = id => table.jobs.find(job => job.id === id);
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO analysis_jobs')) {
+      const [id, userId, documentId, status, jobParams, maxAttempts] = params;
+      const job = {
+        id, user_id: userId, document_id: documentId, status, params: JSON.parse(jobParams),
+        max_attempts: maxAttempts, attempts: 0, progress: 0, error: null, analysis_id: null,
+        locked_by: null, locked_until: null, run_after: table.now, created_at: table.jobs.length
+      };
+      table.jobs.push(job);
+      return { rows: [{ ...job }] };
+    }
+    if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+      const [running, workerId, leaseSeconds, queued] = params;
+      const job = table.jobs.find(row => (row.status === queued && row.run_after <= table.now) ||
+        (row.status === running && row.locked_until < table.now));
+      if (!job) return { rows: [] };
+      Object.assign(job, { status: running, attempts: job.attempts + 1, progress: 0, error: null, locked_by: workerId, locked_until: table.now + leaseSeconds });
+      return { rows: [{ ...job }] };
+    }
+    if (sql.includes('SET locked_until')) {
+      const [id, workerId, leaseSeconds] = params;
+      const job = find(id);
+      if (!lockedBy(job, workerId)) return { rowCount: 0 };
+      job.locked_until = table.now + leaseSeconds;
+      return { rowCount: 1 };
+    }
+    if (sql.includes('SET progress = $3')) {
+      const [id, workerId, progress] = params;
+      const job = find(id);
+      if (lockedBy(job, workerId)) job.progress = progress;
+      return { rowCount: 1 };
+    }
+    if (sql.includes('run_after = NOW() + $5')) {
+      const [id, workerId, status, error, delaySeconds] = params;
+      const job = find(id);
+      if (lockedBy(job, workerId)) Object.assign(job, { status, error, run_after: table.now + delaySeconds, locked_by: null, locked_until: null });
+      return { rowCount: 1 };
+    }
+    if (sql.includes('SET status = $3, error = $4, finished_at')) {
+      const [id, workerId, status, error] = params;
+      const job = find(id);
+      if (lockedBy(job, workerId)) Object.assign(job, { status, error, locked_by: null, locked_until: null });
+      return { rowCount: 1 };
+    }
+    if (sql.includes('GREATEST(attempts - 1, 0)')) {
+      const [workerId, status] = params;
+      const released = table.jobs.filter(job => lockedBy(job, workerId));
+      released.forEach(job => Object.assign(job, { status, attempts: Math.max(job.attempts - 1, 0), locked_by: null, locked_until: null, run_after: table.now }));
+      return { rowCount: released.length };
+    }
+    if (sql.includes('FROM documents')) {
+      return { rows: [{ id: params[0][0], filename: 'policy.txt', version_number: 1, content: 'Policy text', scan_status: 'clean' }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  db.getClient.mockImplementation(async () => ({
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) {
+        const job = find(params[0]);
+        return { rows: lockedBy(job, params[1]) ? [{ id: job.id }] : [] };
+      }
+      if (sql.includes('INSERT INTO analyses')) {
+        return { rows: [{ id: 77 }] };
+      }
+      if (sql.includes('UPDATE analysis_jobs')) {
+        const [id, status, analysisId] = params;
+        Object.assign(find(id), { status, progress: 100, analysis_id: analysisId, locked_by: null, locked_until: null });
+      }
+      return { rows: [] };
+    })
+  }));
+
+  return table;
+};
+
+const waitFor = async (condition) => {
+  const deadline = Date.now() + 3000;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the job queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const analysis = () => ({
+  placeholders: {},
+  summary: 'ok',
+  metadata: {},
+  tokensUsed: 10,
+  cache: { hit: false },
+  redaction: { total: 0 }
+});
+
+const providerError = (status, retryable) => {
+  const error = new Error(`Claude API error: ${status}`);
+  error.provider = 'claude';
+  error.providerStatus = status;
+  error.retryable = retryable;
+  return error;
+};
+
+const enqueue = () => enqueueAnalysisJob({ userId: 7, documentId: 3, aiProvider: 'claude', analysisType: 'compliance' });
+
+describe('analysis job queue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await stopJobWorkers();
+  });
+
+  it('retries provider outages with exponential backoff until attempts run out', async () => {
+    const table = fakeJobTable();
+    analyzeWithCache.mockRejectedValue(providerError(503, true));
+    const { id } = await enqueue();
+    const job = table.jobs[0];
+
+    startJobWorkers(1);
+    await waitFor(() => job.attempts === 1 && job.status === 'queued');
+    expect(job.run_after).toBe(table.now + 30);
+    expect(job.error).toBe(UNAVAILABLE);
+
+    table.now += 30;
+    await waitFor(() => job.attempts === 2 && job.status === 'queued');
+    expect(job.run_after).toBe(table.now + 60);
+
+    table.now += 60;
+    await waitFor(() => job.status === 'failed');
+    expect(job.attempts).toBe(3);
+    expect(job.error).toBe(UNAVAILABLE);
+    expect(recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'document.analyze',
+      outcome: 'failure',
+      details: expect.objectContaining({ jobId: id, error: UNAVAILABLE })
+    }));
+  });
+
+  it('fails a job the provider rejected without retrying it', async () => {
+    const table = fakeJobTable();
+    analyzeWithCache.mockRejectedValue(providerError(400, false));
+    await enqueue();
+    const job = table.jobs[0];
+
+    startJobWorkers(1);
+    await waitFor(() => job.status === 'failed');
+
+    expect(job.attempts).toBe(1);
+    expect(job.error).toBe(REJECTED);
+    expect(analyzeWithCache).toHaveBeenCalledTimes(1);
+  });
+
+  it('reclaims a job whose lease expired and leaves live leases alone', async () => {
+    const table = fakeJobTable();
+    analyzeWithCache.mockResolvedValue(analysis());
+    await enqueue();
+    await enqueue();
+    const [crashed, leased] = table.jobs;
+    Object.assign(crashed, { status: 'running', attempts: 1, locked_by: 'crashed-worker', locked_until: table.now - 1 });
+    Object.assign(leased, { status: 'running', attempts: 1, locked_by: 'other-worker', locked_until: table.now + 60 });
+
+    startJobWorkers(1);
+    await waitFor(() => crashed.status === 'completed');
+
+    expect(crashed.attempts).toBe(2);
+    expect(crashed.analysis_id).toBe(77);
+    expect(leased).toMatchObject({ status: 'running', attempts: 1, locked_by: 'other-worker' });
+    expect(analyzeWithCache).toHaveBeenCalledTimes(1);
+  });
+
+  it('aborts the provider request once the lease is lost', async () => {
+    const table = fakeJobTable();
+    let signal;
+    analyzeWithCache.mockImplementation((request, options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+    });
+    await enqueue();
+    const job = table.jobs[0];
+
+    startJobWorkers(1);
+    await waitFor(() => signal !== undefined);
+
+    // Another worker took the job over after our lease lapsed
+    job.locked_by = 'other-worker';
+    await waitFor(() => signal.aborted);
+
+    expect(job).toMatchObject({ status: 'running', locked_by: 'other-worker', error: null });
+    expect(recordAuditEvent).not.toHaveBeenCalled();
+  });
+
+  it('hands in-flight jobs back to the queue on shutdown', async () => {
+    const table = fakeJobTable();
+    analyzeWithCache.mockImplementation((request, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    await enqueue();
+    const job = table.jobs[0];
+
+    startJobWorkers(1);
+    await waitFor(() => analyzeWithCache.mock.calls.length === 1);
+    await stopJobWorkers();
+
+    expect(job).toMatchObject({ status: 'queued', attempts: 0, locked_by: null, run_after: table.now });
+  });
+});
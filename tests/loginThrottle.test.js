@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../utils/redis', () => ({ getRedisClient: () => null }));
+jest.mock('../utils/audit', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../utils/logger', () => ({ security: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { recordAuditEvent } = require('../utils/audit');
+const { getLockout, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const loginThrottle = require('../middleware/loginThrottle');
+
+// Each test uses its own IP so the per-IP counters do not carry over
+let nextIp = 1;
+const requestFrom = () => ({ ip: `198.51.100.${nextIp++}`, get: () => 'jest' });
+
+const fail = async (email, req, times) => {
+  for (let i = 0; i < times; i++) {
+    await recordLoginFailure(email, req);
+  }
+};
+
+describe('login lockout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('locks an account after five failed logins', async () => {
+    const req = requestFrom();
+
+    await fail('victim@example.com', req, 4);
+    await expect(getLockout('victim@example.com', '203.0.113.1')).resolves.toBeNull();
+
+    await fail('victim@example.com', req, 1);
+    const lockout = await getLockout('Victim@Example.com ', '203.0.113.1');
+
+    expect(lockout.scope).toBe('account');
+    expect(lockout.retryAfter).toBeGreaterThan(14 * 60);
+    expect(lockout.retryAfter).toBeLessThanOrEqual(15 * 60);
+    expect(recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'auth.account_locked',
+      targetId: 'victim@example.com',
+      outcome: 'denied'
+    }));
+  });
+
+  it('resets the account count after a successful login', async () => {
+    const req = requestFrom();
+
+    await fail('forgetful@example.com', req, 4);
+    await recordLoginSuccess('forgetful@example.com');
+    await fail('forgetful@example.com', req, 4);
+
+    await expect(getLockout('forgetful@example.com', '203.0.113.1')).resolves.toBeNull();
+  });
+
+  it('locks an IP address spraying many accounts', async () => {
+    const req = requestFrom();
+
+    for (let i = 0; i < 20; i++) {
+      await recordLoginFailure(`user${i}@example.com`, req);
+    }
+
+    await expect(getLockout('someone-else@example.com', req.ip)).resolves.toMatchObject({ scope: 'ip' });
+    expect(recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ action: 'auth.ip_locked', targetId: req.ip }));
+  });
+
+  it('answers locked out login attempts with 429 and Retry-After', async () => {
+    await fail('locked@example.com', requestFrom(), 5);
+
+    const app = express();
+    app.use(express.json());
+    app.post('/login', loginThrottle, (req, res) => res.json({ ok: true }));
+
+    const locked = await request(app).post('/login').send({ email: 'locked@example.com', password: 'x' });
+    const other = await request(app).post('/login').send({ email: 'other@example.com', password: 'x' });
+
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(locked.body.error).toBe('Too many failed attempts');
+    expect(other.status).toBe(200);
+  });
+});
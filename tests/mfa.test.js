@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../config/database');
+const { encrypt } = require('../utils/encryption');
+const { generateSecret, generateCode, getTimeStep } = require('../utils/totp');
+const { verifySecondFactor } = require('../utils/mfa');
+
+// In-memory stand-in for the users and mfa_recovery_codes rows the
+// queries in utils/mfa.js read and update
+const fakeDatabase = (secret) => {
+  const user = { mfa_enabled: true, mfa_secret: encrypt(secret), mfa_last_used_step: null };
+  const recoveryCodes = new Map();
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('SELECT mfa_enabled')) {
+      return { rows: [user] };
+    }
+    if (sql.startsWith('UPDATE users SET mfa_last_used_step')) {
+      const [, step] = params;
+      if (user.mfa_last_used_step !== null && user.mfa_last_used_step >= step) {
+        return { rowCount: 0 };
+      }
+      user.mfa_last_used_step = step;
+      return { rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE mfa_recovery_codes')) {
+      const [, hash] = params;
+      if (!recoveryCodes.has(hash) || recoveryCodes.get(hash).used) {
+        return { rowCount: 0 };
+      }
+      recoveryCodes.get(hash).used = true;
+      return { rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return { user, recoveryCodes };
+};
+
+describe('verifySecondFactor', () => {
+  let secret;
+
+  beforeEach(() => {
+    secret = generateSecret();
+    db.query.mockReset();
+  });
+
+  it('accepts a current TOTP code once and rejects its replay', async () => {
+    fakeDatabase(secret);
+    const code = generateCode(secret, getTimeStep());
+
+    await expect(verifySecondFactor(1, { code })).resolves.toBe('totp');
+    await expect(verifySecondFactor(1, { code })).resolves.toBeNull();
+  });
+
+  it('rejects a code from a step older than the last one used', async () => {
+    const { user } = fakeDatabase(secret);
+    const currentStep = getTimeStep();
+    user.mfa_last_used_step = currentStep;
+
+    await expect(verifySecondFactor(1, { code: generateCode(secret, currentStep - 1) })).resolves.toBeNull();
+  });
+
+  it('rejects codes outside the allowed window', async () => {
+    fakeDatabase(secret);
+
+    await expect(verifySecondFactor(1, { code: generateCode(secret, getTimeStep() + 5) })).resolves.toBeNull();
+    await expect(verifySecondFactor(1, { code: 'abcdef' })).resolves.toBeNull();
+  });
+
+  it('rejects every code when MFA is not enabled', async () => {
+    const { user } = fakeDatabase(secret);
+    user.mfa_enabled = false;
+
+    await expect(verifySecondFactor(1, { code: generateCode(secret, getTimeStep()) })).resolves.toBeNull();
+  });
+
+  it('accepts a recovery code only once', async () => {
+    const { recoveryCodes } = fakeDatabase(secret);
+    const hash = crypto.createHash('sha256').update('abcde12345').digest('hex');
+    recoveryCodes.set(hash, { used: false });
+
+    await expect(verifySecondFactor(1, { recoveryCode: 'ABCDE-12345' })).resolves.toBe('recovery_code');
+    await expect(verifySecondFactor(1, { recoveryCode: 'abcde-12345' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const db = require('../config/database');
+const { validatePassword, savePasswordHistory } = require('../utils/passwordPolicy');
+
+const STRONG_PASSWORD = 'correct horse battery staple 42';
+
+const rulesOf = violations => violations.map(violation => violation.rule);
+
+describe('validatePassword', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    delete process.env.PASSWORD_BREACHED_HASH_DIR;
+  });
+
+  it('accepts a long, unguessable password', async () => {
+    await expect(validatePassword(STRONG_PASSWORD)).resolves.toEqual([]);
+  });
+
+  it('enforces the length limits', async () => {
+    expect(rulesOf(await validatePassword('Xq7#pL2!'))).toContain('minLength');
+    expect(rulesOf(await validatePassword('ü'.repeat(40)))).toContain('maxLength');
+    await expect(validatePassword('')).resolves.toEqual([{ rule: 'required', message: 'Password is required' }]);
+  });
+
+  it('rejects passwords from the bundled breached list, in any case', async () => {
+    expect(rulesOf(await validatePassword('1QAZ2WSX3EDC'))).toContain('breached');
+  });
+
+  it('rejects passwords found in a hash-prefix directory', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pwned-'));
+    const hash = crypto.createHash('sha1').update(STRONG_PASSWORD).digest('hex').toUpperCase();
+    fs.writeFileSync(path.join(directory, `${hash.substring(0, 5)}.txt`), `0000000000000000000000000000000000A:1\n${hash.substring(5)}:12\n`);
+    process.env.PASSWORD_BREACHED_HASH_DIR = directory;
+
+    try {
+      expect(rulesOf(await validatePassword(STRONG_PASSWORD))).toEqual(['breached']);
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+
+  it('rejects passwords built from the user name or email', async () => {
+    const violations = await validatePassword('janedoejanedoe', { email: 'janedoe@example.com', name: 'Jane Doe' });
+
+    expect(rulesOf(violations)).toEqual(['strength']);
+    expect(violations[0]).toMatchObject({ requiredScore: 3 });
+  });
+
+  it('rejects the current and recent passwords of the user', async () => {
+    const previous = await bcrypt.hash(STRONG_PASSWORD, 4);
+    db.query.mockResolvedValue({ rows: [{ password_hash: await bcrypt.hash('another long passphrase 77', 4) }, { password_hash: previous }] });
+
+    expect(rulesOf(await validatePassword(STRONG_PASSWORD, { userId: 7 }))).toEqual(['history']);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('password_history'), [7, 4]);
+
+    await expect(validatePassword('a completely new passphrase 9', { userId: 7 })).resolves.toEqual([]);
+  });
+});
+
+describe('savePasswordHistory', () => {
+  it('stores the replaced hash and keeps only the configured number', async () => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+
+    await savePasswordHistory(7, '$2b$12$previous');
+
+    expect(db.query).toHaveBeenNthCalledWith(1, expect.stringContaining('INSERT INTO password_history'), [7, '$2b$12$previous']);
+    expect(db.query).toHaveBeenNthCalledWith(2, expect.stringContaining('DELETE FROM password_history'), [7, 5]);
+  });
+});
@@ -0,0 +1,117 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../utils/sessions', () => ({ getActiveSessionUser: jest.fn() }));
+jest.mock('../utils/apiKeys', () => ({
+  isApiKey: key => key.startsWith('key_'),
+  authenticateApiKey: jest.fn()
+}));
+jest.mock('../utils/audit', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../utils/logger', () => ({ security: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { getActiveSessionUser } = require('../utils/sessions');
+const { authenticateApiKey } = require('../utils/apiKeys');
+const { recordAuditEvent } = require('../utils/audit');
+const auth = require('../middleware/auth');
+const { requirePermission, requireSession } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+
+const app = express();
+app.get('/documents', auth, requirePermission(PERMISSIONS.DOCUMENTS_READ), (req, res) => res.json({ ok: true }));
+app.post('/documents', auth, requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD), (req, res) => res.json({ ok: true }));
+app.get('/users', auth, requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => res.json({ ok: true }));
+app.post('/api-keys', auth, requireSession, (req, res) => res.json({ ok: true }));
+
+const accessToken = (role) => jwt.sign(
+  { userId: 7, email: 'user@example.com', role, sid: 'session-1', type: 'access' },
+  process.env.JWT_SECRET
+);
+
+const sessionAs = (role, extra = {}) => {
+  getActiveSessionUser.mockResolvedValue({ id: 7, email: 'user@example.com', email_verified: true, role, disabled_at: null, ...extra });
+};
+
+describe('role-based access control', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('denies a viewer the upload permission and records the denial', async () => {
+    sessionAs('viewer');
+
+    const response = await request(app).post('/documents').set('Authorization', `Bearer ${accessToken('viewer')}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.requiredPermissions).toEqual([PERMISSIONS.DOCUMENTS_UPLOAD]);
+    expect(recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'authz.permission_denied',
+      outcome: 'denied'
+    }));
+  });
+
+  it('allows a viewer to read documents', async () => {
+    sessionAs('viewer');
+
+    const response = await request(app).get('/documents').set('Authorization', `Bearer ${accessToken('viewer')}`);
+
+    expect(response.status).toBe(200);
+    expect(recordAuditEvent).not.toHaveBeenCalled();
+  });
+
+  it('denies user management to analysts and allows it to admins', async () => {
+    sessionAs('analyst');
+    const denied = await request(app).get('/users').set('Authorization', `Bearer ${accessToken('analyst')}`);
+
+    sessionAs('admin');
+    const allowed = await request(app).get('/users').set('Authorization', `Bearer ${accessToken('admin')}`);
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+  });
+
+  it('uses the current database role over the role in the token', async () => {
+    sessionAs('viewer');
+
+    const response = await request(app).get('/users').set('Authorization', `Bearer ${accessToken('admin')}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('rejects disabled accounts and revoked sessions', async () => {
+    sessionAs('admin', { disabled_at: new Date() });
+    const disabled = await request(app).get('/documents').set('Authorization', `Bearer ${accessToken('admin')}`);
+
+    getActiveSessionUser.mockResolvedValue(null);
+    const revoked = await request(app).get('/documents').set('Authorization', `Bearer ${accessToken('admin')}`);
+
+    expect(disabled.status).toBe(403);
+    expect(revoked.status).toBe(401);
+  });
+
+  it('limits API keys to both their scopes and the owner role', async () => {
+    authenticateApiKey.mockResolvedValue({ id: 3, user_id: 7, role: 'admin', permissions: [PERMISSIONS.DOCUMENTS_READ] });
+    const outOfScope = await request(app).post('/documents').set('X-API-Key', 'key_admin');
+    const inScope = await request(app).get('/documents').set('X-API-Key', 'key_admin');
+
+    authenticateApiKey.mockResolvedValue({ id: 4, user_id: 7, role: 'viewer', permissions: [PERMISSIONS.USERS_MANAGE] });
+    const beyondRole = await request(app).get('/users').set('Authorization', 'Bearer key_viewer');
+
+    expect(outOfScope.status).toBe(403);
+    expect(inScope.status).toBe(200);
+    expect(beyondRole.status).toBe(403);
+  });
+
+  it('keeps API keys out of routes that need an interactive session', async () => {
+    authenticateApiKey.mockResolvedValue({ id: 3, user_id: 7, role: 'admin', permissions: Object.values(PERMISSIONS) });
+    const withKey = await request(app).post('/api-keys').set('X-API-Key', 'key_admin');
+
+    sessionAs('viewer');
+    const withSession = await request(app).post('/api-keys').set('Authorization', `Bearer ${accessToken('viewer')}`);
+
+    expect(withKey.status).toBe(403);
+    expect(withSession.status).toBe(200);
+  });
+});
@@ -0,0 +1,65 @@
+// Needs a real database and only removes the rows it creates; skipped
+// unless run as TEST_DATABASE_URL=postgres://... npm test
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const db = require('../config/database');
+
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+// Distinct letter-only words, so every one becomes its own lexeme
+const distinctWords = (totalLength) => {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz';
+  const words = [];
+
+  for (let i = 0, length = 0; length < totalLength; i++) {
+    let n = i;
+    let word = 'q';
+    for (let k = 0; k < 7; k++) {
+      word += alphabet[n % 26];
+      n = Math.floor(n / 26);
+    }
+    words.push(word);
+    length += word.length + 1;
+  }
+
+  return words;
+};
+
+describeWithDatabase('documents.search_vector', () => {
+  let userId;
+
+  beforeAll(async () => {
+    await db.initializeDatabase();
+    const result = await db.query(
+      "INSERT INTO users (email, password, name) VALUES ($1, 'x', 'Search vector test') RETURNING id",
+      [`search-vector-${Date.now()}@example.com`]
+    );
+    userId = result.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await db.query('DELETE FROM users WHERE id = $1', [userId]);
+    await db.close();
+  });
+
+  it('indexes a document with more distinct terms than a tsvector can hold', async () => {
+    const words = distinctWords(990000);
+
+    const inserted = await db.query(
+      `INSERT INTO documents (user_id, filename, file_size, mime_type, content)
+       VALUES ($1, 'glossary.txt', $2, 'text/plain', $3)
+       RETURNING id`,
+      [userId, 990000, words.join(' ')]
+    );
+
+    const matches = await db.query(
+      "SELECT id FROM documents WHERE id = $1 AND search_vector @@ to_tsquery('english', $2)",
+      [inserted.rows[0].id, words[0]]
+    );
+    expect(matches.rows).toHaveLength(1);
+  });
+});
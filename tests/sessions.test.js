@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../config/database', () => ({ query: jest.fn() }));
+jest.mock('../utils/audit', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../utils/logger', () => ({ security: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const db = require('../config/database');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+const { createSession, rotateSession } = require('../utils/sessions');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+const user = { id: 42, email: 'analyst@example.com', role: 'analyst' };
+
+// In-memory stand-in for the sessions table, following the conditions of
+// the queries in utils/sessions.js
+const fakeDatabase = () => {
+  const sessions = new Map();
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('INSERT INTO sessions')) {
+      const [id, userId, hash] = params;
+      sessions.set(id, { userId, hash, revoked: false });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET refresh_token_hash')) {
+      const [id, hash, newHash] = params;
+      const session = sessions.get(id);
+      if (!session || session.revoked || session.hash !== hash) {
+        return { rows: [], rowCount: 0 };
+      }
+      session.hash = newHash;
+      return { rows: [user], rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE sessions SET revoked_at')) {
+      const session = sessions.get(params[0]);
+      if (!session || session.revoked) {
+        return { rows: [], rowCount: 0 };
+      }
+      session.revoked = true;
+      return { rows: [{ user_id: session.userId }], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return sessions;
+};
+
+describe('refresh token rotation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores only a hash of the refresh token', async () => {
+    const sessions = fakeDatabase();
+    const { refreshToken } = await createSession(user, req);
+    const [sessionId, secret] = refreshToken.split('.');
+
+    expect(sessions.get(sessionId).hash).toBe(hashToken(secret));
+    expect(JSON.stringify([...sessions.values()])).not.toContain(secret);
+  });
+
+  it('issues a new token pair bound to the same session', async () => {
+    fakeDatabase();
+    const first = await createSession(user, req);
+    const second = await rotateSession(first.refreshToken, req);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.refreshToken.split('.')[0]).toBe(first.refreshToken.split('.')[0]);
+    expect(jwt.verify(second.token, process.env.JWT_SECRET)).toMatchObject({
+      userId: user.id,
+      role: user.role,
+      sid: first.refreshToken.split('.')[0],
+      type: 'access'
+    });
+  });
+
+  it('revokes the session when a rotated refresh token is presented again', async () => {
+    const sessions = fakeDatabase();
+    const first = await createSession(user, req);
+    const second = await rotateSession(first.refreshToken, req);
+
+    await expect(rotateSession(first.refreshToken, req)).resolves.toBeNull();
+
+    const sessionId = first.refreshToken.split('.')[0];
+    expect(sessions.get(sessionId).revoked).toBe(true);
+    expect(logger.security).toHaveBeenCalledWith('Refresh token reuse detected, session revoked', expect.objectContaining({ sessionId }));
+    expect(recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'auth.refresh_token_reuse',
+      targetId: sessionId,
+      outcome: 'denied'
+    }));
+
+    // The legitimate holder's current token dies with the session
+    await expect(rotateSession(second.refreshToken, req)).resolves.toBeNull();
+  });
+
+  it('rejects malformed refresh tokens without querying the database', async () => {
+    fakeDatabase();
+
+    for (const token of [undefined, '', 'no-separator', '.secret', 'not-a-uuid.secret', `${crypto.randomUUID()}.`]) {
+      await expect(rotateSession(token, req)).resolves.toBeNull();
+    }
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+const { diffSequences, diffDocuments, formatDiffForAnalysis } = require('../utils/textDiff');
+
+const apply = (ops, keep) => ops.filter(op => op.type === 'equal' || op.type === keep).map(op => op.value);
+const edits = ops => ops.filter(op => op.type !== 'equal').length;
+
+const policy = (sections) => {
+  return Object.entries(sections).map(([heading, lines]) => `${heading}\n${lines.join('\n')}\n`).join('\n');
+};
+
+describe('diffSequences', () => {
+  it('finds a shortest edit script between two sequences', () => {
+    const a = 'ABCABBA'.split('');
+    const b = 'CBABAC'.split('');
+    const ops = diffSequences(a, b);
+
+    expect(apply(ops, 'delete')).toEqual(a);
+    expect(apply(ops, 'insert')).toEqual(b);
+    expect(edits(ops)).toBe(5);
+  });
+
+  it('handles empty sides', () => {
+    expect(diffSequences([], [])).toEqual([]);
+    expect(diffSequences([], ['x'])).toEqual([{ type: 'insert', value: 'x' }]);
+    expect(diffSequences(['x'], [])).toEqual([{ type: 'delete', value: 'x' }]);
+  });
+
+  it('gives up once more than maxDistance edits are needed', () => {
+    expect(diffSequences(['a', 'b', 'c'], ['x', 'y', 'z'], 5)).toBeNull();
+    expect(edits(diffSequences(['a', 'b', 'c'], ['a', 'y', 'z'], 5))).toBe(4);
+  });
+});
+
+describe('diffDocuments', () => {
+  const v1 = policy({
+    '1. Scope': ['Applies to all production systems.'],
+    '2. Access Control': ['Accounts are reviewed yearly.', 'Shared accounts are forbidden.', 'Admins use MFA.'],
+    '3. Logging': ['Logs are kept for 90 days.']
+  });
+
+  it('reports identical versions, ignoring whitespace and blank lines', () => {
+    const reformatted = v1.replace(/ /g, '  ').replace(/\n/g, '\n\n');
+    const diff = diffDocuments(v1, reformatted);
+
+    expect(diff.summary).toEqual({
+      sectionsAdded: 0,
+      sectionsRemoved: 0,
+      sectionsModified: 0,
+      sectionsUnchanged: 3,
+      linesAdded: 0,
+      linesRemoved: 0,
+      identical: true
+    });
+  });
+
+  it('matches sections by heading and diffs their lines', () => {
+    const v2 = policy({
+      '1. Scope': ['Applies to all production systems.'],
+      '2. Access Control': ['Accounts are reviewed quarterly.', 'Shared accounts are forbidden.', 'Admins use MFA.'],
+      '4. Encryption': ['Data at rest is encrypted.']
+    });
+    const diff = diffDocuments(v1, v2);
+
+    expect(diff.sections.map(section => [section.heading, section.status])).toEqual([
+      ['1. Scope', 'unchanged'],
+      ['2. Access Control', 'modified'],
+      ['3. Logging', 'removed'],
+      ['4. Encryption', 'added']
+    ]);
+    expect(diff.sections[1].hunks).toEqual([{
+      oldStart: 1,
+      newStart: 1,
+      lines: [
+        { type: 'removed', text: 'Accounts are reviewed yearly.' },
+        { type: 'added', text: 'Accounts are reviewed quarterly.' },
+        { type: 'context', text: 'Shared accounts are forbidden.' },
+        { type: 'context', text: 'Admins use MFA.' }
+      ]
+    }]);
+    expect(diff.summary).toMatchObject({ sectionsAdded: 1, sectionsRemoved: 1, sectionsModified: 1, linesAdded: 2, linesRemoved: 2, identical: false });
+  });
+
+  it('pairs repeated headings in order', () => {
+    const v2 = policy({ 'SCOPE': ['First scope.'] }) + '\n' + policy({ 'SCOPE': ['Second scope, changed.'] });
+    const original = policy({ 'SCOPE': ['First scope.'] }) + '\n' + policy({ 'SCOPE': ['Second scope.'] });
+    const diff = diffDocuments(original, v2);
+
+    expect(diff.sections.map(section => section.status)).toEqual(['unchanged', 'modified']);
+  });
+
+  it('splits distant changes into separate hunks with context', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `Requirement ${i + 1}.`);
+    const changed = [...lines];
+    changed[1] = 'Requirement 2, amended.';
+    changed[17] = 'Requirement 18, amended.';
+    const diff = diffDocuments(`# Rules\n${lines.join('\n')}`, `# Rules\n${changed.join('\n')}`);
+    const [hunk1, hunk2] = diff.sections[0].hunks;
+
+    expect(diff.sections[0].hunks).toHaveLength(2);
+    expect(hunk1).toMatchObject({ oldStart: 1, newStart: 1 });
+    expect(hunk1.lines.map(line => line.type)).toEqual(['context', 'removed', 'added', 'context', 'context']);
+    expect(hunk2).toMatchObject({ oldStart: 16, newStart: 16 });
+    expect(hunk2.lines.map(line => line.type)).toEqual(['context', 'context', 'removed', 'added', 'context', 'context']);
+  });
+
+  it('reports unrelated long sections as replaced wholesale, within bounded time', () => {
+    const oldLines = Array.from({ length: 3000 }, (_, i) => `old clause ${i}`);
+    const newLines = Array.from({ length: 3000 }, (_, i) => `new clause ${i}`);
+
+    const started = Date.now();
+    const diff = diffDocuments(`# Terms\n${oldLines.join('\n')}`, `# Terms\n${newLines.join('\n')}`);
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(diff.sections).toHaveLength(1);
+    expect(diff.sections[0]).toMatchObject({ status: 'modified', linesAdded: 3000, linesRemoved: 3000 });
+  });
+
+  it('treats missing text as an empty document', () => {
+    const diff = diffDocuments(null, 'Just one line.');
+
+    expect(diff.sections).toEqual([{
+      heading: null,
+      status: 'modified',
+      linesAdded: 1,
+      linesRemoved: 0,
+      hunks: [{ oldStart: 1, newStart: 1, lines: [{ type: 'added', text: 'Just one line.' }] }]
+    }]);
+  });
+});
+
+describe('formatDiffForAnalysis', () => {
+  it('renders only the changed sections with diff markers', () => {
+    const diff = diffDocuments(
+      policy({ '1. Scope': ['All systems.'], '2. Retention': ['Keep logs 90 days.'] }),
+      policy({ '1. Scope': ['All systems.'], '2. Retention': ['Keep logs 30 days.'] })
+    );
+
+    expect(formatDiffForAnalysis(diff, { fromLabel: 'version 1 (policy.pdf)', toLabel: 'version 2 (policy.pdf)' })).toBe([
+      'Changes from version 1 (policy.pdf) to version 2 (policy.pdf):',
+      'Sections added: 0, removed: 0, modified: 1, unchanged: 1',
+      '',
+      '## 2. Retention [modified]',
+      '- Keep logs 90 days.',
+      '+ Keep logs 30 days.'
+    ].join('\n'));
+  });
+});
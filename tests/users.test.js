@@ -0,0 +1,75 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../utils/sessions', () => ({ getActiveSessionUser: jest.fn(), revokeAllSessions: jest.fn() }));
+jest.mock('../utils/audit', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../utils/logger', () => ({ security: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const db = require('../config/database');
+const { getActiveSessionUser } = require('../utils/sessions');
+const userRoutes = require('../routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+const token = jwt.sign({ userId: 7, email: 'user@example.com', role: 'viewer', sid: 'session-1', type: 'access' }, process.env.JWT_SECRET);
+
+// Rows for each dashboard query, picked by the table it reads
+const dashboardRows = (sql) => {
+  if (sql.includes('total_documents')) {
+    return [{ total_documents: '2', total_size: '30', recent_documents: '1', quarantined_documents: '0' }];
+  }
+  if (sql.includes('total_analyses')) {
+    return [{ total_analyses: '3', recent_analyses: '2', provider_usage: { claude: 2, openai: 1 } }];
+  }
+  if (sql.includes('t.tag')) {
+    return [{ tag: 'iso', documents: '2', analyses: '3' }];
+  }
+  if (sql.includes('f.folder')) {
+    return [{ folder: 'policies', documents: '2', analyses: '3' }];
+  }
+  return [];
+};
+
+describe('GET /api/users/dashboard', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getActiveSessionUser.mockResolvedValue({ id: 7, email: 'user@example.com', email_verified: true, role: 'viewer', disabled_at: null });
+    db.query.mockImplementation(async sql => ({ rows: dashboardRows(sql) }));
+  });
+
+  it('returns document, analysis, tag and folder statistics', async () => {
+    const response = await request(app).get('/api/users/dashboard?folderDepth=2').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.stats).toEqual({
+      documents: { total: 2, totalSize: 30, recent: 1, quarantined: 0 },
+      analyses: { total: 3, recent: 2, providerUsage: { claude: 2, openai: 1 } },
+      byTag: [{ tag: 'iso', documents: 2, analyses: 3 }],
+      byFolder: [{ folder: 'policies', documents: 2, analyses: 3 }]
+    });
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('f.folder'), [7, 2]);
+  });
+
+  it('counts analyses directly and provider usage in its own grouped query', async () => {
+    await request(app).get('/api/users/dashboard').set('Authorization', `Bearer ${token}`);
+
+    const [sql] = db.query.mock.calls.find(([query]) => query.includes('total_analyses'));
+    const outer = sql.replace(/\(SELECT json_object_agg[\s\S]*?\) p\)/, '');
+
+    expect(outer).toMatch(/FROM analyses\s+WHERE user_id = \$1$/);
+    expect(sql).toMatch(/json_object_agg\(p\.ai_provider, p\.count\)[\s\S]*GROUP BY ai_provider/);
+  });
+
+  it('rejects an out-of-range folderDepth', async () => {
+    const response = await request(app).get('/api/users/dashboard?folderDepth=11').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(400);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
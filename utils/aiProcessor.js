@@ -1,4 +1,7 @@
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { estimateTokens, splitIntoChunks } = require('./chunker');
+const { pageLocator } = require('./documentOutline');
 const logger = require('./logger');
 
 // Analysis prompts for different types
@@ -39,6 +42,18 @@ const ANALYSIS_PROMPTS = {
     
     Identify compliance gaps and provide remediation recommendations.
   `,
+  'change-impact': `
+    The following is a section-by-section diff between two versions of the same document.
+    Lines starting with "-" were removed, lines starting with "+" were added and other lines are unchanged context.
+    Analyze only what changed, from a cybersecurity perspective:
+    1. Security controls that were added, strengthened, weakened or removed
+    2. Changes in scope, roles, responsibilities or enforcement
+    3. New or changed compliance commitments (frameworks, regulations, deadlines)
+    4. Security risks introduced or mitigated by the revision
+    5. Changes that are editorial only and have no security impact
+    
+    Summarize the overall security impact of the revision and highlight the changes auditors should review.
+  `,
   'general': `
     Analyze this document from a cybersecurity perspective and provide:
     1. Summary of key security-related content
@@ -52,27 +67,129 @@ const ANALYSIS_PROMPTS = {
   `
 };
 
+// Read a Server-Sent Events response body, passing each parsed `data:`
+// payload to onEvent. Returns once the provider closes the stream.
+const readEventStream = async (stream, onEvent) => {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    onEvent(JSON.parse(payload));
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+
+  buffer += decoder.end();
+  if (buffer) handleLine(buffer);
+};
+
+// Network failures worth retrying (the request never got an answer)
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK']);
+
+// Wrap a provider failure. provider and providerStatus (the HTTP status, or
+// null when no response arrived) let callers tell failures apart without
+// parsing messages; retryable marks the ones worth trying again later:
+// rate limits (429), provider-side errors (5xx) and network failures, but
+// not rejected requests such as an invalid key or content that is too large.
+const providerError = (name, error) => {
+  const status = error.response?.status || null;
+  const wrapped = new Error(`${name} service error: ${error.response?.data?.error?.message || error.message}`);
+
+  wrapped.provider = name;
+  wrapped.providerStatus = status;
+  wrapped.retryable = error.retryable ?? (status ? status === 429 || status >= 500 : NETWORK_ERROR_CODES.has(error.code));
+
+  return wrapped;
+};
+
+// An error event in a stream the provider had already accepted: an
+// overload or internal failure on its side, so worth retrying
+const streamError = (error) => {
+  const wrapped = new Error(error?.message || 'Stream error');
+  wrapped.retryable = true;
+  return wrapped;
+};
+
+// POST a streaming completion request and forward text deltas to
+// options.onToken. extractText maps one provider event to its text delta.
+const streamCompletion = async (url, data, headers, options, extractText) => {
+  const response = await axios.post(url, data, {
+    headers,
+    responseType: 'stream',
+    timeout: 60000,
+    signal: options.signal
+  });
+
+  let text = '';
+  await readEventStream(response.data, (event) => {
+    const delta = extractText(event);
+    if (delta) {
+      text += delta;
+      options.onToken(delta);
+    }
+  });
+
+  return text;
+};
+
 // Claude AI integration
-const analyzeWithClaude = async (content, analysisType, customPrompt) => {
+const analyzeWithClaude = async (message, options = {}) => {
   try {
-    const prompt = customPrompt || ANALYSIS_PROMPTS[analysisType] || ANALYSIS_PROMPTS['general'];
-    
-    const response = await axios.post('https://api.anthropic.com/v1/messages', {
+    const url = 'https://api.anthropic.com/v1/messages';
+
+    const request = {
       model: 'claude-3-sonnet-20240229',
       max_tokens: 4000,
       messages: [
         {
           role: 'user',
-          content: `${prompt}\n\nDocument content:\n${content.substring(0, 50000)}`
+          content: message
         }
       ]
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.CLAUDE_API_KEY}`,
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.CLAUDE_API_KEY
-      },
-      timeout: 60000
+    };
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.CLAUDE_API_KEY,
+      'anthropic-version': '2023-06-01'
+    };
+
+    if (options.onToken) {
+      const usage = { input: 0, output: 0 };
+      const analysis = await streamCompletion(url, { ...request, stream: true }, headers, options, (event) => {
+        if (event.type === 'error') {
+          throw streamError(event.error);
+        }
+        if (event.type === 'message_start') {
+          usage.input = event.message?.usage?.input_tokens || 0;
+        }
+        if (event.type === 'message_delta') {
+          usage.output = event.usage?.output_tokens || 0;
+        }
+        return event.type === 'content_block_delta' ? event.delta?.text : null;
+      });
+
+      return {
+        provider: 'claude',
+        analysis,
+        model: 'claude-3-sonnet',
+        tokensUsed: usage.input + usage.output,
+        status: 'success'
+      };
+    }
+
+    const response = await axios.post(url, request, {
+      headers,
+      timeout: 60000,
+      signal: options.signal
     });
 
     return {
@@ -85,16 +202,16 @@ const analyzeWithClaude = async (content, analysisType, customPrompt) => {
 
   } catch (error) {
     logger.error('Claude API error:', error.response?.data || error.message);
-    throw new Error(`Claude AI service error: ${error.response?.data?.error?.message || error.message}`);
+    throw providerError('Claude AI', error);
   }
 };
 
 // OpenAI integration
-const analyzeWithOpenAI = async (content, analysisType, customPrompt) => {
+const analyzeWithOpenAI = async (message, options = {}) => {
   try {
-    const prompt = customPrompt || ANALYSIS_PROMPTS[analysisType] || ANALYSIS_PROMPTS['general'];
-    
-    const response = await axios.post('https://api.openai.com/v1/chat/completions', {
+    const url = 'https://api.openai.com/v1/chat/completions';
+
+    const request = {
       model: 'gpt-4',
       messages: [
         {
@@ -103,17 +220,45 @@ const analyzeWithOpenAI = async (content, analysisType, customPrompt) => {
         },
         {
           role: 'user',
-          content: `${prompt}\n\nDocument content:\n${content.substring(0, 50000)}`
+          content: message
         }
       ],
       max_tokens: 4000,
       temperature: 0.3
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000
+    };
+
+    const headers = {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    };
+
+    if (options.onToken) {
+      let tokensUsed = 0;
+      const streamRequest = { ...request, stream: true, stream_options: { include_usage: true } };
+      const analysis = await streamCompletion(url, streamRequest, headers, options, (event) => {
+        if (event.error) {
+          throw streamError(event.error);
+        }
+        // The final chunk carries usage and no choices
+        if (event.usage) {
+          tokensUsed = event.usage.total_tokens || 0;
+        }
+        return event.choices?.[0]?.delta?.content;
+      });
+
+      return {
+        provider: 'openai',
+        analysis,
+        model: 'gpt-4',
+        tokensUsed,
+        status: 'success'
+      };
+    }
+
+    const response = await axios.post(url, request, {
+      headers,
+      timeout: 60000,
+      signal: options.signal
     });
 
     return {
@@ -126,21 +271,21 @@ const analyzeWithOpenAI = async (content, analysisType, customPrompt) => {
 
   } catch (error) {
     logger.error('OpenAI API error:', error.response?.data || error.message);
-    throw new Error(`OpenAI service error: ${error.response?.data?.error?.message || error.message}`);
+    throw providerError('OpenAI', error);
   }
 };
 
 // Gemini integration
-const analyzeWithGemini = async (content, analysisType, customPrompt) => {
+const analyzeWithGemini = async (message, options = {}) => {
   try {
-    const prompt = customPrompt || ANALYSIS_PROMPTS[analysisType] || ANALYSIS_PROMPTS['general'];
-    
-    const response = await axios.post(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${process.env.GEMINI_API_KEY}`, {
+    const baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro';
+
+    const request = {
       contents: [
         {
           parts: [
             {
-              text: `${prompt}\n\nDocument content:\n${content.substring(0, 50000)}`
+              text: message
             }
           ]
         }
@@ -149,11 +294,43 @@ const analyzeWithGemini = async (content, analysisType, customPrompt) => {
         temperature: 0.3,
         maxOutputTokens: 4000
       }
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000
+    };
+
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (options.onToken) {
+      let tokensUsed = 0;
+      const url = `${baseUrl}:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`;
+      const analysis = await streamCompletion(url, request, headers, options, (event) => {
+        if (event.error) {
+          throw streamError(event.error);
+        }
+        // Usage metadata is cumulative, the last chunk has the total
+        if (event.usageMetadata) {
+          tokensUsed = event.usageMetadata.totalTokenCount || tokensUsed;
+        }
+        return event.candidates?.[0]?.content?.parts?.[0]?.text;
+      });
+
+      if (!analysis) {
+        throw new Error('No analysis text received from Gemini');
+      }
+
+      return {
+        provider: 'gemini',
+        analysis,
+        model: 'gemini-pro',
+        tokensUsed,
+        status: 'success'
+      };
+    }
+
+    const response = await axios.post(`${baseUrl}:generateContent?key=${process.env.GEMINI_API_KEY}`, request, {
+      headers,
+      timeout: 60000,
+      signal: options.signal
     });
 
     const analysisText = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
@@ -172,12 +349,133 @@ const analyzeWithGemini = async (content, analysisType, customPrompt) => {
 
   } catch (error) {
     logger.error('Gemini API error:', error.response?.data || error.message);
-    throw new Error(`Gemini service error: ${error.response?.data?.error?.message || error.message}`);
+    throw providerError('Gemini', error);
+  }
+};
+
+// Provider registry. maxInputTokens is the document budget per request,
+// leaving room for the prompt and the 4000 token completion within each
+// model's context window. model is the model each integration requests.
+const PROVIDERS = {
+  claude: { name: 'Claude', apiKeyEnv: 'CLAUDE_API_KEY', analyze: analyzeWithClaude, maxInputTokens: 12000, model: 'claude-3-sonnet-20240229' },
+  openai: { name: 'OpenAI', apiKeyEnv: 'OPENAI_API_KEY', analyze: analyzeWithOpenAI, maxInputTokens: 3000, model: 'gpt-4' },
+  gemini: { name: 'Gemini', apiKeyEnv: 'GEMINI_API_KEY', analyze: analyzeWithGemini, maxInputTokens: 12000, model: 'gemini-pro' }
+};
+
+// Model used for a provider, or null for unknown providers
+const getProviderModel = (provider) => {
+  const providerConfig = PROVIDERS[String(provider).toLowerCase()];
+  return providerConfig ? providerConfig.model : null;
+};
+
+// Long document settings (AI_CHUNK_MAX_TOKENS overrides the provider budget)
+const CHUNK_MAX_TOKENS = parseInt(process.env.AI_CHUNK_MAX_TOKENS) || null;
+const MAX_CHUNKS = parseInt(process.env.AI_MAX_CHUNKS) || 20;
+
+// Added to every prompt so findings point at where they come from
+const CITATION_INSTRUCTIONS = 'When a finding, risk or recommendation refers to a specific part of the document, ' +
+  'cite the section by its number, or by its heading if it has no number, and the page when the text contains ' +
+  'page markers such as "[Page 11]" (for example "section 4.2, page 11").';
+
+const REDACTION_INSTRUCTIONS = 'Personal data and secrets in the document have been replaced with placeholders ' +
+  'such as "[EMAIL_1]" or "[API_KEY_2]". The same placeholder always stands for the same value. Refer to these ' +
+  'values by their placeholder, exactly as written, and do not try to guess what they were.';
+
+const buildDocumentMessage = (prompt, text) => {
+  return `${prompt}\n\nDocument content:\n${text}`;
+};
+
+const buildChunkMessage = (prompt, chunk, totalChunks) => {
+  const section = chunk.heading ? `, starting in the section "${chunk.heading}"` : '';
+  const page = chunk.page ? ` on page ${chunk.page}` : '';
+  return `${prompt}\n\nThis is part ${chunk.index + 1} of ${totalChunks} of a longer document${section}${page}. ` +
+    'Analyze only this part; the partial analyses will be merged afterwards.' +
+    `\n\nDocument content:\n${chunk.text}`;
+};
+
+const buildMergeMessage = (prompt, partials) => {
+  const sections = partials.map((partial, i) => `--- Partial analysis ${i + 1} ---\n${partial}`).join('\n\n');
+  return 'The following are partial analyses of consecutive parts of one document. ' +
+    `Each was produced with these instructions:\n${prompt}\n\n` +
+    'Combine them into a single analysis of the whole document that follows the same instructions. ' +
+    'Merge duplicate or overlapping findings, risks and recommendations into one entry each, keeping the most specific wording. ' +
+    'Do not mention that the document was analyzed in parts.' +
+    `\n\n${sections}`;
+};
+
+// Group partial analyses into merge requests that fit the token budget.
+// Every group but the last holds at least two, so each pass shrinks the list.
+const batchPartials = (partials, maxTokens) => {
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  for (const partial of partials) {
+    const tokens = estimateTokens(partial);
+    if (batch.length >= 2 && batchTokens + tokens > maxTokens) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(partial);
+    batchTokens += tokens;
+  }
+  batches.push(batch);
+
+  return batches;
+};
+
+// Analyze each chunk separately, then merge the partial analyses (in
+// several passes if they do not fit one request). Only the final merge is
+// streamed to options.onToken.
+const mapReduceAnalysis = async (providerConfig, prompt, chunks, maxTokens, options) => {
+  const { signal, onToken, onProgress } = options;
+  const totalSteps = chunks.length + 1;
+  let tokensUsed = 0;
+  let mergePasses = 0;
+  let partials = [];
+
+  // Sections run one at a time to stay within provider rate limits
+  for (const chunk of chunks) {
+    const result = await providerConfig.analyze(buildChunkMessage(prompt, chunk, chunks.length), { signal });
+    tokensUsed += result.tokensUsed || 0;
+    partials.push(result.analysis);
+
+    if (onProgress) onProgress({ stage: 'chunk', completed: chunk.index + 1, total: totalSteps });
+  }
+
+  let batches = batchPartials(partials, maxTokens);
+
+  while (batches.length > 1) {
+    partials = [];
+    for (const batch of batches) {
+      if (batch.length === 1) {
+        partials.push(batch[0]);
+        continue;
+      }
+      const result = await providerConfig.analyze(buildMergeMessage(prompt, batch), { signal });
+      tokensUsed += result.tokensUsed || 0;
+      partials.push(result.analysis);
+    }
+    batches = batchPartials(partials, maxTokens);
+    mergePasses++;
   }
+
+  const result = await providerConfig.analyze(buildMergeMessage(prompt, batches[0]), { signal, onToken });
+  tokensUsed += result.tokensUsed || 0;
+  mergePasses++;
+
+  if (onProgress) onProgress({ stage: 'merge', completed: totalSteps, total: totalSteps });
+
+  return { ...result, tokensUsed, mergePasses };
 };
 
 // Main analysis function
-const analyzeWithAI = async (content, provider, analysisType = 'general', customPrompt = null) => {
+//   options.signal - AbortSignal that cancels the in-flight provider request
+//   options.onToken - called with each text delta; switches to the provider's streaming API
+//   options.onProgress - called with { stage, completed, total } as long documents are processed
+//   options.redacted - the content contains redaction placeholders (see redaction.js)
+const analyzeWithAI = async (content, provider, analysisType = 'general', customPrompt = null, options = {}) => {
   const startTime = Date.now();
   
   try {
@@ -189,48 +487,79 @@ const analyzeWithAI = async (content, provider, analysisType = 'general', custom
       throw new Error('Content too short for meaningful analysis');
     }
 
-    let result;
+    const providerConfig = PROVIDERS[provider.toLowerCase()];
 
-    switch (provider.toLowerCase()) {
-      case 'claude':
-        if (!process.env.CLAUDE_API_KEY) {
-          throw new Error('Claude API key not configured');
-        }
-        result = await analyzeWithClaude(content, analysisType, customPrompt);
-        break;
+    if (!providerConfig) {
+      throw new Error(`Unsupported AI provider: ${provider}`);
+    }
 
-      case 'openai':
-        if (!process.env.OPENAI_API_KEY) {
-          throw new Error('OpenAI API key not configured');
-        }
-        result = await analyzeWithOpenAI(content, analysisType, customPrompt);
-        break;
+    if (!process.env[providerConfig.apiKeyEnv]) {
+      throw new Error(`${providerConfig.name} API key not configured`);
+    }
 
-      case 'gemini':
-        if (!process.env.GEMINI_API_KEY) {
-          throw new Error('Gemini API key not configured');
-        }
-        result = await analyzeWithGemini(content, analysisType, customPrompt);
-        break;
+    let prompt = `${customPrompt || ANALYSIS_PROMPTS[analysisType] || ANALYSIS_PROMPTS['general']}\n\n${CITATION_INSTRUCTIONS}`;
+    if (options.redacted) {
+      prompt += `\n\n${REDACTION_INSTRUCTIONS}`;
+    }
+    const maxTokens = CHUNK_MAX_TOKENS || providerConfig.maxInputTokens;
 
-      default:
-        throw new Error(`Unsupported AI provider: ${provider}`);
+    // Documents beyond MAX_CHUNKS parts are analyzed up to that point only
+    const pageOf = pageLocator(content);
+    const chunks = splitIntoChunks(content, { maxTokens })
+      .map(chunk => ({ ...chunk, page: pageOf(chunk.start) }));
+    const analyzedChunks = chunks.slice(0, MAX_CHUNKS);
+
+    let result;
+
+    if (analyzedChunks.length === 1) {
+      result = await providerConfig.analyze(buildDocumentMessage(prompt, analyzedChunks[0].text), options);
+    } else {
+      result = await mapReduceAnalysis(providerConfig, prompt, analyzedChunks, maxTokens, options);
     }
 
     const processingTime = Date.now() - startTime;
+    const analyzedCharacters = analyzedChunks.reduce((total, chunk) => total + chunk.text.length, 0);
+    const truncated = analyzedChunks.length < chunks.length;
+    const coveragePercent = Math.round((analyzedCharacters / content.length) * 1000) / 10;
 
     // Add metadata to result
     result.metadata = {
       analysisType: analysisType,
       contentLength: content.length,
       processingTime: `${processingTime}ms`,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      chunks: {
+        total: chunks.length,
+        analyzed: analyzedChunks.length,
+        maxTokensPerChunk: maxTokens,
+        mergePasses: result.mergePasses || 0
+      },
+      coverage: {
+        analyzedCharacters,
+        totalCharacters: content.length,
+        percent: coveragePercent,
+        truncated
+      }
     };
+    delete result.mergePasses;
+
+    result.truncated = truncated;
+    result.warnings = [];
+
+    if (truncated) {
+      const lastChunk = analyzedChunks[analyzedChunks.length - 1];
+      result.metadata.coverage.analyzedUpTo = lastChunk.end;
+      result.warnings.push(
+        `Document truncated: only the first ${analyzedChunks.length} of ${chunks.length} parts ` +
+        `(${analyzedCharacters} of ${content.length} characters, ${coveragePercent}%) were analyzed.`
+      );
+      logger.warn(`AI analysis truncated: ${analyzedChunks.length}/${chunks.length} chunks (${coveragePercent}%)`);
+    }
 
     // Structure the analysis for better readability
     result.structuredAnalysis = structureAnalysis(result.analysis, analysisType);
 
-    logger.info(`AI analysis completed: ${provider} (${processingTime}ms)`);
+    logger.info(`AI analysis completed: ${provider} (${processingTime}ms, ${analyzedChunks.length} chunk(s))`);
 
     return result;
 
@@ -316,5 +645,6 @@ const checkServiceAvailability = async (provider) => {
 module.exports = {
   analyzeWithAI,
   checkServiceAvailability,
+  getProviderModel,
   ANALYSIS_PROMPTS
 };
\ No newline at end of file
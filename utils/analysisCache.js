@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { analyzeWithAI, getProviderModel } = require('./aiProcessor');
+const { getRedactionSettings, redactText } = require('./redaction');
+const logger = require('./logger');
+
+// How long a result can be reused (ANALYSIS_CACHE_TTL_HOURS=0 disables caching)
+const ANALYSIS_CACHE_TTL_HOURS = Number.isNaN(parseInt(process.env.ANALYSIS_CACHE_TTL_HOURS))
+  ? 168
+  : parseInt(process.env.ANALYSIS_CACHE_TTL_HOURS);
+
+// Entries are scoped to the user, so a cache hit never reveals that
+// someone else analyzed the same text
+const buildCacheKey = ({ userId, content, aiProvider, analysisType, customPrompt }) => {
+  const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([
+      userId,
+      contentHash,
+      aiProvider,
+      getProviderModel(aiProvider),
+      analysisType,
+      customPrompt || null
+    ]))
+    .digest('hex');
+};
+
+const getCachedAnalysis = async (cacheKey) => {
+  const result = await db.query(
+    `UPDATE analysis_cache SET hits = hits + 1
+     WHERE cache_key = $1 AND expires_at > NOW()
+     RETURNING result, created_at`,
+    [cacheKey]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Store a result, dropping expired entries on the way so the table only
+// grows with live results
+const storeCachedAnalysis = async (cacheKey, { userId, aiProvider, analysisType, result }) => {
+  await db.query('DELETE FROM analysis_cache WHERE expires_at <= NOW()');
+  await db.query(
+    `INSERT INTO analysis_cache (cache_key, user_id, ai_provider, model, analysis_type, result, created_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW() + $7::int * INTERVAL '1 hour')
+     ON CONFLICT (cache_key) DO UPDATE
+     SET result = EXCLUDED.result, hits = 0, created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at`,
+    [cacheKey, userId, aiProvider, getProviderModel(aiProvider), analysisType, JSON.stringify(result), ANALYSIS_CACHE_TTL_HOURS]
+  );
+};
+
+// Run analyzeWithAI unless an identical analysis is cached. force skips the
+// lookup and refreshes the entry. Results carry cache: { hit, ... }; a hit
+// reports no tokens used and, for streaming callers, delivers the cached
+// text as a single token.
+//
+// The content is redacted first, following the user's settings for the
+// analysis type, so neither the provider nor the cache sees the redacted
+// values. Results carry the redaction report; placeholders, the map back to
+// the original values, is returned alongside the result for the caller to
+// seal and store with the analysis, and must not be stored in the result.
+const analyzeWithCache = async ({ userId, content, aiProvider, analysisType, customPrompt, force = false }, options = {}) => {
+  const redaction = redactText(content, await getRedactionSettings(userId, analysisType));
+  const analyzeOptions = { ...options, redacted: redaction.report.total > 0 };
+  const redacted = { redaction: redaction.report, placeholders: redaction.placeholders };
+
+  if (redaction.report.total > 0) {
+    logger.info(`Redacted ${redaction.report.total} value(s) before ${aiProvider} analysis for user ${userId}`);
+  }
+
+  if (ANALYSIS_CACHE_TTL_HOURS <= 0) {
+    const result = await analyzeWithAI(redaction.text, aiProvider, analysisType, customPrompt, analyzeOptions);
+    return { ...result, cache: { hit: false }, ...redacted };
+  }
+
+  const cacheKey = buildCacheKey({ userId, content: redaction.text, aiProvider, analysisType, customPrompt });
+
+  if (!force) {
+    let cached = null;
+    try {
+      cached = await getCachedAnalysis(cacheKey);
+    } catch (error) {
+      logger.error('Analysis cache lookup failed:', error);
+    }
+
+    if (cached) {
+      logger.info(`Analysis served from cache for user ${userId} (${aiProvider}, ${analysisType})`);
+
+      if (options.onToken) {
+        options.onToken(cached.result.analysis);
+      }
+
+      return {
+        ...cached.result,
+        tokensUsed: 0,
+        cache: {
+          hit: true,
+          cachedAt: cached.created_at,
+          tokensSaved: cached.result.tokensUsed || 0
+        },
+        ...redacted
+      };
+    }
+  }
+
+  const result = await analyzeWithAI(redaction.text, aiProvider, analysisType, customPrompt, analyzeOptions);
+
+  try {
+    await storeCachedAnalysis(cacheKey, { userId, aiProvider, analysisType, result });
+  } catch (error) {
+    logger.error('Failed to store analysis in cache:', error);
+  }
+
+  return { ...result, cache: { hit: false, refreshed: force }, ...redacted };
+};
+
+module.exports = {
+  ANALYSIS_CACHE_TTL_HOURS,
+  analyzeWithCache
+};
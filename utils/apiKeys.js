@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const API_KEY_PREFIX = 'csk_';
+const MAX_KEYS_PER_USER = 25;
+// Only persist last-used timestamps once per minute per key
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Check whether a bearer credential looks like an API key rather than a JWT
+const isApiKey = (token) => {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+};
+
+// Format an API key row for responses (never includes the hash)
+const formatApiKey = (row) => {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: `${API_KEY_PREFIX}${row.key_prefix}`,
+    permissions: row.permissions,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at
+  };
+};
+
+// Create an API key. The plaintext key is only returned here.
+const createApiKey = async (userId, { name, permissions, expiresInDays }) => {
+  const countResult = await db.query(
+    'SELECT COUNT(*) FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  if (parseInt(countResult.rows[0].count) >= MAX_KEYS_PER_USER) {
+    const error = new Error(`API key limit reached (maximum ${MAX_KEYS_PER_USER} active keys)`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const keyPrefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${API_KEY_PREFIX}${keyPrefix}_${secret}`;
+
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, permissions, created_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + $6::int * INTERVAL '1 day' END)
+     RETURNING *`,
+    [userId, name, keyPrefix, hashApiKey(key), permissions, expiresInDays || null]
+  );
+
+  return {
+    key,
+    apiKey: formatApiKey(result.rows[0])
+  };
+};
+
+// List a user's API keys, newest first
+const listApiKeys = async (userId) => {
+  const result = await db.query(
+    'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+
+  return result.rows.map(formatApiKey);
+};
+
+// Revoke an API key owned by a user
+const revokeApiKey = async (userId, apiKeyId) => {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [apiKeyId, userId]
+  );
+
+  return result.rows.length > 0 ? formatApiKey(result.rows[0]) : null;
+};
+
+// Resolve an API key to its owner and scopes, or null if it is invalid,
+// expired or revoked
+const authenticateApiKey = async (key, ip) => {
+  if (!isApiKey(key)) return null;
+
+  const result = await db.query(
+    `SELECT k.id, k.permissions, k.last_used_at, u.id AS user_id, u.email, u.role, u.email_verified, u.disabled_at
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [hashApiKey(key)]
+  );
+
+  const apiKey = result.rows[0];
+  if (!apiKey) return null;
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await db.query(
+      'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+      [apiKey.id, ip]
+    );
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
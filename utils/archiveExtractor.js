@@ -0,0 +1,145 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+// Limits that keep a small upload from expanding into gigabytes in memory
+const MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 200;
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024; // Same as the single file upload limit
+const MAX_TOTAL_SIZE = (parseInt(process.env.ARCHIVE_MAX_TOTAL_MB) || 200) * 1024 * 1024;
+// Policy documents compress well, but not a hundredfold
+const MAX_COMPRESSION_RATIO = 100;
+
+const ARCHIVE_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+// Archives inside archives are refused rather than unpacked recursively
+const NESTED_ARCHIVE_EXTENSIONS = ['.zip', '.rar', '.7z', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.jar'];
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+const isArchive = (file) => {
+  return ARCHIVE_MIME_TYPES.includes(file.mimetype) ||
+    path.extname(file.originalname || '').toLowerCase() === '.zip';
+};
+
+// Entry names use "/" separators; anything absolute or climbing out of the
+// archive root is rejected instead of silently rewritten
+const isUnsafePath = (name) => {
+  const normalized = name.replace(/\\/g, '/');
+  return normalized.startsWith('/') ||
+    /^[A-Za-z]:/.test(normalized) ||
+    normalized.split('/').includes('..');
+};
+
+// OS metadata that archivers add alongside the real files
+const isHiddenEntry = (name) => {
+  return name.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX');
+};
+
+// Decompress one entry, counting bytes as they are inflated so a forged
+// size header cannot get past the limits
+const readEntry = (entry, budget) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+
+    const fail = (message) => {
+      stream.pause();
+      reject(new Error(message));
+    };
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      budget.used += chunk.length;
+
+      if (size > MAX_ENTRY_SIZE) {
+        return fail(`File exceeds the ${MAX_ENTRY_SIZE / 1024 / 1024}MB limit once decompressed`);
+      }
+      if (budget.used > budget.limit) {
+        return fail('Archive expands beyond the allowed size; it may be a zip bomb');
+      }
+
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks, size)));
+    stream.resume();
+  });
+};
+
+// Decompress a single entry of a zip-based document format (DOCX, XLSX, ODT...)
+// with the same per-entry limit
+const readZipEntry = (entry, maxBytes = MAX_ENTRY_SIZE) => {
+  return readEntry(entry, { used: 0, limit: maxBytes });
+};
+
+// Open a .zip upload and list the documents in it. formatFor(name) returns
+// the document format of an entry name, or null when it is not supported.
+// Entries that cannot be imported are returned in `rejected` with a reason;
+// accepted entries are decompressed lazily with read() so only one is held
+// in memory at a time. Throws if the archive itself is unreadable or has too
+// many entries.
+const openArchive = async (buffer, { formatFor }) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error('Invalid archive: the file is not a readable .zip archive');
+  }
+
+  const files = Object.values(zip.files).filter(entry => !entry.dir);
+
+  if (files.length > MAX_ENTRIES) {
+    throw new Error(`Archive contains ${files.length} files; at most ${MAX_ENTRIES} are allowed`);
+  }
+
+  const budget = {
+    used: 0,
+    limit: Math.min(MAX_TOTAL_SIZE, buffer.length * MAX_COMPRESSION_RATIO)
+  };
+  const entries = [];
+  const rejected = [];
+
+  for (const entry of files) {
+    const name = (entry.unsafeOriginalName || entry.name).replace(/\\/g, '/');
+    const extension = path.extname(name).toLowerCase();
+    const format = formatFor(name);
+
+    let reason = null;
+    if (isUnsafePath(name)) {
+      reason = 'Path points outside the archive';
+    } else if (isHiddenEntry(name)) {
+      continue;
+    } else if (entry.unixPermissions && (entry.unixPermissions & S_IFMT) === S_IFLNK) {
+      reason = 'Symbolic links are not supported';
+    } else if (NESTED_ARCHIVE_EXTENSIONS.includes(extension)) {
+      reason = 'Nested archives are not supported';
+    } else if (!format) {
+      reason = 'Unsupported file type';
+    }
+
+    if (reason) {
+      rejected.push({ filename: name, error: reason });
+      continue;
+    }
+
+    const directory = path.posix.dirname(name);
+
+    entries.push({
+      path: name,
+      filename: path.posix.basename(name),
+      folder: directory === '.' ? null : directory,
+      mimetype: format.mimeTypes[0],
+      read: () => readEntry(entry, budget)
+    });
+  }
+
+  return { entries, rejected };
+};
+
+module.exports = {
+  ARCHIVE_MIME_TYPES,
+  isArchive,
+  openArchive,
+  readZipEntry
+};
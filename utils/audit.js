@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('./logger');
+
+// Advisory lock serializing writers so the hash chain stays linear
+const AUDIT_CHAIN_LOCK_ID = 727001;
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted object keys, so JSONB round-trips hash identically
+const canonicalJson = (value) => {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalJson(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Hash of an event chained to the previous event's hash
+const computeEventHash = (prevHash, event) => {
+  const payload = canonicalJson({
+    occurredAt: new Date(event.occurredAt).toISOString(),
+    actorUserId: event.actorUserId,
+    actorEmail: event.actorEmail,
+    authMethod: event.authMethod,
+    action: event.action,
+    targetType: event.targetType,
+    targetId: event.targetId,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    outcome: event.outcome,
+    details: event.details
+  });
+
+  return crypto.createHash('sha256').update(prevHash).update(payload).digest('hex');
+};
+
+// Map a database row to the event shape used for hashing and responses
+const rowToEvent = (row) => {
+  return {
+    id: Number(row.id),
+    occurredAt: row.occurred_at,
+    actorUserId: row.actor_user_id,
+    actorEmail: row.actor_email,
+    authMethod: row.auth_method,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    outcome: row.outcome,
+    details: row.details,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+};
+
+// Append an event to the audit log. Never throws: a failure to audit is
+// logged but must not break the request being audited.
+//   req     - Express request (actor, IP and user agent are taken from it)
+//   actor   - { userId, email } when req.user is not set yet (e.g. login)
+//   outcome - 'success' | 'failure' | 'denied'
+const recordAuditEvent = async ({ req, actor, action, targetType = null, targetId = null, outcome = 'success', details = null }) => {
+  const event = {
+    occurredAt: new Date(),
+    actorUserId: actor?.userId ?? req?.user?.userId ?? null,
+    actorEmail: actor?.email ?? req?.user?.email ?? null,
+    authMethod: req?.user?.authMethod ?? null,
+    action,
+    targetType,
+    targetId: targetId === null ? null : String(targetId),
+    ipAddress: req?.ip ?? null,
+    userAgent: req?.get?.('User-Agent') ?? null,
+    outcome,
+    details
+  };
+
+  let client;
+
+  try {
+    client = await db.getClient();
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK_ID]);
+
+    const last = await client.query('SELECT hash FROM audit_events ORDER BY id DESC LIMIT 1');
+    const prevHash = last.rows[0]?.hash || GENESIS_HASH;
+    const hash = computeEventHash(prevHash, event);
+
+    await client.query(
+      `INSERT INTO audit_events
+         (occurred_at, actor_user_id, actor_email, auth_method, action, target_type, target_id,
+          ip_address, user_agent, outcome, details, prev_hash, hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        event.occurredAt, event.actorUserId, event.actorEmail, event.authMethod, event.action,
+        event.targetType, event.targetId, event.ipAddress, event.userAgent, event.outcome,
+        event.details === null ? null : JSON.stringify(event.details), prevHash, hash
+      ]
+    );
+
+    await client.query('COMMIT');
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    logger.error('Failed to record audit event:', { action, error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Build a WHERE clause from query filters
+const buildAuditFilter = ({ userId, action, outcome, targetType, targetId, from, to }) => {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`actor_user_id = $${params.length}`);
+  }
+
+  if (action) {
+    // "auth.*" matches every action in the auth namespace
+    if (action.endsWith('.*')) {
+      params.push(`${action.slice(0, -2).replace(/[\\%_]/g, '\\$&')}.%`);
+      conditions.push(`action LIKE $${params.length}`);
+    } else {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+  }
+
+  if (outcome) {
+    params.push(outcome);
+    conditions.push(`outcome = $${params.length}`);
+  }
+
+  if (targetType) {
+    params.push(targetType);
+    conditions.push(`target_type = $${params.length}`);
+  }
+
+  if (targetId) {
+    params.push(String(targetId));
+    conditions.push(`target_id = $${params.length}`);
+  }
+
+  if (from) {
+    params.push(from);
+    conditions.push(`occurred_at >= $${params.length}`);
+  }
+
+  if (to) {
+    params.push(to);
+    conditions.push(`occurred_at <= $${params.length}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Query a page of audit events, newest first
+const queryAuditEvents = async (filters, { limit, offset }) => {
+  const { where, params } = buildAuditFilter(filters);
+
+  const result = await db.query(
+    `SELECT * FROM audit_events ${where}
+     ORDER BY id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM audit_events ${where}`, params);
+
+  return {
+    events: result.rows.map(rowToEvent),
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+// Iterate over matching events in id order, in batches (for exports)
+const forEachAuditEvent = async (filters, onEvent, batchSize = 1000) => {
+  const { where, params } = buildAuditFilter(filters);
+  const idCondition = where ? `${where} AND id > $${params.length + 1}` : `WHERE id > $${params.length + 1}`;
+  let lastId = 0;
+
+  for (;;) {
+    const result = await db.query(
+      `SELECT * FROM audit_events ${idCondition} ORDER BY id ASC LIMIT $${params.length + 2}`,
+      [...params, lastId, batchSize]
+    );
+
+    for (const row of result.rows) {
+      await onEvent(rowToEvent(row));
+    }
+
+    if (result.rows.length < batchSize) break;
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+};
+
+// Recompute the whole hash chain and report the first broken link
+const verifyAuditChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+  let firstInvalid = null;
+
+  await forEachAuditEvent({}, (event) => {
+    if (firstInvalid) return;
+
+    if (event.prevHash !== prevHash || computeEventHash(prevHash, event) !== event.hash) {
+      firstInvalid = { id: event.id, occurredAt: event.occurredAt, action: event.action };
+      return;
+    }
+
+    prevHash = event.hash;
+    checked++;
+  });
+
+  return {
+    valid: !firstInvalid,
+    eventsVerified: checked,
+    firstInvalidEvent: firstInvalid,
+    headHash: prevHash
+  };
+};
+
+module.exports = {
+  recordAuditEvent,
+  queryAuditEvents,
+  forEachAuditEvent,
+  verifyAuditChain
+};
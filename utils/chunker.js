@@ -0,0 +1,138 @@
+// Rough token estimate; providers average about four characters per token
+// for English prose, which is what the chunk budgets are tuned for.
+const CHARS_PER_TOKEN = 4;
+
+const estimateTokens = (text) => {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+};
+
+// Markdown, "Section 4"/"Appendix A", numbered ("3.2 Access Control") and
+// ALL CAPS headings, as they come out of the PDF and Word extractors
+const isHeading = (line) => {
+  const trimmed = line.trim();
+  if (trimmed.length === 0 || trimmed.length > 120) return false;
+
+  return /^#{1,6}\s+\S/.test(trimmed) ||
+    /^(section|chapter|article|part|appendix|annex)\s+[\dIVXLC]+\b/i.test(trimmed) ||
+    /^\d+(\.\d+)*\.?\s+[A-Z][^.!?]*$/.test(trimmed) ||
+    (/^[A-Z][A-Z0-9 ,&/()\-:]{3,}$/.test(trimmed) && /[A-Z]{3}/.test(trimmed));
+};
+
+// Offsets of the lines that start a new section, with the heading text
+const findHeadings = (text) => {
+  const headings = [];
+  const linePattern = /[^\n]*(\n|$)/g;
+  let match;
+
+  while ((match = linePattern.exec(text)) !== null && match[0].length > 0) {
+    if (isHeading(match[0])) {
+      headings.push({ offset: match.index, text: match[0].trim() });
+    }
+  }
+
+  return headings;
+};
+
+// Offsets just after each match of pattern (paragraph, line or sentence ends)
+const findBoundaries = (text, pattern) => {
+  const offsets = [];
+  const regex = new RegExp(pattern.source, 'g');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    offsets.push(match.index + match[0].length);
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+
+  return offsets;
+};
+
+// Split [start, end) into ranges of at most maxChars, breaking on the
+// coarsest boundary level that works and falling back to finer ones.
+const splitRange = (start, end, levels, maxChars) => {
+  if (end - start <= maxChars) return [[start, end]];
+
+  if (levels.length === 0) {
+    const ranges = [];
+    for (let offset = start; offset < end; offset += maxChars) {
+      ranges.push([offset, Math.min(offset + maxChars, end)]);
+    }
+    return ranges;
+  }
+
+  const [boundaries, ...finerLevels] = levels;
+  const cuts = boundaries.filter(offset => offset > start && offset < end);
+
+  // Greedily pack pieces between boundaries up to the budget
+  const packed = [];
+  let rangeStart = start;
+  let previousCut = start;
+
+  for (const cut of [...cuts, end]) {
+    if (cut - rangeStart > maxChars && previousCut > rangeStart) {
+      packed.push([rangeStart, previousCut]);
+      rangeStart = previousCut;
+    }
+    previousCut = cut;
+  }
+  packed.push([rangeStart, end]);
+
+  return packed.flatMap(([s, e]) => splitRange(s, e, finerLevels, maxChars));
+};
+
+// Split text into chunks of at most maxTokens, preferring section
+// boundaries. Chunks are exact slices of text, so their lengths can be
+// used to report coverage.
+const splitIntoChunks = (text, { maxTokens }) => {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const headings = findHeadings(text);
+
+  const levels = [
+    headings.map(heading => heading.offset),
+    findBoundaries(text, /\n\s*\n/),
+    findBoundaries(text, /\n/),
+    findBoundaries(text, /[.!?]["')\]]?\s+/)
+  ];
+
+  return splitRange(0, text.length, levels, maxChars)
+    .filter(([start, end]) => text.slice(start, end).trim().length > 0)
+    .map(([start, end], index) => {
+      // Nearest heading at or before the chunk start gives it a label
+      const heading = headings.filter(h => h.offset <= start).pop() ||
+        headings.find(h => h.offset < end);
+
+      return {
+        index,
+        text: text.slice(start, end),
+        start,
+        end,
+        heading: heading ? heading.text : null
+      };
+    });
+};
+
+// Split text into sections at heading lines. Text before the first heading
+// becomes a leading section without a heading.
+const splitIntoSections = (text) => {
+  const headings = findHeadings(text);
+  const sections = [];
+
+  if (headings.length === 0 || headings[0].offset > 0) {
+    const end = headings.length > 0 ? headings[0].offset : text.length;
+    sections.push({ heading: null, text: text.slice(0, end), start: 0, end });
+  }
+
+  headings.forEach((heading, i) => {
+    const end = i + 1 < headings.length ? headings[i + 1].offset : text.length;
+    sections.push({ heading: heading.text, text: text.slice(heading.offset, end), start: heading.offset, end });
+  });
+
+  return sections;
+};
+
+module.exports = {
+  estimateTokens,
+  isHeading,
+  splitIntoChunks,
+  splitIntoSections
+};
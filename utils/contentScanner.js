@@ -0,0 +1,424 @@
+const net = require('net');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const { detectFileType } = require('./fileSignature');
+const { readZipEntry } = require('./archiveExtractor');
+const logger = require('./logger');
+
+// Active-content scanning. Uploads are scanned before any extractor parses
+// them; a file with findings is quarantined: stored, but never extracted
+// or analyzed. Scanners are pluggable: registerScanner() adds one, and the
+// built-in ones cover Office macros and external references, PDF actions
+// and embedded files, and a ClamAV daemon when CLAMAV_HOST or
+// CLAMAV_SOCKET is set.
+//
+// A finding is { scanner, rule, message }; messages are shown to the user.
+
+// With SCAN_FAIL_CLOSED=true a scanner that errors (ClamAV unreachable,
+// ...) quarantines the file instead of letting it through
+const SCAN_FAIL_CLOSED = process.env.SCAN_FAIL_CLOSED === 'true';
+
+const scanners = [];
+
+// Register a scanner. appliesTo(detected) selects files by their sniffed
+// type (see fileSignature); scan(buffer, { file, detected }) resolves to a
+// list of { rule, message } findings.
+const registerScanner = ({ name, appliesTo = () => true, scan }) => {
+  scanners.push({ name, appliesTo, scan });
+};
+
+// Office documents (OOXML and OpenDocument)
+
+const OLE_PACKAGE_STREAM = Buffer.from('Ole10Native', 'utf16le');
+
+// Relationship types that pull content from elsewhere when the file opens
+const EXTERNAL_RELATIONSHIP_RULES = {
+  attachedTemplate: { rule: 'external-template', message: 'Loads a template from an external location' },
+  oleObject: { rule: 'external-object', message: 'Links an object from an external location' },
+  frame: { rule: 'external-object', message: 'Loads a frame from an external location' },
+  subDocument: { rule: 'external-object', message: 'Includes a subdocument from an external location' }
+};
+
+// Nested Office packages (an Excel chart inside a Word file) are scanned too
+const MAX_PACKAGE_DEPTH = 2;
+// Parts are decompressed to be scanned; a package that expands beyond
+// this is a decompression bomb rather than a document
+const MAX_EXPANDED_BYTES = 200 * 1024 * 1024;
+
+const xmlAttribute = (tag, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`).exec(tag);
+  return match ? match[1] : null;
+};
+
+const isOfficePackage = (zip) => Boolean(zip.file('[Content_Types].xml') || zip.file('mimetype'));
+
+const scanOfficePackage = async (zip, { depth = 1, prefix = '', budget = { remaining: MAX_EXPANDED_BYTES } } = {}) => {
+  const findings = [];
+  const seen = new Set();
+
+  const report = (rule, message, entryName) => {
+    const key = `${rule}:${message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    findings.push({ rule, message: `${message} (${prefix}${entryName})` });
+  };
+
+  const readPart = async (entry) => {
+    try {
+      const data = await readZipEntry(entry, Math.max(budget.remaining, 0));
+      budget.remaining -= data.length;
+      return data;
+    } catch (error) {
+      report('oversized-content', 'Expands to more data than can be scanned', entry.name);
+      return null;
+    }
+  };
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    const name = entry.name;
+
+    if (/(^|\/)vbaProject\.bin$/i.test(name) || /(^|\/)vbaData\.xml$/i.test(name)) {
+      report('vba-macro', 'Contains VBA macros', name);
+      continue;
+    }
+
+    if (/^(Basic|Scripts)\//.test(name)) {
+      report('macro', 'Contains OpenDocument macros or scripts', name);
+      continue;
+    }
+
+    if (/(^|\/)activeX\//i.test(name)) {
+      report('activex', 'Contains ActiveX controls', name);
+      continue;
+    }
+
+    if (name === '[Content_Types].xml') {
+      const types = await readPart(entry);
+      if (types && /macroEnabled/i.test(types.toString('utf-8'))) {
+        report('vba-macro', 'Declares macro-enabled content', name);
+      }
+      continue;
+    }
+
+    if (/\.rels$/i.test(name)) {
+      const rels = await readPart(entry);
+      if (!rels) continue;
+
+      for (const tag of rels.toString('utf-8').match(/<Relationship\b[^>]*>/g) || []) {
+        if (xmlAttribute(tag, 'TargetMode') !== 'External') continue;
+
+        const type = (xmlAttribute(tag, 'Type') || '').split('/').pop();
+        const external = EXTERNAL_RELATIONSHIP_RULES[type];
+        if (external) {
+          report(external.rule, `${external.message}: ${xmlAttribute(tag, 'Target')}`, name);
+        }
+      }
+      continue;
+    }
+
+    // Word fields that run other applications (DDE / DDEAUTO)
+    if (/^word\/[^/]+\.xml$/i.test(name)) {
+      const part = await readPart(entry);
+      if (!part) continue;
+
+      const xml = part.toString('utf-8');
+      const instructions = [
+        ...(xml.match(/<w:instrText\b[^>]*>[^<]*<\/w:instrText>/g) || []),
+        ...(xml.match(/\bw:instr\s*=\s*"[^"]*"/g) || [])
+      ].join(' ');
+
+      if (/\bDDE(AUTO)?\b/i.test(instructions)) {
+        report('dde-field', 'Contains a DDE field that can launch other programs', name);
+      }
+      continue;
+    }
+
+    if (/\.xml$/i.test(name)) continue;
+
+    // Everything else (media, embeddings, binary parts) is judged by content
+    const data = await readPart(entry);
+    if (!data) continue;
+
+    const detected = detectFileType(data);
+
+    if (detected.type === 'executable') {
+      report('embedded-executable', `Contains ${detected.description}`, name);
+    } else if (detected.type === 'ole' && data.includes(OLE_PACKAGE_STREAM)) {
+      report('embedded-package', 'Contains an embedded file package (OLE Package object)', name);
+    } else if (['gzip', '7z', 'rar'].includes(detected.type)) {
+      report('embedded-archive', `Contains ${detected.description}`, name);
+    } else if (detected.type === 'zip') {
+      let nested = null;
+      try {
+        nested = await JSZip.loadAsync(data);
+      } catch (error) {
+        nested = null;
+      }
+
+      if (nested && isOfficePackage(nested) && depth < MAX_PACKAGE_DEPTH) {
+        findings.push(...await scanOfficePackage(nested, { depth: depth + 1, prefix: `${prefix}${name} > `, budget }));
+      } else if (!nested || !isOfficePackage(nested)) {
+        report('embedded-archive', `Contains ${detected.description}`, name);
+      }
+    }
+  }
+
+  return findings;
+};
+
+registerScanner({
+  name: 'office',
+  appliesTo: detected => detected.type === 'zip',
+  scan: async (buffer) => {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      return [];
+    }
+    return scanOfficePackage(zip);
+  }
+});
+
+// PDF
+
+// Object streams and content streams are usually compressed, so names
+// hidden in them are only visible after inflating
+const PDF_MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+const PDF_MAX_STREAMS = 10000;
+
+// Raw file text plus every FlateDecode stream that inflates. oversized is
+// set when the streams expand beyond the limit.
+const pdfTextSegments = (buffer) => {
+  const raw = buffer.toString('latin1');
+  const segments = [raw];
+  const streamPattern = /(?<![A-Za-z])stream\r?\n/g;
+  let inflatedBytes = 0;
+  let streams = 0;
+  let oversized = false;
+  let match;
+
+  while ((match = streamPattern.exec(raw)) !== null && streams < PDF_MAX_STREAMS) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+
+    streams++;
+    streamPattern.lastIndex = end + 'endstream'.length;
+
+    try {
+      const inflated = zlib.inflateSync(buffer.subarray(start, end), {
+        maxOutputLength: PDF_MAX_INFLATED_BYTES - inflatedBytes
+      });
+      inflatedBytes += inflated.length;
+      segments.push(inflated.toString('latin1'));
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        oversized = true;
+        break;
+      }
+      // Not Flate data, or damaged; the raw text is still scanned
+    }
+  }
+
+  // Names may hide characters as #xx escapes (/J#61vaScript)
+  const decoded = segments.map(segment => segment.replace(/\/[^\s/<>[\]()]+/g, name => {
+    return name.replace(/#([0-9a-f]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }));
+
+  return { segments: decoded, oversized };
+};
+
+const PDF_NAME_RULES = [
+  { pattern: /\/(JavaScript|JS)(?![A-Za-z0-9])/, rule: 'pdf-javascript', message: 'Contains JavaScript' },
+  { pattern: /\/Launch(?![A-Za-z0-9])/, rule: 'pdf-launch', message: 'Contains a Launch action that can start other programs' },
+  { pattern: /\/EmbeddedFiles?(?![A-Za-z0-9])/, rule: 'pdf-embedded-file', message: 'Contains embedded files' },
+  { pattern: /\/RichMedia(?![A-Za-z0-9])/, rule: 'pdf-rich-media', message: 'Contains rich media (Flash or video) content' }
+];
+
+// OpenAction is routine for setting the initial view; it is only a
+// finding when the action it runs reaches outside the document
+const PDF_RISKY_ACTION = /\/S\s*\/(JavaScript|Launch|URI|SubmitForm|GoToR|GoToE|ImportData)(?![A-Za-z0-9])/;
+
+// Where each "N G obj" is defined, as { segment, index } by "N G"; the
+// first definition wins. Built once per scan so OpenAction references are
+// looked up rather than searched for.
+const indexPdfObjects = (segments) => {
+  const objects = new Map();
+
+  segments.forEach((segment, segmentIndex) => {
+    const header = /(?<![0-9])(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = header.exec(segment)) !== null) {
+      const key = `${match[1]} ${match[2]}`;
+      if (!objects.has(key)) objects.set(key, { segment: segmentIndex, index: match.index });
+    }
+  });
+
+  return objects;
+};
+
+// The risky action (see PDF_RISKY_ACTION) an OpenAction runs, or null. The
+// action is the dictionary that follows it or the object it references;
+// resolved caches the verdict per referenced object, so a file repeating
+// one reference is only examined once per object.
+const openActionRisk = (segments, segment, index, objects, resolved) => {
+  const after = segment.slice(index + '/OpenAction'.length, index + '/OpenAction'.length + 500);
+  const reference = /^\s*(\d+)\s+(\d+)\s+R/.exec(after);
+
+  if (!reference) {
+    const action = PDF_RISKY_ACTION.exec(after);
+    return action ? action[1] : null;
+  }
+
+  const key = `${reference[1]} ${reference[2]}`;
+  if (!resolved.has(key)) {
+    const location = objects.get(key);
+    let action = null;
+
+    if (location) {
+      const candidate = segments[location.segment];
+      const end = candidate.indexOf('endobj', location.index);
+      action = PDF_RISKY_ACTION.exec(candidate.slice(location.index, end === -1 ? location.index + 500 : end));
+    }
+
+    resolved.set(key, action ? action[1] : null);
+  }
+
+  return resolved.get(key);
+};
+
+registerScanner({
+  name: 'pdf',
+  appliesTo: detected => detected.type === 'pdf',
+  scan: async (buffer) => {
+    const { segments, oversized } = pdfTextSegments(buffer);
+    const findings = [];
+
+    if (oversized) {
+      findings.push({ rule: 'oversized-content', message: 'Streams expand to more data than can be scanned' });
+    }
+
+    for (const { pattern, rule, message } of PDF_NAME_RULES) {
+      if (segments.some(segment => pattern.test(segment))) {
+        findings.push({ rule, message });
+      }
+    }
+
+    const objects = indexPdfObjects(segments);
+    const resolved = new Map();
+
+    for (const segment of segments) {
+      const openAction = /\/OpenAction(?![A-Za-z0-9])/g;
+      let match;
+
+      while ((match = openAction.exec(segment)) !== null) {
+        const action = openActionRisk(segments, segment, match.index, objects, resolved);
+        if (action) {
+          findings.push({ rule: 'pdf-open-action', message: `Runs a ${action} action when opened` });
+          return findings;
+        }
+      }
+    }
+
+    return findings;
+  }
+});
+
+// ClamAV
+
+const CLAMAV_TIMEOUT_MS = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000;
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+// Scan a buffer with clamd's INSTREAM command. Resolves to the signature
+// name when malware is found, otherwise null.
+const clamdScan = (buffer, { host, port, socketPath }) => {
+  return new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    let response = '';
+
+    socket.setTimeout(CLAMAV_TIMEOUT_MS, () => {
+      socket.destroy(new Error('ClamAV scan timed out'));
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+
+      socket.end(Buffer.alloc(4));
+    });
+
+    socket.on('data', (data) => {
+      response += data.toString('utf-8');
+    });
+
+    socket.on('error', reject);
+
+    socket.on('close', () => {
+      const reply = response.replace(/\0/g, '').trim();
+      const found = /^stream: (.+) FOUND$/.exec(reply);
+
+      if (found) resolve(found[1]);
+      else if (/^stream: OK$/.test(reply)) resolve(null);
+      else reject(new Error(`Unexpected ClamAV response: ${reply || '(none)'}`));
+    });
+  });
+};
+
+if (process.env.CLAMAV_HOST || process.env.CLAMAV_SOCKET) {
+  const clamdConfig = {
+    host: process.env.CLAMAV_HOST,
+    port: parseInt(process.env.CLAMAV_PORT) || 3310,
+    socketPath: process.env.CLAMAV_SOCKET
+  };
+
+  registerScanner({
+    name: 'clamav',
+    scan: async (buffer) => {
+      const signature = await clamdScan(buffer, clamdConfig);
+      return signature ? [{ rule: 'malware', message: `Malware detected: ${signature}` }] : [];
+    }
+  });
+}
+
+// Run every applicable scanner over an uploaded file. Resolves to
+// { status: 'clean' | 'quarantined', findings, scannedAt }.
+const scanFile = async (file) => {
+  const detected = detectFileType(file.buffer);
+  const findings = [];
+
+  for (const scanner of scanners) {
+    if (!scanner.appliesTo(detected)) continue;
+
+    try {
+      const results = await scanner.scan(file.buffer, { file, detected });
+      findings.push(...results.map(finding => ({ scanner: scanner.name, ...finding })));
+    } catch (error) {
+      logger.error(`Scanner ${scanner.name} failed on ${file.originalname}:`, error);
+
+      if (SCAN_FAIL_CLOSED) {
+        findings.push({ scanner: scanner.name, rule: 'scan-failed', message: 'The file could not be scanned' });
+      }
+    }
+  }
+
+  return {
+    status: findings.length > 0 ? 'quarantined' : 'clean',
+    findings,
+    scannedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  registerScanner,
+  scanFile
+};
@@ -0,0 +1,138 @@
+const { getRedisClient } = require('./redis');
+const logger = require('./logger');
+
+// Fixed-window counters shared across instances through Redis, with an
+// in-memory fallback when Redis is absent or unreachable.
+// The interface is compatible with express-slow-down / express-rate-limit stores.
+const createCounterStore = ({ prefix, windowMs }) => {
+  const memory = new Map();
+
+  // Drop expired in-memory entries
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of memory) {
+      if (entry.resetTime.getTime() <= now) {
+        memory.delete(key);
+      }
+    }
+  }, Math.min(windowMs, 60000));
+  cleanupTimer.unref();
+
+  const memoryEntry = (key) => {
+    const entry = memory.get(key);
+    if (entry && entry.resetTime.getTime() > Date.now()) {
+      return entry;
+    }
+    memory.delete(key);
+    return null;
+  };
+
+  // Run a Redis operation, falling back to memory on any failure
+  const withRedis = async (redisOperation, memoryOperation) => {
+    const redis = getRedisClient();
+
+    if (redis) {
+      try {
+        return await redisOperation(redis);
+      } catch (error) {
+        logger.warn(`Redis counter operation failed, using in-memory fallback: ${error.message}`);
+      }
+    }
+
+    return memoryOperation();
+  };
+
+  const increment = async (key) => {
+    const fullKey = `${prefix}:${key}`;
+
+    return withRedis(
+      async (redis) => {
+        const [, totalHits, ttl] = await redis.multi()
+          .set(fullKey, '0', { PX: windowMs, NX: true })
+          .incr(fullKey)
+          .pTTL(fullKey)
+          .exec();
+
+        return {
+          totalHits: Number(totalHits),
+          resetTime: new Date(Date.now() + Math.max(Number(ttl), 0))
+        };
+      },
+      () => {
+        const entry = memoryEntry(fullKey) || { count: 0, resetTime: new Date(Date.now() + windowMs) };
+        entry.count += 1;
+        memory.set(fullKey, entry);
+
+        return { totalHits: entry.count, resetTime: entry.resetTime };
+      }
+    );
+  };
+
+  const decrement = async (key) => {
+    const fullKey = `${prefix}:${key}`;
+
+    return withRedis(
+      async (redis) => {
+        const value = await redis.decr(fullKey);
+        if (value <= 0) {
+          await redis.del(fullKey);
+        }
+      },
+      () => {
+        const entry = memoryEntry(fullKey);
+        if (entry) {
+          entry.count = Math.max(entry.count - 1, 0);
+        }
+      }
+    );
+  };
+
+  const get = async (key) => {
+    const fullKey = `${prefix}:${key}`;
+
+    return withRedis(
+      async (redis) => {
+        const [value, ttl] = await redis.multi()
+          .get(fullKey)
+          .pTTL(fullKey)
+          .exec();
+
+        return {
+          totalHits: parseInt(value) || 0,
+          resetTime: new Date(Date.now() + Math.max(Number(ttl), 0))
+        };
+      },
+      () => {
+        const entry = memoryEntry(fullKey);
+        return {
+          totalHits: entry ? entry.count : 0,
+          resetTime: entry ? entry.resetTime : new Date()
+        };
+      }
+    );
+  };
+
+  const resetKey = async (key) => {
+    const fullKey = `${prefix}:${key}`;
+
+    return withRedis(
+      async (redis) => {
+        await redis.del(fullKey);
+      },
+      () => {
+        memory.delete(fullKey);
+      }
+    );
+  };
+
+  return {
+    increment,
+    decrement,
+    get,
+    resetKey
+  };
+};
+
+module.exports = {
+  createCounterStore
+};
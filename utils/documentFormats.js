@@ -0,0 +1,181 @@
+const path = require('path');
+const extractors = require('./formatExtractors');
+const { detectFileType, matchesSignature } = require('./fileSignature');
+
+// Registry of supported document formats. The upload filters, extractText,
+// validateFile and archive imports all consult it, so supporting a new
+// format is one registerFormat() call.
+const formats = [];
+
+// Register a format. The first MIME type is the canonical one stored for
+// its documents; extract(buffer) resolves to the text that gets analyzed.
+// signature is what the file content must look like (see fileSignature).
+// Formats that are recognised but cannot be read give a rejection message
+// instead of an extractor.
+const registerFormat = ({ name, mimeTypes, extensions, signature, extract, rejection = null }) => {
+  formats.push({ name, mimeTypes, extensions, signature, extract, rejection });
+};
+
+const fileExtension = (filename) => path.extname(filename || '').toLowerCase();
+
+// Browsers send generic or wrong types for configs and exports (YAML as
+// application/octet-stream, CSV as application/vnd.ms-excel), so the
+// extension decides when the MIME type is not one we know
+const findFormat = ({ mimetype, originalname }) => {
+  return formats.find(format => format.mimeTypes.includes(mimetype)) ||
+    formats.find(format => format.extensions.includes(fileExtension(originalname))) ||
+    null;
+};
+
+const isSupportedFile = (file) => Boolean(findFormat(file));
+
+// "PDF, Word, ..." for error messages
+const describeSupportedFormats = () => {
+  return [...new Set(formats.filter(format => !format.rejection).map(format => format.name))].join(', ');
+};
+
+const unsupportedContent = (message) => {
+  const error = new Error(message);
+  error.statusCode = 415;
+  return error;
+};
+
+// The format of an uploaded file, after checking that its content really
+// is that format. Renamed or mislabelled files and recognised formats that
+// cannot be read are rejected with a 415 error.
+const checkFileType = async (file) => {
+  const format = findFormat(file);
+
+  if (!format) {
+    throw unsupportedContent(`${file.originalname} is not a supported file type. Supported formats: ${describeSupportedFormats()}`);
+  }
+
+  const detected = detectFileType(file.buffer);
+
+  if (!(await matchesSignature(format.signature, file.buffer, detected))) {
+    const actually = detected.type === format.signature.type
+      ? `${detected.description} without ${format.name} content`
+      : detected.description;
+    throw unsupportedContent(`${file.originalname} is not a valid ${format.name} file: its content is ${actually}`);
+  }
+
+  if (format.rejection) {
+    throw unsupportedContent(format.rejection);
+  }
+
+  return format;
+};
+
+registerFormat({
+  name: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  signature: { type: 'pdf' },
+  extract: extractors.extractFromPDF
+});
+
+registerFormat({
+  name: 'Word',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  signature: { type: 'zip', entry: 'word/document.xml' },
+  extract: extractors.extractFromWord
+});
+
+// Word 97-2003 binary documents are accepted as uploads so that they get
+// this explanation rather than a generic extraction failure
+registerFormat({
+  name: 'Word',
+  mimeTypes: ['application/msword'],
+  extensions: ['.doc'],
+  signature: { type: 'ole' },
+  rejection: 'Legacy Word 97-2003 documents (.doc) are not supported. Save the document as .docx or PDF and upload it again.'
+});
+
+registerFormat({
+  name: 'Text',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt', '.log'],
+  signature: { type: 'text' },
+  extract: extractors.extractFromText
+});
+
+registerFormat({
+  name: 'Markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+  signature: { type: 'text' },
+  extract: extractors.extractFromText
+});
+
+registerFormat({
+  name: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  signature: { type: 'text' },
+  extract: extractors.extractFromHTML
+});
+
+registerFormat({
+  name: 'RTF',
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extensions: ['.rtf'],
+  signature: { type: 'rtf' },
+  extract: extractors.extractFromRTF
+});
+
+registerFormat({
+  name: 'OpenDocument Text',
+  mimeTypes: ['application/vnd.oasis.opendocument.text'],
+  extensions: ['.odt'],
+  signature: { type: 'zip', entry: 'mimetype', content: 'application/vnd.oasis.opendocument.text' },
+  extract: extractors.extractFromODT
+});
+
+registerFormat({
+  name: 'PowerPoint',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  extensions: ['.pptx'],
+  signature: { type: 'zip', entry: 'ppt/presentation.xml' },
+  extract: extractors.extractFromPPTX
+});
+
+registerFormat({
+  name: 'Excel',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['.xlsx'],
+  signature: { type: 'zip', entry: 'xl/workbook.xml' },
+  extract: extractors.extractFromXLSX
+});
+
+registerFormat({
+  name: 'CSV',
+  mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+  extensions: ['.csv', '.tsv'],
+  signature: { type: 'text' },
+  extract: extractors.extractFromCSV
+});
+
+registerFormat({
+  name: 'JSON',
+  mimeTypes: ['application/json'],
+  extensions: ['.json'],
+  signature: { type: 'text' },
+  extract: extractors.extractFromJSON
+});
+
+registerFormat({
+  name: 'YAML',
+  mimeTypes: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'],
+  extensions: ['.yaml', '.yml'],
+  signature: { type: 'text' },
+  extract: extractors.extractFromYAML
+});
+
+module.exports = {
+  registerFormat,
+  findFormat,
+  isSupportedFile,
+  describeSupportedFormats,
+  checkFileType
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { extractText, screenFile } = require('./documentProcessor');
+const { buildOutline } = require('./documentOutline');
+const { enqueueAnalysisJob } = require('./jobQueue');
+const { storeFile, deleteStoredFiles } = require('./fileStorage');
+const logger = require('./logger');
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// The user's earliest document with exactly this extracted text
+const findDuplicate = async (userId, contentHash) => {
+  const result = await db.query(
+    `SELECT id, filename, version_group_id, version_number, created_at
+     FROM documents
+     WHERE user_id = $1 AND content_hash = $2
+     ORDER BY created_at
+     LIMIT 1`,
+    [userId, contentHash]
+  );
+
+  const row = result.rows[0];
+  return row ? {
+    documentId: row.id,
+    filename: row.filename,
+    versionGroupId: row.version_group_id,
+    versionNumber: row.version_number,
+    createdAt: row.created_at
+  } : null;
+};
+
+// Insert a document row, with the outline of its text and its scan
+// result, inside a transaction. Quarantined documents have no content.
+// Without a version group the document starts a new group as its first
+// version.
+const insertDocument = async (client, { userId, file, content, scan, original = null, versionGroupId = null, versionNumber = 1, tags = [], folder = null, metadata = {} }) => {
+  const hasContent = typeof content === 'string';
+
+  const result = await client.query(
+    `INSERT INTO documents (user_id, filename, file_size, mime_type, content, content_hash, outline, storage_backend, storage_key, sha256,
+                            version_group_id, version_number, tags, folder, metadata, scan_status, scan_findings, scanned_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW()) RETURNING id`,
+    [
+      userId, file.originalname, file.size, file.mimetype,
+      hasContent ? content : null,
+      hasContent ? hashContent(content) : null,
+      hasContent ? JSON.stringify(buildOutline(content)) : null,
+      original && original.backend, original && original.key, original && original.sha256,
+      versionGroupId, versionNumber, tags, folder, JSON.stringify(metadata),
+      scan.status, JSON.stringify(scan.findings), scan.scannedAt
+    ]
+  );
+
+  const documentId = result.rows[0].id;
+
+  if (!versionGroupId) {
+    await client.query('UPDATE documents SET version_group_id = id WHERE id = $1', [documentId]);
+  }
+
+  return documentId;
+};
+
+// Insert an upload as a new document, or as the next version in the
+// version group versionOf. The group's versions are locked while the new
+// one is numbered; the unique index rejects a concurrent upload that picked
+// the same number (23505).
+const insertUpload = async (client, { userId, file, content, scan, original, fields, versionOf }) => {
+  if (!versionOf) {
+    const documentId = await insertDocument(client, { userId, file, content, scan, original, ...fields });
+    return { documentId, versionGroupId: documentId, versionNumber: 1 };
+  }
+
+  const versionsResult = await client.query(
+    `SELECT version_number FROM documents
+     WHERE version_group_id = $1 AND user_id = $2
+     ORDER BY version_number DESC
+     FOR UPDATE`,
+    [versionOf, userId]
+  );
+
+  const versionNumber = versionsResult.rows[0].version_number + 1;
+  const documentId = await insertDocument(client, {
+    userId, file, content, scan, original, ...fields, versionGroupId: versionOf, versionNumber
+  });
+
+  return { documentId, versionGroupId: versionOf, versionNumber };
+};
+
+// Keep a quarantined upload's original file and record it without text or
+// an analysis job
+const quarantineDocument = async ({ userId, file, fields, scan, versionOf }) => {
+  const original = await storeFile(userId, file);
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const stored = await insertUpload(client, { userId, file, content: null, scan, original, fields, versionOf });
+    await client.query('COMMIT');
+
+    logger.warn(`Document ${stored.documentId} of user ${userId} quarantined: ${scan.findings.map(finding => finding.message).join('; ')}`);
+
+    return { ...stored, job: null, duplicateOf: null, linked: false, scan };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await deleteStoredFiles([original]);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Scan an uploaded file and extract its text, keep the original file, then
+// save the document and queue its analysis atomically, so a retried upload
+// never leaves a document without a job. The stored file is removed again
+// if the document cannot be saved. Callers wake the workers once uploads
+// are stored. Without analysis settings no job is queued.
+//
+// versionOf stores the upload as the next version in that version group;
+// results report the documentId, versionGroupId and versionNumber.
+//
+// Files the content scan flags are quarantined instead: stored without
+// text or a job (the result's scan.status is 'quarantined').
+//
+// When the text matches one of the user's documents, onDuplicate 'link'
+// returns that document instead ({ duplicateOf, linked: true }, no job);
+// 'warn' stores the upload anyway and reports duplicateOf.
+const ingestDocument = async ({ userId, file, fields = {}, analysis = null, onDuplicate = 'warn', versionOf = null }) => {
+  const scan = await screenFile(file);
+
+  if (scan.status === 'quarantined') {
+    return quarantineDocument({ userId, file, fields, scan, versionOf });
+  }
+
+  const content = await extractText(file);
+
+  if (!content || content.trim().length === 0) {
+    const error = new Error('Unable to extract readable text from the uploaded document');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const duplicateOf = await findDuplicate(userId, hashContent(content));
+
+  if (duplicateOf && onDuplicate === 'link') {
+    logger.info(`Upload of ${file.originalname} by user ${userId} matches document ${duplicateOf.documentId}, linked`);
+    return {
+      documentId: duplicateOf.documentId,
+      versionGroupId: duplicateOf.versionGroupId,
+      versionNumber: duplicateOf.versionNumber,
+      job: null,
+      duplicateOf,
+      linked: true,
+      scan
+    };
+  }
+
+  const original = await storeFile(userId, file);
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const stored = await insertUpload(client, { userId, file, content, scan, original, fields, versionOf });
+
+    const job = analysis ? await enqueueAnalysisJob({
+      userId,
+      documentId: stored.documentId,
+      aiProvider: analysis.aiProvider,
+      analysisType: analysis.analysisType,
+      customPrompt: analysis.customPrompt,
+      force: analysis.force
+    }, client) : null;
+
+    await client.query('COMMIT');
+
+    logger.info(`Document ${stored.documentId} stored for user ${userId}${job ? `, analysis job ${job.id} queued` : ''}`);
+
+    return { ...stored, job, duplicateOf, linked: false, scan };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await deleteStoredFiles([original]);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  ingestDocument
+};
@@ -0,0 +1,158 @@
+// Organisation fields for documents: tags, a folder path and custom
+// key/value metadata. Each parser returns { value } or { error } so routes
+// can report validation failures the same way for JSON and multipart bodies.
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_FOLDER_DEPTH = 10;
+const MAX_FOLDER_SEGMENT_LENGTH = 100;
+const MAX_METADATA_KEYS = 30;
+const MAX_METADATA_VALUE_LENGTH = 500;
+
+const METADATA_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]{0,49}$/;
+const CLASSIFICATION_LEVELS = ['public', 'internal', 'confidential', 'restricted'];
+
+// Well-known metadata keys with stricter rules than free-form values
+const KNOWN_METADATA_FIELDS = {
+  owner: (value) => typeof value === 'string' && value.trim().length > 0,
+  businessUnit: (value) => typeof value === 'string' && value.trim().length > 0,
+  classification: (value) => CLASSIFICATION_LEVELS.includes(value),
+  nextReviewDate: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const KNOWN_METADATA_ERRORS = {
+  owner: 'owner must be a non-empty string',
+  businessUnit: 'businessUnit must be a non-empty string',
+  classification: `classification must be one of: ${CLASSIFICATION_LEVELS.join(', ')}`,
+  nextReviewDate: 'nextReviewDate must be a date in YYYY-MM-DD format'
+};
+
+// Multipart forms send structured fields as strings
+const parseFormValue = (value) => {
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  return value;
+};
+
+// Tags: an array or a comma-separated string, stored lowercase so filters
+// match regardless of how a tag was typed.
+const parseTags = (input) => {
+  if (input === undefined || input === null || input === '') return { value: [] };
+
+  const parsed = parseFormValue(input);
+  const values = typeof parsed === 'string' ? parsed.split(',') : parsed;
+
+  if (!Array.isArray(values) || values.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be an array of strings or a comma-separated string' };
+  }
+
+  const seen = new Set();
+  const tags = [];
+
+  for (const raw of values) {
+    const tag = raw.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!tag) continue;
+
+    if (tag.length > MAX_TAG_LENGTH) {
+      return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+
+    if (!seen.has(tag)) {
+      seen.add(tag);
+      tags.push(tag);
+    }
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A document can have at most ${MAX_TAGS} tags` };
+  }
+
+  return { value: tags };
+};
+
+// Folder paths like "Policies/Access Control". Empty means no folder.
+const parseFolder = (input) => {
+  if (input === undefined || input === null) return { value: null };
+
+  if (typeof input !== 'string') {
+    return { error: 'Folder must be a path string such as "Policies/Access Control"' };
+  }
+
+  const segments = input.split('/')
+    .map(segment => segment.replace(/\s+/g, ' ').trim())
+    .filter(segment => segment.length > 0);
+
+  if (segments.length === 0) return { value: null };
+
+  if (segments.length > MAX_FOLDER_DEPTH) {
+    return { error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` };
+  }
+
+  if (segments.some(segment => segment.length > MAX_FOLDER_SEGMENT_LENGTH || segment === '.' || segment === '..')) {
+    return { error: `Folder names must be at most ${MAX_FOLDER_SEGMENT_LENGTH} characters and cannot be "." or ".."` };
+  }
+
+  return { value: segments.join('/') };
+};
+
+// Custom metadata: a flat object of scalar values. With allowNull, null
+// values are kept so a PATCH can remove keys.
+const parseMetadata = (input, { allowNull = false } = {}) => {
+  if (input === undefined || input === null || input === '') return { value: {} };
+
+  const metadata = parseFormValue(input);
+
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    return { error: 'Metadata must be an object of key/value pairs' };
+  }
+
+  const keys = Object.keys(metadata);
+
+  if (keys.length > MAX_METADATA_KEYS) {
+    return { error: `Metadata can have at most ${MAX_METADATA_KEYS} keys` };
+  }
+
+  for (const key of keys) {
+    const value = metadata[key];
+
+    if (!METADATA_KEY_PATTERN.test(key)) {
+      return { error: `Invalid metadata key "${key}": use letters, digits, "_", "." or "-" (max 50 characters)` };
+    }
+
+    if (value === null) {
+      if (!allowNull) return { error: `Metadata value for "${key}" cannot be null` };
+      continue;
+    }
+
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return { error: `Metadata value for "${key}" must be a string, number or boolean` };
+    }
+
+    if (typeof value === 'string' && value.length > MAX_METADATA_VALUE_LENGTH) {
+      return { error: `Metadata value for "${key}" must be at most ${MAX_METADATA_VALUE_LENGTH} characters` };
+    }
+
+    if (KNOWN_METADATA_FIELDS[key] && !KNOWN_METADATA_FIELDS[key](value)) {
+      return { error: KNOWN_METADATA_ERRORS[key] };
+    }
+  }
+
+  return { value: metadata };
+};
+
+module.exports = {
+  CLASSIFICATION_LEVELS,
+  METADATA_KEY_PATTERN,
+  parseTags,
+  parseFolder,
+  parseMetadata
+};
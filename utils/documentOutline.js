@@ -0,0 +1,235 @@
+const { isHeading } = require('./chunker');
+
+// Document outlines: the headings, paragraphs, lists and tables of the
+// extracted text, with the section and page each one sits in. Extractors
+// keep line structure (Markdown-style headings, "- " list items, "| "
+// table rows) and mark PDF page starts with a "[Page N]" line, which is
+// what the outline is read from. Offsets are character offsets into the
+// stored content.
+
+const PAGE_MARKER = /^\[Page (\d+)\]$/;
+
+const pageMarker = (pageNumber) => `[Page ${pageNumber}]`;
+
+const LIST_ITEM = /^\s*([-*•]|\d+[.)]|[a-z][.)])\s+\S/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+\S/;
+const TABLE_ROW = /^\|.*\|$/;
+const TABLE_SEPARATOR = /^\|(\s*:?-{3,}:?\s*\|)+$/;
+
+// Page lookup for offsets asked in increasing order (chunk starts): returns
+// a function giving the page on which an offset falls, or null for text
+// without page markers. The markers are scanned once, walking forward as
+// the offsets grow.
+const pageLocator = (text) => {
+  const pattern = /^\[Page (\d+)\]$/gm;
+  let page = null;
+  let next = pattern.exec(text);
+
+  return (offset) => {
+    while (next && next.index <= offset) {
+      page = parseInt(next[1]);
+      next = pattern.exec(text);
+    }
+    return page;
+  };
+};
+
+// Level, title and (when the heading carries one) section number of a
+// heading line. Markdown headings take their level from the #s, numbered
+// headings ("4.2 Scope") from the number.
+const parseHeading = (line) => {
+  let text = line.trim();
+  let level = null;
+
+  const markdown = /^(#{1,6})\s+(.*)$/.exec(text);
+  if (markdown) {
+    level = markdown[1].length;
+    text = markdown[2].trim();
+  }
+
+  const numbered = /^(\d+(?:\.\d+)*)\.?\s+(.*)$/.exec(text);
+  if (numbered) {
+    return { level: level || numbered[1].split('.').length, number: numbered[1], title: text };
+  }
+
+  const named = /^(?:section|chapter|article|part|appendix|annex)\s+([\dIVXLC]+(?:\.\d+)*|[A-Z])\b/i.exec(text);
+  if (named) {
+    return { level: level || 1, number: named[1], title: text };
+  }
+
+  return { level: level || 1, number: null, title: text };
+};
+
+// A line starting "1." is a numbered list item when it sits next to other
+// list items, otherwise it can be a numbered heading
+const isListItem = (lines, i) => {
+  const line = lines[i].text;
+  if (!LIST_ITEM.test(line)) return false;
+  if (!NUMBERED_ITEM.test(line)) return true;
+
+  const neighbour = (j) => j >= 0 && j < lines.length && LIST_ITEM.test(lines[j].text);
+  return neighbour(i - 1) || neighbour(i + 1) || !isHeading(line);
+};
+
+// Build the outline of extracted text:
+//   sections - [{ id, title, level, parent, page, start, end }]; ids are the
+//              document's own numbers where headings have them ("4.2"),
+//              otherwise positional ("2.1")
+//   blocks   - [{ type, section, page, start, end, ... }] in reading order:
+//              heading (level, title), paragraph, list (items), table (rows, columns)
+//   pageCount - number of pages, or null when the format has no pages
+const buildOutline = (text) => {
+  const content = text || '';
+  const lines = [];
+  let offset = 0;
+
+  for (const line of content.split('\n')) {
+    lines.push({ text: line, start: offset, end: offset + line.length });
+    offset += line.length + 1;
+  }
+
+  const sections = [];
+  const blocks = [];
+  // Open sections, innermost last, and the latest section with each id
+  const stack = [];
+  const entries = new Map();
+  let rootCount = 0;
+  let page = null;
+  let pageCount = null;
+  let current = null;
+
+  const closeBlock = () => {
+    if (current) {
+      blocks.push(current);
+      current = null;
+    }
+  };
+
+  const openBlock = (type, line, extra = {}) => {
+    closeBlock();
+    const section = stack.length > 0 ? stack[stack.length - 1].id : null;
+    current = { type, section, page, start: line.start, end: line.end, ...extra };
+  };
+
+  const openSection = (line) => {
+    const heading = parseHeading(line.text);
+
+    // "2.5" belongs under section 2 even when a stray heading came between
+    const prefix = heading.number && heading.number.includes('.')
+      ? heading.number.slice(0, heading.number.lastIndexOf('.'))
+      : null;
+
+    if (prefix && entries.has(prefix)) {
+      stack.length = 0;
+      for (let entry = entries.get(prefix); entry; entry = entry.parent) {
+        stack.unshift(entry);
+      }
+    } else {
+      while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+    }
+
+    const parent = stack[stack.length - 1] || null;
+    let id = heading.number;
+    if (!id) {
+      id = parent ? `${parent.id}.${parent.children + 1}` : String(rootCount + 1);
+    }
+    if (parent) parent.children++;
+    else rootCount++;
+
+    const section = { id, title: heading.title, level: heading.level, parent: parent ? parent.id : null, page, start: line.start, end: content.length };
+    sections.push(section);
+
+    const entry = { id, level: heading.level, children: 0, parent };
+    entries.set(id, entry);
+    stack.push(entry);
+
+    openBlock('heading', line, { level: heading.level, title: heading.title });
+    closeBlock();
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.text.trim();
+
+    const marker = PAGE_MARKER.exec(trimmed);
+    if (marker) {
+      closeBlock();
+      page = parseInt(marker[1]);
+      pageCount = Math.max(pageCount || 0, page);
+      return;
+    }
+
+    if (trimmed === '') {
+      closeBlock();
+      return;
+    }
+
+    if (TABLE_ROW.test(trimmed)) {
+      if (!current || current.type !== 'table') {
+        openBlock('table', line, { rows: 0, columns: trimmed.split(/(?<!\\)\|/).length - 2 });
+      }
+      current.end = line.end;
+      if (!TABLE_SEPARATOR.test(trimmed)) current.rows++;
+      return;
+    }
+
+    if (isListItem(lines, i)) {
+      if (!current || current.type !== 'list') {
+        openBlock('list', line, { items: 0 });
+      }
+      current.end = line.end;
+      current.items++;
+      return;
+    }
+
+    // Indented lines continue the list item above them
+    if (current && current.type === 'list' && /^\s+\S/.test(line.text)) {
+      current.end = line.end;
+      return;
+    }
+
+    if (isHeading(line.text)) {
+      closeBlock();
+      openSection(line);
+      return;
+    }
+
+    if (!current || current.type !== 'paragraph') {
+      openBlock('paragraph', line);
+    }
+    current.end = line.end;
+  });
+
+  closeBlock();
+
+  // A section runs until the next heading at its level or above: each
+  // heading closes the open sections it outranks or equals
+  const open = [];
+  for (const section of sections) {
+    while (open.length > 0 && open[open.length - 1].level >= section.level) {
+      open.pop().end = section.start;
+    }
+    open.push(section);
+  }
+
+  return { pageCount, sections, blocks };
+};
+
+// Ids of a section and everything nested in it
+const sectionWithSubsections = (outline, sectionId) => {
+  const ids = new Set([sectionId]);
+
+  for (const section of outline.sections) {
+    if (section.parent && ids.has(section.parent)) ids.add(section.id);
+  }
+
+  return ids;
+};
+
+module.exports = {
+  pageMarker,
+  pageLocator,
+  buildOutline,
+  sectionWithSubsections
+};
@@ -1,93 +1,47 @@
-const mammoth = require('mammoth');
-const pdfParse = require('pdf-parse');
+const { checkFileType, isSupportedFile, describeSupportedFormats } = require('./documentFormats');
+const { cleanExtractedText } = require('./formatExtractors');
+const { scanFile } = require('./contentScanner');
 const logger = require('./logger');
 
-// Extract text from different file types
+// Extract text from different file types. Files whose content does not
+// match their type are rejected with a 415 error before any parser sees them.
 const extractText = async (file) => {
   try {
     const { buffer, mimetype, originalname } = file;
     
     logger.info(`Extracting text from ${originalname} (${mimetype})`);
 
-    switch (mimetype) {
-      case 'application/pdf':
-        return await extractFromPDF(buffer);
-      
-      case 'application/msword':
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-        return await extractFromWord(buffer);
-      
-      case 'text/plain':
-      case 'text/markdown':
-        return buffer.toString('utf-8');
-      
-      default:
-        throw new Error(`Unsupported file type: ${mimetype}`);
-    }
+    const format = await checkFileType(file);
 
-  } catch (error) {
-    logger.error('Text extraction error:', error);
-    throw new Error(`Failed to extract text: ${error.message}`);
-  }
-};
+    return await format.extract(buffer);
 
-// Extract text from PDF files
-const extractFromPDF = async (buffer) => {
-  try {
-    const data = await pdfParse(buffer);
-    const text = data.text.trim();
-    
-    if (!text || text.length === 0) {
-      throw new Error('PDF appears to be empty or contains no readable text');
+  } catch (error) {
+    if (error.statusCode === 415) {
+      logger.warn(`Rejected upload ${file.originalname}: ${error.message}`);
+      throw error;
     }
 
-    // Clean up the extracted text
-    const cleanedText = cleanExtractedText(text);
-    
-    logger.info(`Extracted ${cleanedText.length} characters from PDF`);
-    return cleanedText;
-
-  } catch (error) {
-    logger.error('PDF extraction error:', error);
-    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+    logger.error('Text extraction error:', error);
+    throw new Error(`Failed to extract text: ${error.message}`);
   }
 };
 
-// Extract text from Word documents
-const extractFromWord = async (buffer) => {
-  try {
-    const result = await mammoth.extractRawText({ buffer });
-    const text = result.value.trim();
-    
-    if (!text || text.length === 0) {
-      throw new Error('Word document appears to be empty or contains no readable text');
-    }
+// Check an upload's type and scan it for active content before any
+// extractor parses it. Resolves to the scan result ({ status, findings });
+// type mismatches are rejected with a 415 error.
+const screenFile = async (file) => {
+  await checkFileType(file);
 
-    // Clean up the extracted text
-    const cleanedText = cleanExtractedText(text);
-    
-    logger.info(`Extracted ${cleanedText.length} characters from Word document`);
-    return cleanedText;
+  const scan = await scanFile(file);
 
-  } catch (error) {
-    logger.error('Word extraction error:', error);
-    throw new Error(`Failed to extract text from Word document: ${error.message}`);
+  if (scan.status === 'quarantined') {
+    logger.security('Upload quarantined by content scan', {
+      filename: file.originalname,
+      findings: scan.findings.map(finding => `${finding.scanner}:${finding.rule}`)
+    });
   }
-};
 
-// Clean and normalize extracted text
-const cleanExtractedText = (text) => {
-  if (!text) return '';
-  
-  return text
-    // Remove excessive whitespace
-    .replace(/\s+/g, ' ')
-    // Remove multiple line breaks
-    .replace(/\n\s*\n/g, '\n\n')
-    // Remove special characters that might interfere with AI processing
-    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, '')
-    // Trim whitespace
-    .trim();
+  return scan;
 };
 
 // Validate file before processing
@@ -106,16 +60,8 @@ const validateFile = (file) => {
   }
 
   // Check file type
-  const allowedTypes = [
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-    'text/markdown'
-  ];
-
-  if (!allowedTypes.includes(file.mimetype)) {
-    errors.push(`File type ${file.mimetype} is not supported. Allowed types: PDF, Word, Text, Markdown`);
+  if (!isSupportedFile(file)) {
+    errors.push(`File type ${file.mimetype} is not supported. Allowed types: ${describeSupportedFormats()}`);
   }
 
   // Check filename
@@ -234,6 +180,7 @@ const analyzeContent = (content) => {
 
 module.exports = {
   extractText,
+  screenFile,
   processDocument,
   validateFile,
   getFileMetadata,
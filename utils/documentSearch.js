@@ -0,0 +1,220 @@
+const db = require('../config/database');
+
+const MAX_QUERY_TERMS = 32;
+
+// Highlight markers are control characters so they survive HTML escaping
+// of the snippet and can then be swapped for <mark> tags.
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", ` +
+  'MaxFragments=3, MaxWords=30, MinWords=10, FragmentDelimiter=" … "';
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Snippets are returned as HTML with only <mark> tags unescaped
+const formatSnippet = (headline) => {
+  if (!headline) return null;
+  return escapeHtml(headline.replace(/[\r\n\t]+/g, ' ').trim())
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+};
+
+// Lexemes are reduced to letters and digits, so they never need escaping
+// inside the quoted tsquery syntax
+const toWords = (text) => {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+};
+
+// Translate a search box query into to_tsquery syntax:
+//   word        all words must match (AND)
+//   "a phrase"  words must appear in this order
+//   prefix*     prefix match
+//   -word       exclude documents containing the word or "phrase"
+//   a OR b      either side may match
+// Returns null when the query has no searchable term.
+const buildTsQuery = (input) => {
+  const groups = [[]];
+  let positiveTerms = 0;
+  let termCount = 0;
+  const tokenPattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(input)) !== null && termCount < MAX_QUERY_TERMS) {
+    let negate;
+    let prefix = false;
+    let words;
+
+    if (match[3] === 'OR') {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+
+    if (match[3] !== undefined) {
+      let token = match[3];
+      negate = token.length > 1 && token.startsWith('-');
+      if (negate) token = token.slice(1);
+      prefix = token.endsWith('*');
+      words = toWords(token);
+    } else {
+      negate = match[1] === '-';
+      words = toWords(match[2]);
+    }
+
+    if (words.length === 0) continue;
+
+    let term = words.map((word, i) => {
+      return prefix && i === words.length - 1 ? `'${word}':*` : `'${word}'`;
+    }).join(' <-> ');
+
+    if (words.length > 1) term = `(${term})`;
+    if (negate) {
+      term = `!${term}`;
+    } else {
+      positiveTerms++;
+    }
+
+    groups[groups.length - 1].push(term);
+    termCount++;
+  }
+
+  if (positiveTerms === 0) return null;
+
+  return groups
+    .filter(group => group.length > 0)
+    .map(group => (group.length > 1 ? `(${group.join(' & ')})` : group[0]))
+    .join(' | ');
+};
+
+// Search a user's documents by content, filename and analysis text.
+// Documents are ranked by their best match, either in the document itself
+// or in one of its analyses; provider/type filters apply to the analyses.
+const searchDocuments = async (userId, tsQuery, filters, { limit, offset }) => {
+  const params = [tsQuery, userId];
+  const documentConditions = [];
+  const analysisConditions = [];
+
+  if (filters.mimeType) {
+    params.push(filters.mimeType);
+    documentConditions.push(`d.mime_type = $${params.length}`);
+  }
+
+  if (filters.from) {
+    params.push(filters.from);
+    documentConditions.push(`d.created_at >= $${params.length}`);
+  }
+
+  if (filters.to) {
+    params.push(filters.to);
+    documentConditions.push(`d.created_at <= $${params.length}`);
+  }
+
+  if (filters.aiProvider) {
+    params.push(filters.aiProvider);
+    analysisConditions.push(`a.ai_provider = $${params.length}`);
+  }
+
+  if (filters.analysisType) {
+    params.push(filters.analysisType);
+    analysisConditions.push(`a.analysis_type = $${params.length}`);
+  }
+
+  const analysisFilter = analysisConditions.map(condition => ` AND ${condition}`).join('');
+
+  // With provider/type filters, only documents that have such an analysis match
+  if (analysisConditions.length > 0) {
+    documentConditions.push(`EXISTS (SELECT 1 FROM analyses a WHERE a.document_id = d.id${analysisFilter})`);
+  }
+
+  const documentFilter = documentConditions.map(condition => ` AND ${condition}`).join('');
+  const filterParams = [...params];
+
+  params.push(limit, offset, HEADLINE_OPTIONS);
+  const limitParam = params.length - 2;
+  const offsetParam = params.length - 1;
+  const headlineParam = params.length;
+
+  const result = await db.query(
+    `WITH q AS (
+       SELECT to_tsquery('english', $1) AS query
+     ),
+     ranked AS (
+       SELECT d.id, d.filename, d.file_size, d.mime_type, d.created_at,
+              d.search_vector @@ q.query AS document_match,
+              ts_rank_cd(d.search_vector, q.query, 32) AS document_rank,
+              m.analysis_id, m.analysis_rank,
+              GREATEST(ts_rank_cd(d.search_vector, q.query, 32), COALESCE(m.analysis_rank, 0)) AS rank
+       FROM documents d
+       CROSS JOIN q
+       LEFT JOIN LATERAL (
+         SELECT a.id AS analysis_id, ts_rank_cd(a.search_vector, q.query, 32) AS analysis_rank
+         FROM analyses a
+         WHERE a.document_id = d.id AND a.search_vector @@ q.query${analysisFilter}
+         ORDER BY analysis_rank DESC, a.created_at DESC
+         LIMIT 1
+       ) m ON TRUE
+       WHERE d.user_id = $2
+         AND (d.search_vector @@ q.query OR m.analysis_id IS NOT NULL)${documentFilter}
+       ORDER BY rank DESC, d.created_at DESC
+       LIMIT $${limitParam} OFFSET $${offsetParam}
+     )
+     SELECT r.*, a.ai_provider, a.analysis_type,
+            CASE WHEN r.document_match
+              THEN ts_headline('english', left(coalesce(d.content, ''), 1000000), q.query, $${headlineParam})
+            END AS content_snippet,
+            CASE WHEN r.analysis_id IS NOT NULL
+              THEN ts_headline('english', a.result->>'analysis', q.query, $${headlineParam})
+            END AS analysis_snippet
+     FROM ranked r
+     JOIN documents d ON d.id = r.id
+     CROSS JOIN q
+     LEFT JOIN analyses a ON a.id = r.analysis_id
+     ORDER BY r.rank DESC, r.created_at DESC`,
+    params
+  );
+
+  // Counted separately so the total stays right for offsets past the end
+  const countResult = await db.query(
+    `SELECT COUNT(*)
+     FROM documents d
+     CROSS JOIN (SELECT to_tsquery('english', $1) AS query) q
+     WHERE d.user_id = $2
+       AND (d.search_vector @@ q.query
+            OR EXISTS (SELECT 1 FROM analyses a WHERE a.document_id = d.id AND a.search_vector @@ q.query${analysisFilter}))${documentFilter}`,
+    filterParams
+  );
+
+  return {
+    results: result.rows.map(row => ({
+      id: row.id,
+      filename: row.filename,
+      fileSize: row.file_size,
+      mimeType: row.mime_type,
+      createdAt: row.created_at,
+      rank: Number(row.rank),
+      matchedIn: [
+        ...(row.document_match ? ['document'] : []),
+        ...(row.analysis_id ? ['analysis'] : [])
+      ],
+      snippet: formatSnippet(row.content_snippet),
+      analysisMatch: row.analysis_id ? {
+        analysisId: row.analysis_id,
+        aiProvider: row.ai_provider,
+        analysisType: row.analysis_type,
+        snippet: formatSnippet(row.analysis_snippet)
+      } : null
+    })),
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+module.exports = {
+  buildTsQuery,
+  searchDocuments
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// Derive a 256-bit key for encrypting secrets at rest.
+// DATA_ENCRYPTION_KEY should be set in production; JWT_SECRET is only a fallback.
+const getKey = () => {
+  const secret = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('DATA_ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Encrypt a string into a self-describing "v1:iv:tag:ciphertext" payload
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+// Decrypt a payload produced by encrypt()
+const decrypt = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted payload format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
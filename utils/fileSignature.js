@@ -0,0 +1,87 @@
+const JSZip = require('jszip');
+const { readZipEntry } = require('./archiveExtractor');
+
+// Content sniffing: what a file really is, judged by its leading bytes
+// rather than the client-supplied MIME type or extension.
+
+const startsWith = (bytes) => (buffer) => buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+
+const asciiBytes = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Compound File Binary (OLE2) container, used by Word 97-2003 and other
+// legacy Office formats, and by password-protected OOXML files
+const isOle = startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// Encrypted OOXML packages are OLE containers with an EncryptedPackage stream
+const ENCRYPTED_PACKAGE = Buffer.from('EncryptedPackage', 'utf16le');
+
+// Binary files have NUL bytes near the start; text files do not
+const TEXT_SAMPLE_SIZE = 8000;
+
+const PDF_HEADER = /^(?:\xef\xbb\xbf)?[\t\n\f\r ]*%PDF-/;
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  // Only whitespace or a byte order mark may come before the header, so a
+  // text file that mentions "%PDF-" is still text
+  { type: 'pdf', description: 'a PDF document', test: buffer => PDF_HEADER.test(buffer.subarray(0, 1024).toString('latin1')) },
+  { type: 'zip', description: 'a zip archive', test: buffer => startsWith([0x50, 0x4b, 0x03, 0x04])(buffer) || startsWith([0x50, 0x4b, 0x05, 0x06])(buffer) },
+  { type: 'encrypted-office', description: 'a password-protected Office document', test: buffer => isOle(buffer) && buffer.includes(ENCRYPTED_PACKAGE) },
+  { type: 'ole', description: 'a legacy Microsoft Office document', test: isOle },
+  { type: 'rtf', description: 'an RTF document', text: true, test: startsWith(asciiBytes('{\\rtf')) },
+  { type: 'png', description: 'a PNG image', test: startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'jpeg', description: 'a JPEG image', test: startsWith([0xff, 0xd8, 0xff]) },
+  { type: 'gif', description: 'a GIF image', test: startsWith(asciiBytes('GIF8')) },
+  { type: 'gzip', description: 'a gzip archive', test: startsWith([0x1f, 0x8b]) },
+  { type: '7z', description: 'a 7-Zip archive', test: startsWith([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { type: 'rar', description: 'a RAR archive', test: startsWith(asciiBytes('Rar!')) },
+  { type: 'executable', description: 'an ELF executable', test: startsWith([0x7f, 0x45, 0x4c, 0x46]) },
+  { type: 'executable', description: 'a Windows executable', test: buffer => startsWith(asciiBytes('MZ'))(buffer) && buffer.subarray(0, 64).includes(0) },
+  { type: 'text', description: 'a text file', text: true, test: buffer => !buffer.subarray(0, TEXT_SAMPLE_SIZE).includes(0) }
+];
+
+// Detect a file's type from its content: { type, description, text }.
+// Unrecognised binary data has type 'binary'.
+const detectFileType = (buffer) => {
+  const signature = SIGNATURES.find(candidate => candidate.test(buffer));
+
+  if (!signature) {
+    return { type: 'binary', description: 'binary data of an unknown type', text: false };
+  }
+
+  return { type: signature.type, description: signature.description, text: Boolean(signature.text) };
+};
+
+// Whether content detected as detected satisfies a format's signature:
+//   { type: 'text' }                 - any text, RTF source included
+//   { type }                         - that detected type
+//   { type: 'zip', entry, content }  - a zip holding entry (whose text
+//                                      starts with content, if given)
+const matchesSignature = async (signature, buffer, detected = detectFileType(buffer)) => {
+  if (signature.type === 'text') return detected.text;
+  if (signature.type !== detected.type) return false;
+  if (!signature.entry) return true;
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    return false;
+  }
+
+  const entry = zip.file(signature.entry);
+  if (!entry) return false;
+  if (!signature.content) return true;
+
+  try {
+    const text = (await readZipEntry(entry, 1024)).toString('utf-8');
+    return text.trim().startsWith(signature.content);
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  detectFileType,
+  matchesSignature
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Original uploads are kept in a pluggable backend selected with
+// STORAGE_BACKEND: "local" (default) writes under STORAGE_LOCAL_PATH
+// (data/uploads, which .gitignore keeps out of the repository),
+// "s3" talks to any S3-compatible service (AWS, MinIO, ...). Documents
+// record which backend holds their file, so switching backends keeps older
+// files readable as long as the previous backend stays configured.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Raised when a stored file does not exist in the backend
+const notFound = (key) => {
+  const error = new Error(`Stored file not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+// Local filesystem backend. Keys map to paths below root and can never
+// resolve outside it.
+const createLocalStorage = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    // Write to a temporary file first so readers never see partial files
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, buffer, { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    getStream: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        throw notFound(key);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// S3-compatible backend using path-style or virtual-hosted URLs and
+// Signature Version 4 request signing
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    if (forcePathStyle) {
+      return new URL(`${base.origin}/${bucket}/${encodedKey}`);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}/${encodedKey}`);
+  };
+
+  const signingKey = (date) => {
+    const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+    return hmac(hmac(hmac(dateKey, region), 's3'), 'aws4_request');
+  };
+
+  // Build the headers of a signed request
+  const sign = (method, url, payloadHash, extraHeaders = {}) => {
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const headers = {
+      ...extraHeaders,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signature = crypto.createHmac('sha256', signingKey(date)).update(stringToSign).digest('hex');
+
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  };
+
+  const request = (method, key, { data, payloadHash = EMPTY_PAYLOAD_HASH, headers, responseType } = {}) => {
+    const url = objectUrl(key);
+    return axios({
+      method,
+      url: url.toString(),
+      data,
+      headers: sign(method, url, payloadHash, headers),
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+  };
+
+  // S3 reports errors as XML; keep the code for the log
+  const failure = (operation, key, response) => {
+    const code = typeof response.data === 'string' ? (response.data.match(/<Code>([^<]+)<\/Code>/) || [])[1] : null;
+    return new Error(`S3 ${operation} failed for ${key}: ${response.status}${code ? ` ${code}` : ''}`);
+  };
+
+  return {
+    name: 's3',
+
+    // The payload hash is signed, so S3 rejects a body that was corrupted in transit
+    put: async (key, buffer, { contentType } = {}) => {
+      const response = await request('PUT', key, {
+        data: buffer,
+        payloadHash: sha256(buffer),
+        headers: {
+          'content-type': contentType || 'application/octet-stream',
+          'content-length': buffer.length
+        }
+      });
+
+      if (response.status !== 200) throw failure('upload', key, response);
+    },
+
+    getStream: async (key) => {
+      const response = await request('GET', key, { responseType: 'stream' });
+
+      if (response.status === 404) {
+        response.data.resume();
+        throw notFound(key);
+      }
+      if (response.status !== 200) {
+        response.data.resume();
+        throw failure('download', key, { status: response.status });
+      }
+
+      return response.data;
+    },
+
+    delete: async (key) => {
+      const response = await request('DELETE', key);
+
+      if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+        throw failure('delete', key, response);
+      }
+    }
+  };
+};
+
+const backends = {};
+
+const createBackend = (name) => {
+  switch (name) {
+    case 'local':
+      return createLocalStorage({
+        root: process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', 'data', 'uploads')
+      });
+
+    case 's3':
+      return createS3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+
+    default:
+      throw new Error(`Unknown storage backend: ${name}`);
+  }
+};
+
+// Backend by name, defaulting to the configured one
+const getStorage = (name = STORAGE_BACKEND) => {
+  if (!backends[name]) {
+    backends[name] = createBackend(name);
+  }
+  return backends[name];
+};
+
+// Store an uploaded file for a user, returning where it went and its checksum
+const storeFile = async (userId, file) => {
+  const storage = getStorage();
+  const key = `documents/${userId}/${crypto.randomUUID()}`;
+  const checksum = sha256(file.buffer);
+
+  await storage.put(key, file.buffer, { contentType: file.mimetype });
+
+  return { backend: storage.name, key, sha256: checksum };
+};
+
+// Open a stored file for reading
+const openStoredFile = ({ backend, key }) => {
+  return getStorage(backend).getStream(key);
+};
+
+// Remove stored files, logging rather than throwing on failure: the
+// document rows are already gone and a leftover blob is only wasted space
+const deleteStoredFiles = async (files) => {
+  for (const { backend, key } of files) {
+    if (!backend || !key) continue;
+
+    try {
+      await getStorage(backend).delete(key);
+    } catch (error) {
+      logger.error(`Failed to delete stored file ${backend}:${key}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  storeFile,
+  openStoredFile,
+  deleteStoredFiles
+};
@@ -0,0 +1,872 @@
+const path = require('path');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const yaml = require('js-yaml');
+const { DOMParser } = require('@xmldom/xmldom');
+const { readZipEntry } = require('./archiveExtractor');
+const { pageMarker } = require('./documentOutline');
+const logger = require('./logger');
+
+// Text extractors for each supported document format. Each takes the file
+// buffer and resolves to plain text; formats with structure (headings,
+// lists, tables, sheets, slides) keep it as Markdown-like text, and PDFs
+// mark where each page starts. documentOutline reads the outline from it.
+
+// Clean and normalize extracted text, keeping line and paragraph breaks
+const cleanExtractedText = (text) => {
+  if (!text) return '';
+
+  return text
+    .replace(/\r\n?/g, '\n')
+    // Remove special characters that might interfere with AI processing
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, '')
+    // Collapse whitespace within lines
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/^ | $/gm, '')
+    // Remove multiple line breaks
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Tidy text whose line structure matters: normalize line endings, drop
+// control characters and trailing spaces, and collapse runs of blank lines
+const normalizeStructuredText = (text) => {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, '')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const decodeUtf8 = (buffer) => buffer.toString('utf-8').replace(/^\uFEFF/, '');
+
+// Render rows of cells as a Markdown table, the first row as its header
+const formatTable = (rows) => {
+  if (rows.length === 0) return '';
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  if (width === 0) return '';
+
+  const cell = (value) => String(value ?? '').replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+  const line = (row) => `| ${Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ')} |`;
+
+  return [
+    line(rows[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(line)
+  ].join('\n');
+};
+
+// Text of a PDF page, one line per line of text on the page (as
+// pdf-parse's own renderer does)
+const renderPdfPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    const y = item.transform[5];
+    text += lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+    lastY = y;
+  }
+
+  return text;
+};
+
+// Extract text from PDF files, each page preceded by its page marker
+const extractFromPDF = async (buffer) => {
+  try {
+    const pages = [];
+
+    await pdfParse(buffer, {
+      pagerender: async (pageData) => {
+        const text = await renderPdfPage(pageData);
+        pages[pageData.pageIndex] = cleanExtractedText(text);
+        return text;
+      }
+    });
+
+    if (!pages.some(Boolean)) {
+      throw new Error('PDF appears to be empty or contains no readable text');
+    }
+
+    const cleanedText = Array.from(pages, (text, index) => `${pageMarker(index + 1)}\n\n${text || ''}`)
+      .join('\n\n')
+      .trim();
+
+    logger.info(`Extracted ${cleanedText.length} characters from PDF`);
+    return cleanedText;
+
+  } catch (error) {
+    logger.error('PDF extraction error:', error);
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  }
+};
+
+// Extract text from Word documents. mammoth's HTML keeps headings, lists
+// and tables, which the HTML conversion turns into structured text.
+const extractFromWord = async (buffer) => {
+  try {
+    const result = await mammoth.convertToHtml({ buffer }, {
+      convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+    });
+    const cleanedText = htmlToText(result.value);
+
+    if (!cleanedText) {
+      throw new Error('Word document appears to be empty or contains no readable text');
+    }
+
+    logger.info(`Extracted ${cleanedText.length} characters from Word document`);
+    return cleanedText;
+
+  } catch (error) {
+    logger.error('Word extraction error:', error);
+    throw new Error(`Failed to extract text from Word document: ${error.message}`);
+  }
+};
+
+const extractFromText = async (buffer) => {
+  return decodeUtf8(buffer);
+};
+
+// HTML
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', euro: '€', pound: '£'
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+};
+
+// Elements whose content is never document text
+const HTML_SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg']);
+
+// Elements that start a new paragraph
+const HTML_BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'ul', 'ol', 'dl', 'dt', 'dd',
+  'blockquote', 'figure', 'figcaption', 'hr', 'tr'
+]);
+
+// Tables nested deeper than this are read as text of the enclosing cell;
+// every level re-renders the text of the levels inside it
+const MAX_HTML_TABLE_DEPTH = 8;
+
+const HTML_TAG_NAME = /<(\/?)([a-z][a-z0-9-]*)/iy;
+
+// Inline text of a run of HTML text (tags already removed)
+const htmlInlineText = (text) => {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+};
+
+// Headings become Markdown headings, list items bullets and tables Markdown
+// tables (Confluence and other wiki exports are mostly these). The markup is
+// read in one forward pass over its tags, so unclosed elements cannot make
+// it rescan the rest of the input: an element whose closing tag is looked
+// for and not found runs to the end of the input.
+const htmlToText = (source) => {
+  const html = source.replace(/\u0000/g, '');
+
+  // Tables and preformatted blocks are rendered separately and spliced back
+  // in at the end, so the line cleanup cannot mangle them
+  const blocks = [];
+  const placeholder = (text) => `\n\n\u0000${blocks.push(text) - 1}\u0000\n\n`;
+
+  // Open tables, innermost last; text outside their cells is dropped
+  const tables = [];
+  let ignoredTables = 0;
+  let heading = null;
+  let output = '';
+
+  const appendText = (text) => {
+    const table = tables[tables.length - 1];
+    if (table) {
+      if (table.cell !== null) table.cell += text;
+    } else if (heading) {
+      heading.text += text;
+    } else {
+      output += text.replace(/\s+/g, ' ');
+    }
+  };
+
+  // Line structure only exists outside tables and headings
+  const appendBreak = (text) => {
+    if (tables.length > 0 || heading) {
+      appendText(' ');
+    } else {
+      output += text;
+    }
+  };
+
+  const closeHeading = () => {
+    if (!heading) return;
+    const { level, text } = heading;
+    heading = null;
+    output += `\n\n${'#'.repeat(level)} ${htmlInlineText(text)}\n\n`;
+  };
+
+  const closeCell = (table) => {
+    if (table.cell === null) return;
+    table.row = table.row || [];
+    table.row.push(htmlInlineText(table.cell));
+    table.cell = null;
+  };
+
+  const closeRow = (table) => {
+    closeCell(table);
+    if (table.row && table.row.length > 0) table.rows.push(table.row);
+    table.row = null;
+  };
+
+  // Nested tables end up as text in their cell
+  const closeTable = () => {
+    const table = tables.pop();
+    closeRow(table);
+    const rendered = formatTable(table.rows);
+
+    if (tables.length > 0) {
+      appendText(` ${rendered} `);
+    } else {
+      output += placeholder(rendered);
+    }
+  };
+
+  // Offset just past the closing tag of an element whose content is read
+  // as a whole, or the end of the input
+  const closingTags = new Map();
+  const findClosingTag = (name, from) => {
+    if (!closingTags.has(name)) closingTags.set(name, new RegExp(`</${name}(?![a-z0-9-])`, 'gi'));
+    const closing = closingTags.get(name);
+    closing.lastIndex = from;
+    const match = closing.exec(html);
+    if (!match) return { start: html.length, end: html.length };
+
+    const end = html.indexOf('>', match.index);
+    return { start: match.index, end: end === -1 ? html.length : end + 1 };
+  };
+
+  // Next ">" at or after the current tag; only moves forward, so a "<"
+  // without a matching ">" does not cost a scan to the end each time
+  let nextTagEnd = 0;
+  let position = 0;
+
+  while (position < html.length) {
+    const tagStart = html.indexOf('<', position);
+    if (tagStart === -1) {
+      appendText(html.slice(position));
+      break;
+    }
+    appendText(html.slice(position, tagStart));
+
+    if (html.startsWith('<!--', tagStart)) {
+      const commentEnd = html.indexOf('-->', tagStart + 4);
+      position = commentEnd === -1 ? html.length : commentEnd + 3;
+      continue;
+    }
+
+    if (nextTagEnd !== -1 && nextTagEnd <= tagStart) {
+      nextTagEnd = html.indexOf('>', tagStart);
+    }
+
+    HTML_TAG_NAME.lastIndex = tagStart;
+    const tag = HTML_TAG_NAME.exec(html);
+    const isMarkup = tag || /[!?/]/.test(html[tagStart + 1] || '');
+
+    // A "<" that does not start a tag is text
+    if (!isMarkup || nextTagEnd === -1) {
+      appendText('<');
+      position = tagStart + 1;
+      continue;
+    }
+
+    position = nextTagEnd + 1;
+    if (!tag) continue; // Doctype, processing instruction or stray "</"
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+
+    if (HTML_SKIPPED_ELEMENTS.has(name)) {
+      if (!closing) position = findClosingTag(name, position).end;
+    } else if (name === 'pre') {
+      if (closing) continue;
+      const { start, end } = findClosingTag(name, position);
+      const text = decodeEntities(html.slice(position, start).replace(/<br\s*\/?>/gi, '\n').replace(/<[^<>]*>/g, ''));
+      position = end;
+
+      if (tables.length > 0 || heading) {
+        appendText(` ${text} `);
+      } else {
+        output += placeholder(text);
+      }
+    } else if (name === 'table') {
+      if (!closing && tables.length >= MAX_HTML_TABLE_DEPTH) {
+        ignoredTables++;
+      } else if (!closing) {
+        closeHeading();
+        tables.push({ rows: [], row: null, cell: null });
+      } else if (ignoredTables > 0) {
+        ignoredTables--;
+      } else if (tables.length > 0) {
+        closeTable();
+      }
+    } else if (ignoredTables > 0 && (name === 'tr' || name === 'td' || name === 'th')) {
+      appendText(' ');
+    } else if (tables.length > 0 && (name === 'tr' || name === 'td' || name === 'th')) {
+      const table = tables[tables.length - 1];
+      if (name === 'tr') {
+        closeRow(table);
+      } else {
+        closeCell(table);
+        if (!closing) table.cell = '';
+      }
+    } else if (/^h[1-6]$/.test(name) && tables.length === 0) {
+      closeHeading();
+      if (!closing) heading = { level: Number(name[1]), text: '' };
+    } else if (name === 'li' && !closing) {
+      appendBreak('\n- ');
+    } else if (name === 'br') {
+      appendBreak('\n');
+    } else if (HTML_BLOCK_ELEMENTS.has(name)) {
+      appendBreak('\n\n');
+    }
+  }
+
+  while (tables.length > 0) closeTable();
+  closeHeading();
+
+  const text = output
+    .split('\n')
+    .map(line => decodeEntities(line).replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => blocks[i]);
+
+  return normalizeStructuredText(text);
+};
+
+const extractFromHTML = async (buffer) => {
+  return htmlToText(decodeUtf8(buffer));
+};
+
+// RTF
+
+// Destinations that hold formatting tables, metadata or binary data
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'fldinst', 'filetbl', 'revtbl', 'pgdsctbl', 'mmathPr', 'bkmkstart', 'bkmkend'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: ' | ', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+const extractFromRTF = async (buffer) => {
+  const source = buffer.toString('latin1');
+
+  if (!source.startsWith('{\\rtf')) {
+    throw new Error('File is not a valid RTF document');
+  }
+
+  let decoder = new TextDecoder('windows-1252');
+  let output = '';
+  let pendingBytes = [];
+  let state = { skip: false, uc: 1 };
+  const stack = [];
+  // Fallback characters to drop after a \uN escape
+  let fallbackToSkip = 0;
+
+  const flushBytes = () => {
+    if (pendingBytes.length > 0) {
+      if (!state.skip) output += decoder.decode(Uint8Array.from(pendingBytes));
+      pendingBytes = [];
+    }
+  };
+
+  const emit = (text) => {
+    flushBytes();
+    if (!state.skip) output += text;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      fallbackToSkip = 0;
+    } else if (char === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      fallbackToSkip = 0;
+    } else if (char === '\\') {
+      const next = source[i + 1];
+
+      if (next === '\'') {
+        const byte = parseInt(source.substr(i + 2, 2), 16);
+        i += 3;
+        if (fallbackToSkip > 0) {
+          fallbackToSkip--;
+        } else if (!Number.isNaN(byte)) {
+          pendingBytes.push(byte);
+        }
+        continue;
+      }
+
+      if (/[a-z]/i.test(next || '')) {
+        const match = /^([a-z]+)(-?\d+)? ?/i.exec(source.slice(i + 1, i + 40));
+        const [token, word, param] = match;
+        i += token.length;
+
+        if (word === 'bin') {
+          i += parseInt(param) || 0;
+        } else if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          flushBytes();
+          state.skip = true;
+        } else if (word === 'u') {
+          const code = parseInt(param);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          fallbackToSkip = state.uc;
+        } else if (word === 'uc') {
+          state.uc = parseInt(param) || 0;
+        } else if (word === 'ansicpg') {
+          try {
+            decoder = new TextDecoder(`windows-${param}`);
+          } catch (error) {
+            logger.warn(`Unsupported RTF code page ${param}, using windows-1252`);
+          }
+        } else if (RTF_SYMBOLS[word]) {
+          emit(RTF_SYMBOLS[word]);
+        }
+        continue;
+      }
+
+      i++;
+      if (next === '*') {
+        flushBytes();
+        state.skip = true;
+      } else if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+      } else if (next === '~') {
+        emit(' ');
+      } else if (next === '_') {
+        emit('-');
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+      }
+    } else if (char !== '\n' && char !== '\r') {
+      if (fallbackToSkip > 0) {
+        fallbackToSkip--;
+      } else {
+        emit(char);
+      }
+    }
+  }
+
+  flushBytes();
+  return normalizeStructuredText(output);
+};
+
+// XML-based office formats (OpenDocument, OOXML)
+
+const XML_ERROR_HANDLER = {
+  warning: () => {},
+  error: () => {},
+  fatalError: (message) => {
+    throw new Error(`Invalid XML: ${message}`);
+  }
+};
+
+const parseXml = (xml) => new DOMParser({ errorHandler: XML_ERROR_HANDLER }).parseFromString(xml, 'text/xml');
+
+const childElements = (node) => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+
+const descendants = (node, localName) => Array.from(node.getElementsByTagNameNS('*', localName));
+
+const loadZip = async (buffer, formatName) => {
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`File is not a valid ${formatName} document`);
+  }
+};
+
+// Read an XML part of a zip-based document, or null when it is absent
+const readXmlPart = async (zip, name) => {
+  const entry = zip.file(name);
+  if (!entry) return null;
+  return parseXml((await readZipEntry(entry)).toString('utf-8'));
+};
+
+// Relationship id to part path, from a .rels part
+const readRelationships = async (zip, relsPath, baseDir) => {
+  const rels = await readXmlPart(zip, relsPath);
+  const targets = {};
+
+  if (rels) {
+    for (const rel of descendants(rels, 'Relationship')) {
+      const target = rel.getAttribute('Target');
+      targets[rel.getAttribute('Id')] = target.startsWith('/')
+        ? target.slice(1)
+        : path.posix.normalize(path.posix.join(baseDir, target));
+    }
+  }
+
+  return targets;
+};
+
+// A run of spaces (<text:s text:c="N"/>) is capped; the count comes from
+// the file, and only layout depends on it
+const MAX_ODF_SPACES = 100;
+
+// Text of an OpenDocument paragraph or heading
+const odfInlineText = (node) => {
+  let text = '';
+
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      text += child.nodeValue;
+    } else if (child.nodeType === 1) {
+      switch (child.localName) {
+        case 's':
+          text += ' '.repeat(Math.min(Math.max(parseInt(child.getAttribute('text:c')) || 1, 1), MAX_ODF_SPACES));
+          break;
+        case 'tab':
+          text += '\t';
+          break;
+        case 'line-break':
+          text += '\n';
+          break;
+        case 'note':
+        case 'annotation':
+          break;
+        default:
+          text += odfInlineText(child);
+      }
+    }
+  }
+
+  return text;
+};
+
+// Walk OpenDocument body elements in order, appending lines
+const odfBlocks = (node, lines, listDepth = 0) => {
+  for (const child of childElements(node)) {
+    switch (child.localName) {
+      case 'h': {
+        const level = Math.min(parseInt(child.getAttribute('text:outline-level')) || 1, 6);
+        lines.push('', `${'#'.repeat(level)} ${odfInlineText(child).trim()}`, '');
+        break;
+      }
+      case 'p': {
+        const text = odfInlineText(child).trim();
+        if (listDepth > 0) {
+          if (text) lines.push(`${'  '.repeat(listDepth - 1)}- ${text}`);
+        } else {
+          lines.push(text, '');
+        }
+        break;
+      }
+      case 'list':
+        odfBlocks(child, lines, listDepth + 1);
+        if (listDepth === 0) lines.push('');
+        break;
+      case 'table': {
+        const rows = descendants(child, 'table-row').map((row) => {
+          return childElements(row)
+            .filter(cell => cell.localName === 'table-cell')
+            .map(cell => descendants(cell, 'p').map(odfInlineText).join(' '));
+        });
+        lines.push('', formatTable(rows), '');
+        break;
+      }
+      case 'tracked-changes':
+      case 'sequence-decls':
+        break;
+      default:
+        odfBlocks(child, lines, listDepth);
+    }
+  }
+};
+
+const extractFromODT = async (buffer) => {
+  const zip = await loadZip(buffer, 'OpenDocument');
+  const content = await readXmlPart(zip, 'content.xml');
+
+  if (!content) {
+    throw new Error('OpenDocument file has no content.xml');
+  }
+
+  const lines = [];
+  for (const body of descendants(content, 'text')) {
+    if (body.parentNode && body.parentNode.localName === 'body') {
+      odfBlocks(body, lines);
+    }
+  }
+
+  return normalizeStructuredText(lines.join('\n'));
+};
+
+// Text of a DrawingML paragraph (a:p)
+const drawingParagraphText = (paragraph) => {
+  let text = '';
+
+  for (const node of descendants(paragraph, '*')) {
+    if (node.localName === 't') text += node.textContent;
+    else if (node.localName === 'br') text += '\n';
+  }
+
+  return text.trim();
+};
+
+// One section per slide in presentation order, titled with the slide title
+const extractFromPPTX = async (buffer) => {
+  const zip = await loadZip(buffer, 'PowerPoint');
+  const presentation = await readXmlPart(zip, 'ppt/presentation.xml');
+
+  if (!presentation) {
+    throw new Error('PowerPoint file has no presentation.xml');
+  }
+
+  const rels = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  const slidePaths = descendants(presentation, 'sldId')
+    .map(slide => rels[slide.getAttribute('r:id')])
+    .filter(Boolean);
+
+  const sections = [];
+
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const slide = await readXmlPart(zip, slidePath);
+    if (!slide) continue;
+
+    let title = null;
+    const lines = [];
+
+    for (const shape of descendants(slide, 'sp')) {
+      const placeholder = descendants(shape, 'ph')[0];
+      const type = placeholder ? placeholder.getAttribute('type') : '';
+      const paragraphs = descendants(shape, 'p').map(drawingParagraphText).filter(Boolean);
+
+      if (!title && (type === 'title' || type === 'ctrTitle')) {
+        title = paragraphs.join(' ');
+      } else {
+        lines.push(...paragraphs);
+      }
+    }
+
+    for (const table of descendants(slide, 'tbl')) {
+      const rows = descendants(table, 'tr').map((row) => {
+        return descendants(row, 'tc').map(cell => descendants(cell, 'p').map(drawingParagraphText).join(' '));
+      });
+      lines.push('', formatTable(rows), '');
+    }
+
+    sections.push([`## Slide ${index + 1}${title ? `: ${title}` : ''}`, '', ...lines].join('\n'));
+  }
+
+  return normalizeStructuredText(sections.join('\n\n'));
+};
+
+// Excel's last column is XFD; cell references come from the file, so
+// anything beyond it is malformed rather than a wide sheet
+const MAX_XLSX_COLUMNS = 16384;
+// Table cells (rows times used columns) across the workbook
+const MAX_XLSX_CELLS = 2000000;
+
+// Zero-based column index of a cell reference such as "AB12"
+const columnIndex = (reference) => {
+  const letters = (/^[A-Z]{1,3}(?=\d)/i.exec(reference) || [''])[0].toUpperCase();
+  const index = [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+  if (index < 0 || index >= MAX_XLSX_COLUMNS) {
+    throw new Error(`Excel file has an invalid cell reference: ${String(reference).slice(0, 20)}`);
+  }
+
+  return index;
+};
+
+// One table per worksheet, keeping each cell in its row and column.
+// Columns that are empty throughout a sheet are left out, so a stray cell
+// far to the right does not pad every row.
+const extractFromXLSX = async (buffer) => {
+  const zip = await loadZip(buffer, 'Excel');
+  const workbook = await readXmlPart(zip, 'xl/workbook.xml');
+
+  if (!workbook) {
+    throw new Error('Excel file has no workbook.xml');
+  }
+
+  const rels = await readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+  const sharedStringsXml = await readXmlPart(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? descendants(sharedStringsXml, 'si').map(item => descendants(item, 't').map(t => t.textContent).join(''))
+    : [];
+
+  const sections = [];
+  let totalCells = 0;
+
+  for (const sheet of descendants(workbook, 'sheet')) {
+    const sheetXml = await readXmlPart(zip, rels[sheet.getAttribute('r:id')] || '');
+    if (!sheetXml) continue;
+
+    // Sparse rows: column index -> value
+    const sparseRows = [];
+    const usedColumns = new Set();
+
+    for (const row of descendants(sheetXml, 'row')) {
+      const cells = new Map();
+
+      descendants(row, 'c').forEach((cell, position) => {
+        const reference = cell.getAttribute('r');
+        const column = reference ? columnIndex(reference) : position;
+        const type = cell.getAttribute('t');
+        const valueNode = descendants(cell, 'v')[0];
+        const value = valueNode ? valueNode.textContent : '';
+
+        let text;
+        if (type === 's') {
+          text = sharedStrings[parseInt(value)] ?? '';
+        } else if (type === 'inlineStr') {
+          text = descendants(cell, 't').map(t => t.textContent).join('');
+        } else if (type === 'b') {
+          text = value === '1' ? 'TRUE' : 'FALSE';
+        } else {
+          text = value;
+        }
+
+        if (String(text).trim() !== '') {
+          cells.set(column, text);
+          usedColumns.add(column);
+        }
+      });
+
+      if (cells.size > 0) {
+        sparseRows.push(cells);
+      }
+    }
+
+    const columns = [...usedColumns].sort((a, b) => a - b);
+    totalCells += sparseRows.length * columns.length;
+    if (totalCells > MAX_XLSX_CELLS) {
+      throw new Error(`Excel file is too large to extract: more than ${MAX_XLSX_CELLS} cells`);
+    }
+
+    const rows = sparseRows.map(cells => columns.map(column => cells.get(column) ?? ''));
+
+    const hidden = sheet.getAttribute('state') && sheet.getAttribute('state') !== 'visible' ? ' (hidden)' : '';
+    sections.push(`## Sheet: ${sheet.getAttribute('name')}${hidden}\n\n${rows.length > 0 ? formatTable(rows) : '(empty)'}`);
+  }
+
+  return normalizeStructuredText(sections.join('\n\n'));
+};
+
+// CSV and TSV
+
+// RFC 4180 parser: quoted fields may hold delimiters, quotes and newlines
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// The delimiter that occurs most in the first line wins
+const detectDelimiter = (text) => {
+  const firstLine = text.split('\n', 1)[0];
+  return [',', ';', '\t', '|']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+const extractFromCSV = async (buffer) => {
+  const text = decodeUtf8(buffer);
+  const rows = parseDelimited(text, detectDelimiter(text));
+  return formatTable(rows);
+};
+
+// Configuration formats
+
+// Pretty-printed, so minified configs keep one setting per line
+const extractFromJSON = async (buffer) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(decodeUtf8(buffer));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return JSON.stringify(parsed, null, 2);
+};
+
+// Validated, but returned as written: comments in configs are worth keeping
+const extractFromYAML = async (buffer) => {
+  const text = decodeUtf8(buffer);
+  try {
+    yaml.loadAll(text);
+  } catch (error) {
+    throw new Error(`Invalid YAML: ${error.reason || error.message}`);
+  }
+  return normalizeStructuredText(text);
+};
+
+module.exports = {
+  cleanExtractedText,
+  extractFromPDF,
+  extractFromWord,
+  extractFromText,
+  extractFromHTML,
+  extractFromRTF,
+  extractFromODT,
+  extractFromPPTX,
+  extractFromXLSX,
+  extractFromCSV,
+  extractFromJSON,
+  extractFromYAML
+};
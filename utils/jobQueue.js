@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const os = require('os');
+const db = require('../config/database');
+const { analyzeWithCache } = require('./analysisCache');
+const { sealPlaceholders } = require('./redaction');
+const { diffDocuments, formatDiffForAnalysis } = require('./textDiff');
+const { recordAuditEvent } = require('./audit');
+const logger = require('./logger');
+
+// Worker pool settings (JOB_CONCURRENCY=0 disables workers in this process)
+const JOB_CONCURRENCY = Number.isNaN(parseInt(process.env.JOB_CONCURRENCY)) ? 2 : parseInt(process.env.JOB_CONCURRENCY);
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 120;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_RETRY_BASE_SECONDS = 30;
+
+const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Identifies the jobs leased by this process
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const pool = {
+  running: false,
+  workers: [],
+  activeJobs: new Map(),
+  idleWaiters: new Set()
+};
+
+// Format a job row for responses
+const formatJob = (row) => {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    status: row.status,
+    progress: row.progress,
+    aiProvider: row.params.aiProvider,
+    analysisType: row.params.analysisType,
+    baseDocumentId: row.params.baseDocumentId || null,
+    analysisId: row.analysis_id,
+    result: row.result || null,
+    error: row.error,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+};
+
+// Provider outages (429, 5xx, network failures) are worth retrying; requests
+// the provider rejected, bad input and configuration errors are not
+const isRetryableError = (error) => {
+  return error.retryable === true;
+};
+
+// Message stored on the job; provider error details stay in the logs
+const publicErrorMessage = (error) => {
+  if (isRetryableError(error)) {
+    return 'The selected AI service is currently unavailable. Please try again later or select a different provider.';
+  }
+  if (error.provider) {
+    return 'The selected AI service rejected the analysis request. Please select a different provider or contact support.';
+  }
+  return error.message;
+};
+
+// Sleep until the poll interval elapses or a job is queued in this process
+const idle = (ms) => {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      pool.idleWaiters.delete(done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    pool.idleWaiters.add(done);
+  });
+};
+
+const wakeWorkers = () => {
+  for (const done of [...pool.idleWaiters]) {
+    done();
+  }
+};
+
+// Queue an analysis job. Pass a transaction client to queue atomically
+// with the document insert.
+// baseDocumentId turns the job into a change-impact analysis of the diff
+// between that version and documentId. force bypasses the analysis cache.
+const enqueueAnalysisJob = async ({ userId, documentId, aiProvider, analysisType, customPrompt, baseDocumentId, force }, client = db) => {
+  const result = await client.query(
+    `INSERT INTO analysis_jobs (id, user_id, document_id, status, params, max_attempts, run_after, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+     RETURNING *`,
+    [
+      crypto.randomUUID(),
+      userId,
+      documentId,
+      JOB_STATUSES.QUEUED,
+      JSON.stringify({
+        aiProvider,
+        analysisType,
+        customPrompt: customPrompt || null,
+        baseDocumentId: baseDocumentId || null,
+        force: Boolean(force)
+      }),
+      JOB_MAX_ATTEMPTS
+    ]
+  );
+
+  // Let local workers pick it up without waiting for the next poll
+  if (client === db) {
+    wakeWorkers();
+  }
+
+  return formatJob(result.rows[0]);
+};
+
+// Get one of a user's jobs, including the analysis result once completed
+const getJob = async (jobId, userId) => {
+  const result = await db.query(
+    `SELECT j.*, a.result
+     FROM analysis_jobs j
+     LEFT JOIN analyses a ON a.id = j.analysis_id
+     WHERE j.id = $1 AND j.user_id = $2`,
+    [jobId, userId]
+  );
+
+  return result.rows[0] ? formatJob(result.rows[0]) : null;
+};
+
+// List a user's jobs, newest first
+const listJobs = async (userId, { status, limit = 20, offset = 0 } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM analysis_jobs
+     WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, status || null, limit, offset]
+  );
+
+  const countResult = await db.query(
+    'SELECT COUNT(*) FROM analysis_jobs WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)',
+    [userId, status || null]
+  );
+
+  return {
+    jobs: result.rows.map(formatJob),
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+// Cancel a queued or running job. A running job loses its lease and the
+// worker holding it aborts the provider request on its next heartbeat.
+const cancelJob = async (jobId, userId) => {
+  const result = await db.query(
+    `UPDATE analysis_jobs
+     SET status = $3, finished_at = NOW(), locked_by = NULL, locked_until = NULL
+     WHERE id = $1 AND user_id = $2 AND status IN ($4, $5)
+     RETURNING *`,
+    [jobId, userId, JOB_STATUSES.CANCELLED, JOB_STATUSES.QUEUED, JOB_STATUSES.RUNNING]
+  );
+
+  const job = result.rows[0];
+  if (job) {
+    pool.activeJobs.get(job.id)?.abort();
+  }
+
+  return job ? formatJob(job) : null;
+};
+
+// Lease the oldest runnable job. Jobs whose lease expired (worker crashed or
+// was restarted) are picked up again.
+const claimNextJob = async () => {
+  const result = await db.query(
+    `UPDATE analysis_jobs
+     SET status = $1, attempts = attempts + 1, progress = 0, error = NULL,
+         locked_by = $2, locked_until = NOW() + $3::int * INTERVAL '1 second',
+         started_at = COALESCE(started_at, NOW())
+     WHERE id = (
+       SELECT id FROM analysis_jobs
+       WHERE (status = $4 AND run_after <= NOW())
+          OR (status = $1 AND locked_until < NOW())
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [JOB_STATUSES.RUNNING, WORKER_ID, JOB_LEASE_SECONDS, JOB_STATUSES.QUEUED]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Extend the lease; returns false once the job is no longer ours (cancelled)
+const renewLease = async (jobId) => {
+  const result = await db.query(
+    `UPDATE analysis_jobs SET locked_until = NOW() + $3::int * INTERVAL '1 second'
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, WORKER_ID, JOB_LEASE_SECONDS]
+  );
+
+  return result.rowCount > 0;
+};
+
+const setProgress = async (jobId, progress) => {
+  await db.query(
+    `UPDATE analysis_jobs SET progress = $3
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, WORKER_ID, progress]
+  );
+};
+
+// Store the analysis, with its sealed redaction map, and mark the job
+// completed in one transaction
+const completeJob = async (job, analysis, placeholders) => {
+  const { aiProvider, analysisType, customPrompt } = job.params;
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const lockResult = await client.query(
+      `SELECT id FROM analysis_jobs WHERE id = $1 AND locked_by = $2 AND status = 'running' FOR UPDATE`,
+      [job.id, WORKER_ID]
+    );
+
+    // Cancelled while the provider call was finishing
+    if (lockResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const analysisResult = await client.query(
+      `INSERT INTO analyses (document_id, user_id, ai_provider, analysis_type, custom_prompt, result, redaction_map, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING id`,
+      [job.document_id, job.user_id, aiProvider, analysisType, customPrompt, JSON.stringify(analysis), sealPlaceholders(placeholders)]
+    );
+
+    const analysisId = analysisResult.rows[0].id;
+
+    await client.query(
+      `UPDATE analysis_jobs
+       SET status = $2, progress = 100, analysis_id = $3, finished_at = NOW(), locked_by = NULL, locked_until = NULL
+       WHERE id = $1`,
+      [job.id, JOB_STATUSES.COMPLETED, analysisId]
+    );
+
+    await client.query('COMMIT');
+    return analysisId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Re-queue with exponential backoff, or fail the job for good
+const handleJobFailure = async (job, error) => {
+  const retry = isRetryableError(error) && job.attempts < job.max_attempts;
+  const message = publicErrorMessage(error);
+
+  if (retry) {
+    const delaySeconds = JOB_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+    await db.query(
+      `UPDATE analysis_jobs
+       SET status = $3, error = $4, run_after = NOW() + $5::int * INTERVAL '1 second', locked_by = NULL, locked_until = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+      [job.id, WORKER_ID, JOB_STATUSES.QUEUED, message, delaySeconds]
+    );
+    logger.warn(`Analysis job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delaySeconds}s: ${error.message}`);
+    return;
+  }
+
+  await db.query(
+    `UPDATE analysis_jobs
+     SET status = $3, error = $4, finished_at = NOW(), locked_by = NULL, locked_until = NULL
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [job.id, WORKER_ID, JOB_STATUSES.FAILED, message]
+  );
+  logger.error(`Analysis job ${job.id} failed: ${error.message}`);
+
+  await recordAuditEvent({
+    actor: { userId: job.user_id },
+    action: 'document.analyze',
+    targetType: 'document',
+    targetId: job.document_id,
+    outcome: 'failure',
+    details: { jobId: job.id, aiProvider: job.params.aiProvider, analysisType: job.params.analysisType, error: message }
+  });
+};
+
+// Text the job analyzes: the document itself, or for change-impact jobs
+// the diff between the base version and the document
+const loadJobContent = async (job) => {
+  const { baseDocumentId } = job.params;
+  const ids = baseDocumentId ? [job.document_id, baseDocumentId] : [job.document_id];
+
+  const result = await db.query(
+    'SELECT id, filename, version_number, content, scan_status FROM documents WHERE id = ANY($1::int[]) AND user_id = $2',
+    [ids, job.user_id]
+  );
+
+  const document = result.rows.find(row => row.id === job.document_id);
+  if (!document) {
+    throw new Error('Document no longer exists');
+  }
+
+  // Quarantined documents have no text and are never sent to a provider
+  if (result.rows.some(row => row.scan_status === 'quarantined')) {
+    throw new Error('The document is quarantined and cannot be analyzed');
+  }
+
+  if (!baseDocumentId) {
+    return document.content;
+  }
+
+  const base = result.rows.find(row => row.id === baseDocumentId);
+  if (!base) {
+    throw new Error('The version to compare with no longer exists');
+  }
+
+  const diff = diffDocuments(base.content, document.content);
+  if (diff.summary.identical) {
+    throw new Error('The two versions have no text differences');
+  }
+
+  return formatDiffForAnalysis(diff, {
+    fromLabel: `version ${base.version_number} (${base.filename})`,
+    toLabel: `version ${document.version_number} (${document.filename})`
+  });
+};
+
+// Run a leased job to completion, failure or cancellation
+const runJob = async (job) => {
+  const controller = new AbortController();
+  pool.activeJobs.set(job.id, controller);
+
+  const heartbeat = setInterval(() => {
+    renewLease(job.id)
+      .then((owned) => {
+        if (!owned) controller.abort();
+      })
+      .catch(error => logger.error(`Failed to renew lease for analysis job ${job.id}:`, error));
+  }, (JOB_LEASE_SECONDS * 1000) / 3);
+
+  try {
+    if (job.attempts > job.max_attempts) {
+      throw new Error('Analysis job exceeded its maximum number of attempts');
+    }
+
+    const content = await loadJobContent(job);
+
+    logger.info(`Analysis job ${job.id} started for document ${job.document_id} (attempt ${job.attempts})`);
+    await setProgress(job.id, 10);
+
+    const { aiProvider, analysisType, customPrompt, baseDocumentId, force } = job.params;
+    const { placeholders, ...analysis } = await analyzeWithCache({ userId: job.user_id, content, aiProvider, analysisType, customPrompt, force }, {
+      signal: controller.signal,
+      // Long documents report per-chunk progress between 10% and 90%
+      onProgress: ({ completed, total }) => {
+        setProgress(job.id, 10 + Math.floor((80 * completed) / total))
+          .catch(error => logger.error(`Failed to update progress of analysis job ${job.id}:`, error));
+      }
+    });
+
+    if (controller.signal.aborted) return;
+    if (baseDocumentId) {
+      analysis.metadata.comparedWithDocumentId = baseDocumentId;
+    }
+    await setProgress(job.id, 90);
+
+    const analysisId = await completeJob(job, analysis, placeholders);
+    if (!analysisId) return;
+
+    logger.info(`Analysis job ${job.id} completed for document ${job.document_id}`);
+
+    await recordAuditEvent({
+      actor: { userId: job.user_id },
+      action: 'document.analyze',
+      targetType: 'document',
+      targetId: job.document_id,
+      details: { jobId: job.id, analysisId, aiProvider, analysisType, tokensUsed: analysis.tokensUsed, fromCache: analysis.cache.hit, redacted: analysis.redaction.total }
+    });
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`Analysis job ${job.id} stopped before completion`);
+      return;
+    }
+
+    try {
+      await handleJobFailure(job, error);
+    } catch (updateError) {
+      logger.error(`Failed to record failure of analysis job ${job.id}:`, updateError);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    pool.activeJobs.delete(job.id);
+  }
+};
+
+const workerLoop = async () => {
+  while (pool.running) {
+    let job = null;
+
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      logger.error('Failed to claim analysis job:', error);
+    }
+
+    if (job) {
+      await runJob(job);
+    } else {
+      await idle(JOB_POLL_INTERVAL_MS);
+    }
+  }
+};
+
+// Start the worker pool for this process
+const startJobWorkers = (concurrency = JOB_CONCURRENCY) => {
+  if (pool.running || concurrency <= 0) return;
+
+  pool.running = true;
+  pool.workers = Array.from({ length: concurrency }, () => workerLoop());
+
+  logger.info(`Analysis job workers started (${concurrency} concurrent, worker ${WORKER_ID})`);
+};
+
+// Stop claiming jobs, abort in-flight ones and hand them back to the queue
+// so another process (or this one after restart) can run them immediately.
+const stopJobWorkers = async () => {
+  if (!pool.running) return;
+
+  pool.running = false;
+  for (const controller of pool.activeJobs.values()) {
+    controller.abort();
+  }
+  wakeWorkers();
+
+  await Promise.all(pool.workers);
+  pool.workers = [];
+
+  try {
+    const result = await db.query(
+      `UPDATE analysis_jobs
+       SET status = $2, attempts = GREATEST(attempts - 1, 0), locked_by = NULL, locked_until = NULL, run_after = NOW()
+       WHERE locked_by = $1 AND status = 'running'`,
+      [WORKER_ID, JOB_STATUSES.QUEUED]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info(`Returned ${result.rowCount} in-flight analysis job(s) to the queue`);
+    }
+  } catch (error) {
+    logger.error('Failed to release analysis jobs on shutdown:', error);
+  }
+};
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueAnalysisJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  startJobWorkers,
+  stopJobWorkers,
+  wakeWorkers
+};
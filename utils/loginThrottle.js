@@ -0,0 +1,99 @@
+const { createCounterStore } = require('./counterStore');
+const { recordAuditEvent } = require('./audit');
+const logger = require('./logger');
+
+// Brute-force protection settings
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const failureStore = createCounterStore({ prefix: 'login:fail', windowMs: FAILURE_WINDOW_MINUTES * 60 * 1000 });
+const lockStore = createCounterStore({ prefix: 'login:lock', windowMs: LOCKOUT_MINUTES * 60 * 1000 });
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Return the active lockout for an account or IP address, or null
+const getLockout = async (email, ip) => {
+  const checks = [
+    { scope: 'account', key: accountKey(email) },
+    { scope: 'ip', key: ipKey(ip) }
+  ];
+
+  for (const { scope, key } of checks) {
+    const { totalHits, resetTime } = await lockStore.get(key);
+    if (totalHits > 0) {
+      return {
+        scope,
+        retryAfter: Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 1)
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failed login and lock the account or IP once a threshold is reached
+const recordLoginFailure = async (email, req) => {
+  const ip = req.ip;
+
+  const [account, address] = await Promise.all([
+    failureStore.increment(accountKey(email)),
+    failureStore.increment(ipKey(ip))
+  ]);
+
+  if (account.totalHits >= MAX_ACCOUNT_FAILURES) {
+    await lockStore.increment(accountKey(email));
+    await failureStore.resetKey(accountKey(email));
+
+    logger.security('Account temporarily locked after repeated failed logins', {
+      email,
+      ip,
+      failures: account.totalHits,
+      lockoutMinutes: LOCKOUT_MINUTES
+    });
+
+    await recordAuditEvent({
+      req,
+      actor: { email },
+      action: 'auth.account_locked',
+      targetType: 'account',
+      targetId: email,
+      outcome: 'denied',
+      details: { failures: account.totalHits, lockoutMinutes: LOCKOUT_MINUTES }
+    });
+  }
+
+  if (address.totalHits >= MAX_IP_FAILURES) {
+    await lockStore.increment(ipKey(ip));
+    await failureStore.resetKey(ipKey(ip));
+
+    logger.security('IP address temporarily locked after repeated failed logins', {
+      ip,
+      failures: address.totalHits,
+      lockoutMinutes: LOCKOUT_MINUTES
+    });
+
+    await recordAuditEvent({
+      req,
+      actor: { email },
+      action: 'auth.ip_locked',
+      targetType: 'ip',
+      targetId: ip,
+      outcome: 'denied',
+      details: { failures: address.totalHits, lockoutMinutes: LOCKOUT_MINUTES }
+    });
+  }
+};
+
+// Clear the account's failure count after a successful login
+const recordLoginSuccess = async (email) => {
+  await failureStore.resetKey(accountKey(email));
+};
+
+module.exports = {
+  getLockout,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -0,0 +1,107 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'Cybersecurity Documentation Assistant <no-reply@localhost>';
+
+let transporter = null;
+
+// Build the mail transport from environment configuration.
+// Without SMTP_HOST, messages are rendered as JSON and only logged.
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined,
+      tls: {
+        rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+      }
+    });
+  } else {
+    logger.warn('SMTP_HOST not configured, outgoing emails will only be logged');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+// Send an email
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!process.env.SMTP_HOST) {
+    logger.debug(`Email (not sent): ${info.message}`);
+  }
+
+  logger.info(`Email sent to ${to}: ${subject}`);
+  return info;
+};
+
+// Escape user-supplied values embedded in HTML emails
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Send password reset link
+const sendPasswordResetEmail = async (user, token, ttlMinutes) => {
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.name},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+      `${resetUrl}\n\n` +
+      `This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+      `If you did not request a password reset, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p>` +
+      `<p>We received a request to reset your password. Use the link below to choose a new one:</p>` +
+      `<p><a href="${resetUrl}">Reset password</a></p>` +
+      `<p>This link expires in ${ttlMinutes} minutes and can only be used once. ` +
+      `If you did not request a password reset, you can ignore this email.</p>`
+  });
+};
+
+// Send email address verification link
+const sendVerificationEmail = async (user, token, ttlHours) => {
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `This link expires in ${ttlHours} hours. ` +
+      `If you did not create an account, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p>` +
+      `<p>Please confirm your email address by opening the link below:</p>` +
+      `<p><a href="${verifyUrl}">Verify email address</a></p>` +
+      `<p>This link expires in ${ttlHours} hours. ` +
+      `If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const db = require('../config/database');
+const { encrypt, decrypt } = require('./encryption');
+const { generateSecret, verifyCode, buildOtpAuthUri } = require('./totp');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Cybersecurity Documentation Assistant';
+const MFA_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are high-entropy, so a plain SHA-256 hash is sufficient
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Generate human-friendly one-time recovery codes (xxxxx-xxxxx)
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+};
+
+// Replace all recovery codes of a user and return the new plaintext codes
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const code of codes) {
+      await client.query(
+        'INSERT INTO mfa_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+        [userId, hashRecoveryCode(code)]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return codes;
+};
+
+// Start (or restart) enrollment with a new pending secret.
+// An already active secret keeps working until the new one is confirmed.
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await db.query(
+    'UPDATE users SET mfa_pending_secret = $1 WHERE id = $2',
+    [encrypt(secret), user.id]
+  );
+
+  const otpauthUri = buildOtpAuthUri(secret, user.email, MFA_ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret, otpauthUri, qrCode };
+};
+
+// Confirm enrollment with a code from the pending secret.
+// Returns fresh recovery codes, or null when the code is wrong.
+const confirmEnrollment = async (userId, code) => {
+  const result = await db.query('SELECT mfa_pending_secret FROM users WHERE id = $1', [userId]);
+  const pendingSecret = result.rows[0]?.mfa_pending_secret;
+
+  if (!pendingSecret) {
+    return null;
+  }
+
+  const step = verifyCode(decrypt(pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  await db.query(
+    `UPDATE users
+     SET mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL, mfa_enabled = TRUE,
+         mfa_enabled_at = NOW(), mfa_last_used_step = $2
+     WHERE id = $1`,
+    [userId, step]
+  );
+
+  return replaceRecoveryCodes(userId);
+};
+
+// Verify a TOTP code or a recovery code for a user with MFA enabled.
+// TOTP codes cannot be replayed and recovery codes are single-use.
+// Returns the method that succeeded, or null.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const result = await db.query(
+    'SELECT mfa_enabled, mfa_secret FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user || !user.mfa_enabled || !user.mfa_secret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(decrypt(user.mfa_secret), code);
+    if (step === null) {
+      return null;
+    }
+
+    const updated = await db.query(
+      `UPDATE users SET mfa_last_used_step = $2
+       WHERE id = $1 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $2)`,
+      [userId, step]
+    );
+
+    return updated.rowCount > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const used = await db.query(
+      `UPDATE mfa_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+
+    return used.rowCount > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+// Turn MFA off and discard the secret and recovery codes
+const disableMfa = async (userId) => {
+  await db.query(
+    `UPDATE users
+     SET mfa_enabled = FALSE, mfa_secret = NULL, mfa_pending_secret = NULL,
+         mfa_enabled_at = NULL, mfa_last_used_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+
+  await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// Get MFA status for a user
+const getMfaStatus = async (userId) => {
+  const result = await db.query(
+    `SELECT u.mfa_enabled, u.mfa_enabled_at,
+            COUNT(c.id) FILTER (WHERE c.used_at IS NULL) AS recovery_codes_remaining
+     FROM users u
+     LEFT JOIN mfa_recovery_codes c ON c.user_id = u.id
+     WHERE u.id = $1
+     GROUP BY u.id`,
+    [userId]
+  );
+
+  const row = result.rows[0];
+
+  return {
+    enabled: row?.mfa_enabled || false,
+    enabledAt: row?.mfa_enabled_at || null,
+    recoveryCodesRemaining: parseInt(row?.recovery_codes_remaining) || 0
+  };
+};
+
+// Short-lived token proving the password step of a login succeeded
+const signMfaChallenge = (user) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, type: 'mfa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+};
+
+// Return the user behind a valid MFA challenge token, or null
+const verifyMfaChallenge = (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'mfa_challenge' ? { userId: decoded.userId, email: decoded.email } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  disableMfa,
+  getMfaStatus,
+  signMfaChallenge,
+  verifyMfaChallenge
+};
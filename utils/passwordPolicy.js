@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const zxcvbn = require('zxcvbn');
+const db = require('../config/database');
+const logger = require('./logger');
+
+const parseIntSetting = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Password policy, configurable through the environment
+const PASSWORD_POLICY = {
+  minLength: parseIntSetting(process.env.PASSWORD_MIN_LENGTH, 12),
+  // bcrypt ignores everything after 72 bytes
+  maxBytes: 72,
+  // zxcvbn score from 0 (too guessable) to 4 (very unguessable)
+  minStrength: Math.min(Math.max(parseIntSetting(process.env.PASSWORD_MIN_STRENGTH, 3), 0), 4),
+  historyCount: Math.max(parseIntSetting(process.env.PASSWORD_HISTORY_COUNT, 5), 0),
+  breachCheck: process.env.PASSWORD_BREACH_CHECK !== 'false'
+};
+
+const BUNDLED_BREACHED_LIST = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+let breachedPasswords = null;
+
+// Load the bundled top-N list plus an optional larger local list
+const loadBreachedPasswords = () => {
+  if (breachedPasswords) return breachedPasswords;
+
+  breachedPasswords = new Set();
+  const files = [BUNDLED_BREACHED_LIST, process.env.PASSWORD_BREACHED_LIST_PATH].filter(Boolean);
+
+  for (const file of files) {
+    try {
+      const lines = fs.readFileSync(file, 'utf-8').split(/\r?\n/);
+      for (const line of lines) {
+        const entry = line.trim();
+        if (entry && !entry.startsWith('#')) {
+          breachedPasswords.add(entry.toLowerCase());
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to load breached password list ${file}:`, error.message);
+    }
+  }
+
+  return breachedPasswords;
+};
+
+// Look a password up in a local k-anonymity hash-prefix directory.
+// Files are named after the first 5 hex characters of the SHA-1 hash and
+// contain "SUFFIX:COUNT" lines, as produced by the Pwned Passwords downloader.
+const isInHashPrefixDirectory = async (password) => {
+  const directory = process.env.PASSWORD_BREACHED_HASH_DIR;
+  if (!directory) return false;
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const prefix = hash.substring(0, 5);
+  const suffix = hash.substring(5);
+
+  for (const filename of [prefix, `${prefix}.txt`]) {
+    try {
+      const content = await fs.promises.readFile(path.join(directory, filename), 'utf-8');
+      return content.split(/\r?\n/).some(line => line.split(':')[0].trim().toUpperCase() === suffix);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read breached password hash file:', error.message);
+      }
+    }
+  }
+
+  return false;
+};
+
+// Check a password against the offline breached-password sources
+const isBreachedPassword = async (password) => {
+  if (loadBreachedPasswords().has(password.toLowerCase())) {
+    return true;
+  }
+
+  return isInHashPrefixDirectory(password);
+};
+
+// Check whether a password matches the current or recent passwords of a user
+const isReusedPassword = async (userId, password) => {
+  if (PASSWORD_POLICY.historyCount === 0) return false;
+
+  const result = await db.query(
+    `(SELECT password AS password_hash FROM users WHERE id = $1)
+     UNION ALL
+     (SELECT password_hash FROM password_history WHERE user_id = $1
+      ORDER BY created_at DESC LIMIT $2)`,
+    [userId, Math.max(PASSWORD_POLICY.historyCount - 1, 0)]
+  );
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Validate a password against the policy.
+// Returns a list of violated rules, empty when the password is acceptable.
+const validatePassword = async (password, { userId = null, email = '', name = '' } = {}) => {
+  const violations = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ rule: 'required', message: 'Password is required' }];
+  }
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    violations.push({
+      rule: 'minLength',
+      message: `Password must be at least ${PASSWORD_POLICY.minLength} characters long`
+    });
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_POLICY.maxBytes) {
+    violations.push({
+      rule: 'maxLength',
+      message: `Password must be at most ${PASSWORD_POLICY.maxBytes} bytes long`
+    });
+  }
+
+  if (PASSWORD_POLICY.breachCheck && await isBreachedPassword(password)) {
+    violations.push({
+      rule: 'breached',
+      message: 'This password appears in a list of breached passwords. Please choose a different one.'
+    });
+  }
+
+  const userInputs = [email, email.split('@')[0], ...String(name).split(/\s+/)].filter(Boolean);
+  const strength = zxcvbn(password.substring(0, 100), userInputs);
+  if (strength.score < PASSWORD_POLICY.minStrength) {
+    violations.push({
+      rule: 'strength',
+      message: strength.feedback.warning || 'Password is too easy to guess',
+      score: strength.score,
+      requiredScore: PASSWORD_POLICY.minStrength,
+      suggestions: strength.feedback.suggestions
+    });
+  }
+
+  if (userId && violations.length === 0 && await isReusedPassword(userId, password)) {
+    violations.push({
+      rule: 'history',
+      message: `Password must not match any of your last ${PASSWORD_POLICY.historyCount} passwords`
+    });
+  }
+
+  return violations;
+};
+
+// Remember a replaced password hash and prune history beyond the policy limit
+const savePasswordHistory = async (userId, previousHash) => {
+  if (PASSWORD_POLICY.historyCount === 0) return;
+
+  await db.query(
+    'INSERT INTO password_history (user_id, password_hash, created_at) VALUES ($1, $2, NOW())',
+    [userId, previousHash]
+  );
+
+  await db.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2
+     )`,
+    [userId, PASSWORD_POLICY.historyCount]
+  );
+};
+
+// Public description of the policy for clients
+const describePasswordPolicy = () => {
+  return {
+    minLength: PASSWORD_POLICY.minLength,
+    maxBytes: PASSWORD_POLICY.maxBytes,
+    minStrength: PASSWORD_POLICY.minStrength,
+    historyCount: PASSWORD_POLICY.historyCount,
+    breachCheck: PASSWORD_POLICY.breachCheck
+  };
+};
+
+module.exports = {
+  validatePassword,
+  savePasswordHistory,
+  describePasswordPolicy
+};
@@ -0,0 +1,56 @@
+const { createClient } = require('redis');
+const logger = require('./logger');
+
+let client = null;
+let lastErrorLoggedAt = 0;
+
+// Get the shared Redis client, or null when Redis is not configured or not
+// currently connected. Callers are expected to fall back to local state.
+const getRedisClient = () => {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  if (!client) {
+    client = createClient({
+      url: process.env.REDIS_URL,
+      // Fail fast while disconnected instead of queueing commands
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: 5000,
+        reconnectStrategy: (retries) => Math.min(retries * 200, 5000)
+      }
+    });
+
+    client.on('ready', () => {
+      logger.info('✅ Connected to Redis');
+    });
+
+    client.on('error', (error) => {
+      // Avoid flooding the logs while Redis is down
+      if (Date.now() - lastErrorLoggedAt > 60000) {
+        lastErrorLoggedAt = Date.now();
+        logger.warn(`Redis unavailable, using in-memory fallback: ${error.message}`);
+      }
+    });
+
+    client.connect().catch(() => {
+      // Reported through the error handler above
+    });
+  }
+
+  return client.isReady ? client : null;
+};
+
+// Close the Redis connection
+const closeRedis = async () => {
+  if (client) {
+    await client.quit().catch(() => client.disconnect());
+    client = null;
+  }
+};
+
+module.exports = {
+  getRedisClient,
+  closeRedis
+};
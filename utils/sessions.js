@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { recordAuditEvent } = require('./audit');
+const logger = require('./logger');
+
+// Token lifetimes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Sign a short-lived access token bound to a server-side session
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Build the token pair returned to clients
+const buildTokenResponse = (user, sessionId, secret) => {
+  const token = signAccessToken(user, sessionId);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: exp - iat
+  };
+};
+
+// Split a refresh token into its session id and secret parts
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const separator = refreshToken.indexOf('.');
+  if (separator <= 0) return null;
+
+  return {
+    sessionId: refreshToken.substring(0, separator),
+    secret: refreshToken.substring(separator + 1)
+  };
+};
+
+const isUuid = (value) => {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+};
+
+// Create a new session for a user and issue its first token pair
+const createSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), NOW() + $6 * INTERVAL '1 day')`,
+    [sessionId, user.id, hashToken(secret), req.get('User-Agent') || null, req.ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return buildTokenResponse(user, sessionId, secret);
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Presenting an already-rotated refresh token revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed || !isUuid(parsed.sessionId) || !parsed.secret) {
+    return null;
+  }
+
+  const newSecret = crypto.randomBytes(32).toString('base64url');
+
+  const result = await db.query(
+    `UPDATE sessions s
+     SET refresh_token_hash = $3, last_used_at = NOW(), user_agent = $4, ip_address = $5
+     FROM users u
+     WHERE s.id = $1 AND s.refresh_token_hash = $2 AND u.id = s.user_id
+       AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.disabled_at IS NULL
+     RETURNING u.id, u.email, u.role`,
+    [parsed.sessionId, hashToken(parsed.secret), hashToken(newSecret), req.get('User-Agent') || null, req.ip]
+  );
+
+  if (result.rows.length > 0) {
+    return buildTokenResponse(result.rows[0], parsed.sessionId, newSecret);
+  }
+
+  // A live session with a different hash means an old refresh token was replayed
+  const reused = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [parsed.sessionId]
+  );
+
+  if (reused.rows.length > 0) {
+    logger.security('Refresh token reuse detected, session revoked', {
+      sessionId: parsed.sessionId,
+      userId: reused.rows[0].user_id,
+      ip: req.ip
+    });
+
+    await recordAuditEvent({
+      req,
+      actor: { userId: reused.rows[0].user_id },
+      action: 'auth.refresh_token_reuse',
+      targetType: 'session',
+      targetId: parsed.sessionId,
+      outcome: 'denied'
+    });
+  }
+
+  return null;
+};
+
+// Load the user behind an access token's session, or null if the session
+// has been revoked or expired
+const getActiveSessionUser = async (sessionId, userId) => {
+  const result = await db.query(
+    `SELECT u.id, u.email, u.email_verified, u.role, u.disabled_at
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sessionId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, userId) => {
+  const result = await db.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)`,
+    [userId, exceptSessionId]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  getActiveSessionUser,
+  revokeSession,
+  revokeAllSessions
+};
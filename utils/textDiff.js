@@ -0,0 +1,249 @@
+const { splitIntoSections } = require('./chunker');
+
+const CONTEXT_LINES = 2;
+// Beyond this many edits a section is reported as replaced wholesale,
+// which keeps the diff's memory use bounded on unrelated texts
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers' O(ND) diff of two arrays of strings. Returns a list of
+// { type: 'equal' | 'delete' | 'insert', value } operations, or null when
+// more than maxDistance edits are needed.
+const diffSequences = (a, b, maxDistance = MAX_EDIT_DISTANCE) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds diagonals -d..d as they were before step d
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, d);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Walk the Myers trace back from (n, m) to (0, 0)
+const backtrack = (a, b, trace, distance) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = distance; d >= 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d];
+    const k = x - y;
+
+    let prevX = 0;
+    let prevY = 0;
+
+    if (d > 0) {
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      prevX = at(prevK);
+      prevY = prevX - prevK;
+    }
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', value: a[x - 1] });
+      }
+      x = prevX;
+      y = prevY;
+    }
+  }
+
+  return ops.reverse();
+};
+
+// Compare lines ignoring the whitespace noise text extraction introduces
+const toLines = (text) => {
+  return text.split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0);
+};
+
+// Section body without its heading line
+const sectionLines = (section) => {
+  const lines = toLines(section.text);
+  return section.heading ? lines.slice(1) : lines;
+};
+
+// Group line operations into hunks with a few lines of context
+const buildHunks = (ops) => {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailingContext = 0;
+
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') {
+      const nextChange = ops.slice(i + 1, i + 1 + CONTEXT_LINES).some(next => next.type !== 'equal');
+
+      if (hunk && trailingContext < CONTEXT_LINES) {
+        hunk.lines.push({ type: 'context', text: op.value });
+        trailingContext++;
+      } else if (nextChange) {
+        if (!hunk) {
+          hunk = { oldStart: oldLine, newStart: newLine, lines: [] };
+          hunks.push(hunk);
+        }
+        hunk.lines.push({ type: 'context', text: op.value });
+      } else {
+        hunk = null;
+      }
+
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!hunk) {
+      hunk = { oldStart: oldLine, newStart: newLine, lines: [] };
+      hunks.push(hunk);
+    }
+    trailingContext = 0;
+
+    if (op.type === 'delete') {
+      hunk.lines.push({ type: 'removed', text: op.value });
+      oldLine++;
+    } else {
+      hunk.lines.push({ type: 'added', text: op.value });
+      newLine++;
+    }
+  });
+
+  return hunks;
+};
+
+// Every element of a removed and every element of b added, for sequences
+// too far apart for diffSequences
+const replaceSequence = (a, b) => [
+  ...a.map(value => ({ type: 'delete', value })),
+  ...b.map(value => ({ type: 'insert', value }))
+];
+
+const diffSectionBodies = (oldLines, newLines) => {
+  const ops = diffSequences(oldLines, newLines) || replaceSequence(oldLines, newLines);
+
+  return {
+    linesAdded: ops.filter(op => op.type === 'insert').length,
+    linesRemoved: ops.filter(op => op.type === 'delete').length,
+    hunks: buildHunks(ops)
+  };
+};
+
+// Key sections by normalized heading; repeated headings get an occurrence
+// suffix so the n-th "Scope" in one version pairs with the n-th in the other
+const keySections = (sections) => {
+  const seen = {};
+  return sections.map((section) => {
+    const heading = (section.heading || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    seen[heading] = (seen[heading] || 0) + 1;
+    return `${heading}#${seen[heading]}`;
+  });
+};
+
+// Section-aware diff of two document texts. Sections are matched by
+// heading, then compared line by line. Versions whose section lists differ
+// by more than MAX_EDIT_DISTANCE are unrelated documents, reported as every
+// old section removed and every new one added.
+const diffDocuments = (oldText, newText) => {
+  const oldSections = splitIntoSections(oldText || '');
+  const newSections = splitIntoSections(newText || '');
+  const oldKeys = keySections(oldSections);
+  const newKeys = keySections(newSections);
+  const sectionOps = diffSequences(oldKeys, newKeys) || replaceSequence(oldKeys, newKeys);
+
+  const sections = [];
+  let i = 0;
+  let j = 0;
+
+  for (const op of sectionOps) {
+    if (op.type === 'equal') {
+      const section = newSections[j];
+      const body = diffSectionBodies(sectionLines(oldSections[i]), sectionLines(section));
+      const changed = body.linesAdded > 0 || body.linesRemoved > 0;
+      sections.push({ heading: section.heading, status: changed ? 'modified' : 'unchanged', ...body });
+      i++;
+      j++;
+    } else if (op.type === 'delete') {
+      const body = diffSectionBodies(sectionLines(oldSections[i]), []);
+      sections.push({ heading: oldSections[i].heading, status: 'removed', ...body });
+      i++;
+    } else {
+      const body = diffSectionBodies([], sectionLines(newSections[j]));
+      sections.push({ heading: newSections[j].heading, status: 'added', ...body });
+      j++;
+    }
+  }
+
+  const count = (status) => sections.filter(section => section.status === status).length;
+  const summary = {
+    sectionsAdded: count('added'),
+    sectionsRemoved: count('removed'),
+    sectionsModified: count('modified'),
+    sectionsUnchanged: count('unchanged'),
+    linesAdded: sections.reduce((total, section) => total + section.linesAdded, 0),
+    linesRemoved: sections.reduce((total, section) => total + section.linesRemoved, 0)
+  };
+  summary.identical = summary.linesAdded === 0 && summary.linesRemoved === 0 &&
+    summary.sectionsAdded === 0 && summary.sectionsRemoved === 0;
+
+  return { summary, sections };
+};
+
+// Render the changed sections as plain text for the change-impact prompt
+const formatDiffForAnalysis = (diff, { fromLabel, toLabel }) => {
+  const markers = { context: ' ', added: '+', removed: '-' };
+  const lines = [
+    `Changes from ${fromLabel} to ${toLabel}:`,
+    `Sections added: ${diff.summary.sectionsAdded}, removed: ${diff.summary.sectionsRemoved}, ` +
+      `modified: ${diff.summary.sectionsModified}, unchanged: ${diff.summary.sectionsUnchanged}`
+  ];
+
+  for (const section of diff.sections) {
+    if (section.status === 'unchanged') continue;
+
+    lines.push('', `## ${section.heading || '(untitled opening section)'} [${section.status}]`);
+    section.hunks.forEach((hunk, i) => {
+      if (i > 0) lines.push('...');
+      hunk.lines.forEach(line => lines.push(`${markers[line.type]} ${line.text}`));
+    });
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  diffSequences,
+  diffDocuments,
+  formatDiffForAnalysis
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Purposes for single-use tokens sent to users out of band
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create a single-use token, invalidating any outstanding token of the same purpose
+const createUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    'UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, created_at, expires_at)
+     VALUES ($1, $2, $3, NOW(), NOW() + $4 * INTERVAL '1 minute')`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  );
+
+  return token;
+};
+
+// Get when the most recent token of a purpose was issued
+const getLastIssuedAt = async (userId, purpose) => {
+  const result = await db.query(
+    'SELECT MAX(created_at) AS last_issued_at FROM user_tokens WHERE user_id = $1 AND purpose = $2',
+    [userId, purpose]
+  );
+
+  return result.rows[0].last_issued_at;
+};
+
+// Return the user id of a valid token without spending it, or null
+const findUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await db.query(
+    `SELECT user_id FROM user_tokens
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// Atomically mark a token as used and return its user id, or null if invalid
+const consumeUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createUserToken,
+  consumeUserToken,
+  findUserToken,
+  getLastIssuedAt
+};